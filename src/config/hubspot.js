@@ -1,12 +1,25 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Plain HTTP is only accepted for a local stand-in such as the test mock server
+const LOCAL_URL_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/;
+const isAllowedBaseUrl = (value) => value.startsWith('https://') || LOCAL_URL_PATTERN.test(value);
+
+// Roles API callers can be given, from least to most privileged
+const API_ROLES = ['reader', 'recruiter', 'admin'];
+
+// Running as a public app: tokens come from the OAuth install flow instead of HUBSPOT_ACCESS_TOKEN
+const isOAuthConfigured = () => Boolean(process.env.HUBSPOT_CLIENT_ID && process.env.HUBSPOT_CLIENT_SECRET);
 
 // Required environment variables
 const REQUIRED_ENV_VARS = [
   {
     name: 'HUBSPOT_ACCESS_TOKEN',
-    description: 'HubSpot Private App access token',
+    description: 'HubSpot Private App access token (not needed when running as an OAuth app)',
     validator: (value) => {
-      if (!value) return 'Token is required';
+      if (!value && (isOAuthConfigured() || process.env.HUBSPOT_PORTALS)) return null;
+      if (!value) return 'Token is required (or set HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET to install as an OAuth app, or HUBSPOT_PORTALS)';
       if (typeof value !== 'string') return 'Token must be a string';
       if (value.length < 20) return 'Token appears to be too short (minimum 20 characters)';
       if (!value.startsWith('pat-')) return 'Token should start with "pat-" for Private App tokens';
@@ -22,7 +35,7 @@ const OPTIONAL_ENV_VARS = [
     default: 'https://api.hubapi.com',
     description: 'HubSpot API base URL',
     validator: (value) => {
-      if (value && !value.startsWith('https://')) return 'Base URL must start with https://';
+      if (value && !isAllowedBaseUrl(value)) return 'Base URL must start with https:// (http:// is allowed for localhost only)';
       return null;
     }
   },
@@ -36,6 +49,372 @@ const OPTIONAL_ENV_VARS = [
       if (port < 1 || port > 65535) return 'Port must be between 1 and 65535';
       return null;
     }
+  },
+  {
+    name: 'HUBSPOT_MAX_RETRIES',
+    default: '4',
+    description: 'Maximum number of retries for transient HubSpot API failures',
+    validator: (value) => {
+      const retries = parseInt(value);
+      if (isNaN(retries) || retries < 0) return 'Max retries must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_RETRY_BASE_DELAY_MS',
+    default: '500',
+    description: 'Base delay in milliseconds for exponential retry backoff',
+    validator: (value) => {
+      const delay = parseInt(value);
+      if (isNaN(delay) || delay < 0) return 'Retry base delay must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_BATCH_CONCURRENCY',
+    default: '3',
+    description: 'Number of HubSpot batch requests sent in parallel',
+    validator: (value) => {
+      const concurrency = parseInt(value);
+      if (isNaN(concurrency) || concurrency < 1) return 'Batch concurrency must be at least 1';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_UNIQUE_PROPERTY',
+    default: 'email',
+    description: 'Unique contact property used to match existing contacts on upsert',
+    validator: (value) => {
+      if (value && !/^[a-z][a-z0-9_]*$/.test(value)) return 'Unique property must be a HubSpot property name';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_CLIENT_SECRET',
+    default: '',
+    description: 'HubSpot app client secret, used to verify webhook signatures',
+    validator: () => null
+  },
+  {
+    name: 'HUBSPOT_CLIENT_ID',
+    default: '',
+    description: 'HubSpot public app client id, enables the OAuth install flow',
+    validator: () => null
+  },
+  {
+    name: 'HUBSPOT_REDIRECT_URI',
+    default: '',
+    description: 'OAuth redirect URI registered with the app (defaults to http://localhost:<PORT>/oauth/callback)',
+    validator: (value) => {
+      if (value && !/^https?:\/\//.test(value)) return 'Redirect URI must start with http:// or https://';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_AUTHORIZE_URL',
+    default: 'https://app.hubspot.com/oauth/authorize',
+    description: 'HubSpot page that asks the user to install the app',
+    validator: (value) => {
+      if (value && !/^https?:\/\//.test(value)) return 'Authorize URL must start with http:// or https://';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_TOKEN_STORE_PATH',
+    default: path.join(process.cwd(), 'data', 'oauth-tokens.json'),
+    description: 'File the encrypted OAuth tokens are stored in',
+    validator: () => null
+  },
+  {
+    name: 'HUBSPOT_TOKEN_ENCRYPTION_KEY',
+    default: '',
+    description: 'Secret used to encrypt stored OAuth tokens (required for OAuth, at least 32 characters)',
+    validator: (value) => {
+      if (isOAuthConfigured() && (!value || value.length < 32)) return 'Token encryption key of at least 32 characters is required for OAuth';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_DEFAULT_PORTAL_ID',
+    default: '',
+    description: 'Installed portal (hub id) used when a request names none; the first install otherwise',
+    validator: (value) => {
+      if (value && !/^\d+$/.test(value)) return 'Default portal id must be a HubSpot hub id (digits only)';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_WEBHOOK_BASE_URL',
+    default: '',
+    description: 'Public base URL HubSpot calls webhooks on (when behind a proxy)',
+    validator: (value) => {
+      if (value && !/^https?:\/\//.test(value)) return 'Webhook base URL must start with http:// or https://';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_PROPERTIES_SCHEMA',
+    default: path.join(__dirname, 'contact-properties.json'),
+    description: 'Path to the declarative custom properties schema file',
+    validator: (value) => {
+      if (value && !value.endsWith('.json')) return 'Properties schema must be a .json file';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_OBJECT_SCHEMAS_DIR',
+    default: path.join(__dirname, 'object-properties'),
+    description: 'Directory of custom properties schema files for other object types (<objectType>.json)',
+    validator: () => null
+  },
+  {
+    name: 'HUBSPOT_FIELD_MAPPING',
+    default: path.join(__dirname, 'contact-fields.json'),
+    description: 'Path to the API field to HubSpot property mapping file',
+    validator: (value) => {
+      if (value && !value.endsWith('.json')) return 'Field mapping must be a .json file';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_OWNERS_CACHE_TTL_MS',
+    default: '300000',
+    description: 'How long the list of HubSpot owners is cached, in milliseconds',
+    validator: (value) => {
+      const ttl = parseInt(value);
+      if (isNaN(ttl) || ttl < 0) return 'Owners cache TTL must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'API_KEYS',
+    default: '',
+    description: 'API keys accepted in the X-API-Key header, as comma-separated name:role:key entries',
+    validator: (value) => {
+      for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const [name, role, ...key] = entry.split(':');
+        if (!name || !API_ROLES.includes(role)) return `API key entries must be name:role:key with a role of ${API_ROLES.join(', ')}`;
+        if (key.join(':').length < 16) return `API key "${name}" must be at least 16 characters`;
+      }
+      return null;
+    }
+  },
+  {
+    name: 'JWT_SECRET',
+    default: '',
+    description: 'Shared secret for verifying HS256 JWTs in the Authorization header',
+    validator: (value) => {
+      if (value && value.length < 32) return 'JWT secret must be at least 32 characters';
+      return null;
+    }
+  },
+  {
+    name: 'JWT_PUBLIC_KEY_PATH',
+    default: '',
+    description: 'PEM public key file for verifying RS256 JWTs',
+    validator: (value) => {
+      if (value && !fs.existsSync(value)) return `JWT public key file ${value} does not exist`;
+      return null;
+    }
+  },
+  {
+    name: 'JWT_ISSUER',
+    default: '',
+    description: 'Required iss claim of accepted JWTs',
+    validator: () => null
+  },
+  {
+    name: 'JWT_AUDIENCE',
+    default: '',
+    description: 'Required aud claim of accepted JWTs',
+    validator: () => null
+  },
+  {
+    name: 'JWT_ROLE_CLAIM',
+    default: 'role',
+    description: 'JWT claim holding the caller role (a role name or a list of them)',
+    validator: () => null
+  },
+  {
+    name: 'CORS_ORIGINS',
+    default: '',
+    description: 'Comma-separated origins allowed to call the API from a browser (* for any)',
+    validator: (value) => {
+      const invalid = (value || '').split(',').map(o => o.trim()).filter(o => o && o !== '*' && !/^https?:\/\/[^/]+$/.test(o));
+      if (invalid.length > 0) return `CORS origins must look like https://host[:port]: ${invalid.join(', ')}`;
+      return null;
+    }
+  },
+  {
+    name: 'RATE_LIMIT_WINDOW_MS',
+    default: '60000',
+    description: 'Length of the inbound rate limit window, in milliseconds',
+    validator: (value) => {
+      const windowMs = parseInt(value);
+      if (isNaN(windowMs) || windowMs < 1000) return 'Rate limit window must be at least 1000ms';
+      return null;
+    }
+  },
+  {
+    name: 'RATE_LIMIT_READ',
+    default: '300',
+    description: 'Inbound read requests (GETs and searches) allowed per client and window (0 disables)',
+    validator: (value) => {
+      const limit = parseInt(value);
+      if (isNaN(limit) || limit < 0) return 'Rate limit must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'RATE_LIMIT_WRITE',
+    default: '60',
+    description: 'Inbound write requests (creates, updates, deletes) allowed per client and window (0 disables)',
+    validator: (value) => {
+      const limit = parseInt(value);
+      if (isNaN(limit) || limit < 0) return 'Rate limit must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'RATE_LIMIT_BATCH',
+    default: '10',
+    description: 'Inbound batch, import and export requests allowed per client and window (0 disables)',
+    validator: (value) => {
+      const limit = parseInt(value);
+      if (isNaN(limit) || limit < 0) return 'Rate limit must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'RATE_LIMIT_AUTH_FAILURES',
+    default: '20',
+    description: 'Requests rejected for bad credentials allowed per IP and window before the IP gets 429 (0 disables)',
+    validator: (value) => {
+      const limit = parseInt(value);
+      if (isNaN(limit) || limit < 0) return 'Rate limit must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'SEARCH_ALL_MAX_RESULTS',
+    default: '10000',
+    description: 'Most records one search with all=true returns; larger result sets are cut off (use the export for more)',
+    validator: (value) => {
+      const max = parseInt(value);
+      if (isNaN(max) || max < 1) return 'SEARCH_ALL_MAX_RESULTS must be a positive number';
+      return null;
+    }
+  },
+  {
+    name: 'TRUST_PROXY',
+    default: '',
+    description: 'Express trust proxy setting (e.g. 1 or loopback) so client IPs are read from X-Forwarded-For',
+    validator: () => null
+  },
+  {
+    name: 'LOG_LEVEL',
+    default: 'info',
+    description: 'Lowest log level written: debug, info, warn, error or silent',
+    validator: (value) => {
+      if (value && !['debug', 'info', 'warn', 'error', 'silent'].includes(value)) return 'Log level must be debug, info, warn, error or silent';
+      return null;
+    }
+  },
+  {
+    name: 'LOG_FORMAT',
+    default: 'json',
+    description: 'Log output format: json (one JSON object per line) or text',
+    validator: (value) => {
+      if (value && !['json', 'text'].includes(value)) return 'Log format must be json or text';
+      return null;
+    }
+  },
+  {
+    name: 'LOG_REDACT_FIELDS',
+    default: '',
+    description: 'Comma-separated extra fields masked in logs, on top of contact PII and credentials',
+    validator: () => null
+  },
+  {
+    name: 'AUDIT_LOG_PATH',
+    default: path.join(process.cwd(), 'data', 'audit.jsonl'),
+    description: 'JSON lines file every create, update, delete and property change is recorded in',
+    validator: () => null
+  },
+  {
+    name: 'JOBS_DIR',
+    default: path.join(process.cwd(), 'data', 'jobs'),
+    description: 'Directory background jobs, their payloads and export files are kept in',
+    validator: () => null
+  },
+  {
+    name: 'JOBS_CONCURRENCY',
+    default: '2',
+    description: 'Number of background jobs run at the same time',
+    validator: (value) => {
+      const concurrency = parseInt(value);
+      if (isNaN(concurrency) || concurrency < 1) return 'Job concurrency must be at least 1';
+      return null;
+    }
+  },
+  {
+    name: 'JOBS_RETENTION_MS',
+    default: '604800000',
+    description: 'How long finished jobs and their files are kept',
+    validator: (value) => {
+      const retention = parseInt(value);
+      if (isNaN(retention) || retention < 0) return 'Job retention must be a non-negative number of milliseconds';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_CACHE_MAX_ENTRIES',
+    default: '1000',
+    description: 'Maximum number of entries kept in the in-memory response cache',
+    validator: (value) => {
+      const entries = parseInt(value);
+      if (isNaN(entries) || entries < 1) return 'Cache size must be at least 1';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_CACHE_CONTACT_TTL_MS',
+    default: '30000',
+    description: 'How long contacts read by id are cached, in milliseconds (0 disables)',
+    validator: (value) => {
+      const ttl = parseInt(value);
+      if (isNaN(ttl) || ttl < 0) return 'Contact cache TTL must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_CACHE_PROPERTIES_TTL_MS',
+    default: '300000',
+    description: 'How long property definitions are cached, in milliseconds (0 disables)',
+    validator: (value) => {
+      const ttl = parseInt(value);
+      if (isNaN(ttl) || ttl < 0) return 'Properties cache TTL must be a non-negative number';
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_PORTALS',
+    default: '',
+    description: 'Path to the registry of additional HubSpot portals (name -> token, base URL)',
+    validator: (value) => {
+      if (value && !value.endsWith('.json')) return 'Portal registry must be a .json file';
+      if (value && !fs.existsSync(value)) return `Portal registry ${value} does not exist`;
+      return null;
+    }
+  },
+  {
+    name: 'HUBSPOT_OWNER_ASSIGNMENT',
+    default: '',
+    description: 'Path to the owner assignment rules applied to new contacts without an owner',
+    validator: (value) => {
+      if (value && !value.endsWith('.json')) return 'Owner assignment rules must be a .json file';
+      return null;
+    }
   }
 ];
 
@@ -78,7 +457,7 @@ function validateEnvironment() {
       });
     } else {
       const isDefault = !process.env[envVar.name];
-      console.log(`${isDefault ? '🔧' : '✅'} ${envVar.name}: ${isDefault ? `Using default (${value})` : 'Valid'}`);
+      console.log(`${isDefault ? '🔧' : '✅'} ${envVar.name}: ${isDefault ? `Using default (${value || 'not set'})` : 'Valid'}`);
       config[envVar.name] = value;
     }
   }
@@ -107,7 +486,7 @@ function validateEnvironment() {
     });
     console.error('\n💡 Setup Instructions:');
     console.error('1. Copy .env.example to .env');
-    console.error('2. Add your HubSpot Private App access token');
+    console.error('2. Add your HubSpot Private App access token (or HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET to run as an OAuth app)');
     console.error('3. Ensure the token has required scopes:');
     console.error('   - crm.objects.contacts.read');
     console.error('   - crm.objects.contacts.write');
@@ -126,25 +505,139 @@ const envConfig = validateEnvironment();
 // Application configuration
 const config = {
   // Environment variables
-  accessToken: envConfig.HUBSPOT_ACCESS_TOKEN,
+  accessToken: envConfig.HUBSPOT_ACCESS_TOKEN || null,
   baseUrl: envConfig.HUBSPOT_BASE_URL,
   port: parseInt(envConfig.PORT),
+
+  // Retry policy for the shared HubSpot client
+  retry: {
+    maxRetries: parseInt(envConfig.HUBSPOT_MAX_RETRIES ?? '4'),
+    baseDelayMs: parseInt(envConfig.HUBSPOT_RETRY_BASE_DELAY_MS ?? '500'),
+    maxDelayMs: 30000
+  },
+
+  // Batch API chunking (HubSpot caps batch requests at 100 inputs)
+  batch: {
+    size: 100,
+    concurrency: parseInt(envConfig.HUBSPOT_BATCH_CONCURRENCY ?? '3')
+  },
+
+  // Unique property used to match contacts on upsert
+  uniqueProperty: envConfig.HUBSPOT_UNIQUE_PROPERTY ?? 'email',
+
+  // Webhook signature verification (and the OAuth app secret)
+  clientSecret: envConfig.HUBSPOT_CLIENT_SECRET || null,
+
+  // Public app OAuth: used when no private app token is set. Tokens are stored
+  // encrypted; a missing encryption key leaves OAuth unusable rather than storing them in clear.
+  oauth: {
+    enabled: !envConfig.HUBSPOT_ACCESS_TOKEN && isOAuthConfigured(),
+    clientId: envConfig.HUBSPOT_CLIENT_ID || null,
+    redirectUri: envConfig.HUBSPOT_REDIRECT_URI || `http://localhost:${envConfig.PORT || 3000}/oauth/callback`,
+    authorizeUrl: envConfig.HUBSPOT_AUTHORIZE_URL ?? 'https://app.hubspot.com/oauth/authorize',
+    tokenStorePath: path.resolve(envConfig.HUBSPOT_TOKEN_STORE_PATH ?? path.join(process.cwd(), 'data', 'oauth-tokens.json')),
+    encryptionKey: envConfig.HUBSPOT_TOKEN_ENCRYPTION_KEY || null,
+    // Portal used when a request names none; without it, the first install
+    defaultPortalId: envConfig.HUBSPOT_DEFAULT_PORTAL_ID || null,
+    // Refresh access tokens this long before they expire
+    refreshMarginMs: 5 * 60 * 1000
+  },
+  webhookBaseUrl: envConfig.HUBSPOT_WEBHOOK_BASE_URL || null,
+
+  // Declarative custom properties schema
+  propertiesSchemaPath: path.resolve(envConfig.HUBSPOT_PROPERTIES_SCHEMA ?? path.join(__dirname, 'contact-properties.json')),
+
+  // Schema files for other object types, e.g. object-properties/deals.json
+  objectSchemasDir: path.resolve(envConfig.HUBSPOT_OBJECT_SCHEMAS_DIR ?? path.join(__dirname, 'object-properties')),
+
+  // API field <-> HubSpot property mapping
+  fieldMappingPath: path.resolve(envConfig.HUBSPOT_FIELD_MAPPING ?? path.join(__dirname, 'contact-fields.json')),
+
+  // Additional HubSpot portals (sandbox, per region, ...), picked per request with the
+  // X-HubSpot-Portal header or an /api/portals/:portal prefix
+  portals: {
+    registryPath: envConfig.HUBSPOT_PORTALS ? path.resolve(envConfig.HUBSPOT_PORTALS) : null,
+    header: 'X-HubSpot-Portal'
+  },
+
+  // Owners: cache lifetime and the optional automatic assignment rules file
+  owners: {
+    cacheTtlMs: parseInt(envConfig.HUBSPOT_OWNERS_CACHE_TTL_MS ?? '300000'),
+    assignmentPath: envConfig.HUBSPOT_OWNER_ASSIGNMENT ? path.resolve(envConfig.HUBSPOT_OWNER_ASSIGNMENT) : null
+  },
+
+  // API authentication: enforced when any API key or JWT key is set. Keys are read
+  // even when they fail validation, so a typo locks callers out instead of turning auth off.
+  auth: {
+    apiKeys: process.env.API_KEYS || '',
+    jwtSecret: process.env.JWT_SECRET || null,
+    jwtPublicKeyPath: process.env.JWT_PUBLIC_KEY_PATH ? path.resolve(process.env.JWT_PUBLIC_KEY_PATH) : null,
+    jwtIssuer: envConfig.JWT_ISSUER || null,
+    jwtAudience: envConfig.JWT_AUDIENCE || null,
+    jwtRoleClaim: envConfig.JWT_ROLE_CLAIM || 'role'
+  },
+
+  // Inbound rate limits per client (API key, token subject or IP) and window
+  rateLimit: {
+    windowMs: parseInt(envConfig.RATE_LIMIT_WINDOW_MS ?? '60000'),
+    limits: {
+      read: parseInt(envConfig.RATE_LIMIT_READ ?? '300'),
+      write: parseInt(envConfig.RATE_LIMIT_WRITE ?? '60'),
+      batch: parseInt(envConfig.RATE_LIMIT_BATCH ?? '10'),
+      authFailures: parseInt(envConfig.RATE_LIMIT_AUTH_FAILURES ?? '20')
+    }
+  },
+
+  // Searches with all=true stop after this many records
+  search: {
+    maxAllResults: parseInt(envConfig.SEARCH_ALL_MAX_RESULTS ?? '10000')
+  },
+
+  // Express "trust proxy" value for deployments behind a load balancer
+  trustProxy: envConfig.TRUST_PROXY || null,
+
+  // Browser origins allowed by CORS; empty allows none
+  corsOrigins: (envConfig.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+
+  // Append-only audit trail of every change made through the API
+  audit: {
+    logPath: path.resolve(envConfig.AUDIT_LOG_PATH ?? path.join(process.cwd(), 'data', 'audit.jsonl'))
+  },
+
+  // Background jobs for long batch, import and export requests
+  jobs: {
+    dir: path.resolve(envConfig.JOBS_DIR ?? path.join(process.cwd(), 'data', 'jobs')),
+    concurrency: parseInt(envConfig.JOBS_CONCURRENCY ?? '2'),
+    retentionMs: parseInt(envConfig.JOBS_RETENTION_MS ?? '604800000')
+  },
+
+  // Read-through cache for contacts and property definitions
+  cache: {
+    maxEntries: parseInt(envConfig.HUBSPOT_CACHE_MAX_ENTRIES ?? '1000'),
+    contactTtlMs: parseInt(envConfig.HUBSPOT_CACHE_CONTACT_TTL_MS ?? '30000'),
+    propertiesTtlMs: parseInt(envConfig.HUBSPOT_CACHE_PROPERTIES_TTL_MS ?? '300000')
+  },
   
   // API endpoints
   endpoints: {
-    // CRM Objects API
-    contacts: '/crm/v3/objects/contacts',
-    contactsSearch: '/crm/v3/objects/contacts/search',
-    contactsBatch: '/crm/v3/objects/contacts/batch',
+    // CRM Objects API: /crm/v3/objects/{objectType}
+    objects: '/crm/v3/objects',
+
+    // Associations API (v4)
+    associations: '/crm/v4/objects',
     
-    // Properties API
-    properties: '/crm/v3/properties/contacts',
+    // Properties API: /crm/v3/properties/{objectType}
+    properties: '/crm/v3/properties',
     
     // Owners API  
     owners: '/crm/v3/owners',
     
     // Schemas API (for property management)
-    schemas: '/crm/v3/schemas/contacts'
+    schemas: '/crm/v3/schemas',
+
+    // OAuth: code/refresh token exchange and access token metadata (portal id, scopes)
+    oauthToken: '/oauth/v1/token',
+    oauthTokenInfo: '/oauth/v1/access-tokens'
   },
 
   // Required scopes for reference
@@ -157,15 +650,22 @@ const config = {
 
   // Optional scopes
   optionalScopes: [
-    'crm.objects.owners.read'
+    'crm.objects.owners.read',
+    'crm.objects.companies.read',
+    'crm.objects.companies.write',
+    'crm.objects.deals.read',
+    'crm.objects.deals.write',
+    'crm.schemas.deals.read',
+    'crm.schemas.deals.write'
   ],
 
   // Configuration summary
   getSummary() {
     return {
       baseUrl: this.baseUrl,
+      authMode: this.oauth.enabled ? 'oauth' : 'private-app',
       tokenLength: this.accessToken ? this.accessToken.length : 0,
-      tokenPrefix: this.accessToken ? this.accessToken.substring(0, 8) + '...' : 'MISSING',
+      tokenPrefix: this.accessToken ? this.accessToken.substring(0, 8) + '...' : (this.oauth.enabled ? 'OAUTH' : 'MISSING'),
       port: this.port,
       endpointsCount: Object.keys(this.endpoints).length,
       requiredScopes: this.requiredScopes,
@@ -174,13 +674,16 @@ const config = {
   }
 };
 
+// Base URLs are checked the same way for every portal
+config.isAllowedBaseUrl = isAllowedBaseUrl;
+
 // Additional validation for runtime checks
 config.validate = () => {
-  if (!config.accessToken) {
+  if (!config.accessToken && !config.oauth.enabled && !config.portals.registryPath) {
     throw new Error('Configuration error: HubSpot access token is missing');
   }
   
-  if (!config.baseUrl.startsWith('https://')) {
+  if (!isAllowedBaseUrl(config.baseUrl)) {
     throw new Error('Configuration error: Base URL must use HTTPS');
   }
   
@@ -2,6 +2,14 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const logger = require('./utils/logger');
+const config = require('./config/hubspot');
+const { requestContext } = require('./utils/request-context');
+const { authenticate } = require('./utils/auth');
+const { rateLimit, limitFailedAuth } = require('./utils/rate-limit');
+const { selectPortal } = require('./utils/portals');
+const AuthService = require('./services/auth');
+const PortalRegistry = require('./services/portals');
+const JobQueue = require('./services/jobs');
 
 // Add process error handlers to prevent crashes
 process.on('uncaughtException', (error) => {
@@ -15,20 +23,52 @@ process.on('unhandledRejection', (reason, promise) => {
 // Import routes
 const contactsRoutes = require('./routes/contacts');
 const propertiesRoutes = require('./routes/properties');
+const ownersRoutes = require('./routes/owners');
+const objectsRoutes = require('./routes/objects');
+const cacheRoutes = require('./routes/cache');
+const webhooksRoutes = require('./routes/webhooks');
+const oauthRoutes = require('./routes/oauth');
+const portalsRoutes = require('./routes/portals');
+const auditRoutes = require('./routes/audit');
+const jobsRoutes = require('./routes/jobs');
 
 const app = express();
+if (config.trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(config.trustProxy) ? parseInt(config.trustProxy) : config.trustProxy);
+}
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(requestContext());
+// Only allow-listed browser origins may call the API; "*" allows any
+app.use(cors({
+  origin: config.corsOrigins.includes('*') ? true : config.corsOrigins,
+  exposedHeaders: ['X-Request-Id', 'X-HubSpot-Portal', 'ETag', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
+// Keep the raw body: webhook signatures are computed over the exact bytes sent
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
+// Request logging middleware: one line when the request arrives and one with
+// its status and duration when the response is sent. Bodies are debug-only.
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`, {
-    body: req.method !== 'GET' ? req.body : undefined,
-    query: Object.keys(req.query).length > 0 ? req.query : undefined
+  const startedAt = Date.now();
+  // Routers rewrite req.path, so keep the path as received
+  const { method, path } = req;
+
+  logger.info(`${method} ${path}`, Object.keys(req.query).length > 0 ? { query: req.query } : null);
+  if (method !== 'GET') logger.debug(`${method} ${path} body`, { body: req.body });
+
+  res.on('finish', () => {
+    logger.info(`${method} ${path} ${res.statusCode}`, {
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
   });
   next();
 });
@@ -43,9 +83,27 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API routes
-app.use('/api/contacts', contactsRoutes);
-app.use('/api/properties', propertiesRoutes);
+// API routes. Every /api route needs an API key or JWT once either is configured;
+// /health, /oauth/callback and /webhooks (verified by signature) stay open. IPs
+// whose credentials keep failing are held off with 429s. Callers are then
+// rate limited per client, with separate read, write and batch budgets, and the
+// request runs against the HubSpot portal it selected.
+const api = express.Router({ mergeParams: true });
+api.use(limitFailedAuth(), authenticate(), rateLimit(), selectPortal());
+api.use('/contacts', contactsRoutes);
+api.use('/properties', propertiesRoutes);
+api.use('/owners', ownersRoutes);
+api.use('/objects', objectsRoutes);
+api.use('/cache', cacheRoutes);
+api.use('/portals', portalsRoutes);
+api.use('/audit', auditRoutes);
+api.use('/jobs', jobsRoutes);
+
+// The portal comes from the path (/api/portals/sandbox/contacts) or the X-HubSpot-Portal header
+app.use('/api/portals/:portal', api);
+app.use('/api', api);
+app.use('/webhooks', webhooksRoutes);
+app.use('/oauth', oauthRoutes);
 
 // Root endpoint with API documentation
 app.get('/', (req, res) => {
@@ -53,20 +111,78 @@ app.get('/', (req, res) => {
     success: true,
     message: 'HubSpot Assignment 2 - Custom Properties & API Integration',
     version: '1.0.0',
+    authentication: 'X-API-Key header or Authorization: Bearer <JWT>; roles are reader, recruiter and admin',
+    portals: 'Prefix any /api route with /api/portals/:portal or send X-HubSpot-Portal: <portal>; the default portal is used otherwise',
     endpoints: {
       health: 'GET /health',
+      webhooks: 'POST /webhooks/hubspot',
+      oauth: {
+        install: 'GET /oauth/install',
+        callback: 'GET /oauth/callback'
+      },
       properties: {
         status: 'GET /api/properties',
         setup: 'POST /api/properties/setup',
+        plan: 'POST /api/properties/plan',
+        apply: 'POST /api/properties/apply',
         getProperty: 'GET /api/properties/:name'
       },
+      portals: 'GET /api/portals',
+      audit: 'GET /api/audit',
+      jobs: {
+        list: 'GET /api/jobs',
+        get: 'GET /api/jobs/:id',
+        cancel: 'POST /api/jobs/:id/cancel',
+        download: 'GET /api/jobs/:id/download'
+      },
+      cache: {
+        stats: 'GET /api/cache',
+        clear: 'DELETE /api/cache'
+      },
+      owners: {
+        list: 'GET /api/owners',
+        get: 'GET /api/owners/:id'
+      },
       contacts: {
         create: 'POST /api/contacts',
+        upsert: 'PUT /api/contacts/by-email/:email',
         get: 'GET /api/contacts/:id',
         update: 'PATCH /api/contacts/:id',
+        history: 'GET /api/contacts/:id/history',
+        duplicates: 'GET /api/contacts/duplicates',
+        merge: 'POST /api/contacts/merge',
         search: 'GET /api/contacts',
+        advancedSearch: 'POST /api/contacts/search',
         delete: 'DELETE /api/contacts/:id',
-        batchCreate: 'POST /api/contacts/batch'
+        listAssociations: 'GET /api/contacts/:id/associations/:toObjectType',
+        getAssociation: 'GET /api/contacts/:id/associations/:toObjectType/:toId',
+        associate: 'PUT /api/contacts/:id/associations/:toObjectType/:toId',
+        removeAssociation: 'DELETE /api/contacts/:id/associations/:toObjectType/:toId',
+        batchCreate: 'POST /api/contacts/batch',
+        batchRead: 'POST /api/contacts/batch/read',
+        batchUpdate: 'POST /api/contacts/batch/update',
+        batchUpsert: 'POST /api/contacts/batch/upsert',
+        batchArchive: 'POST /api/contacts/batch/archive',
+        import: 'POST /api/contacts/import',
+        export: 'GET /api/contacts/export'
+      },
+      objects: {
+        create: 'POST /api/objects/:objectType',
+        get: 'GET /api/objects/:objectType/:id',
+        update: 'PATCH /api/objects/:objectType/:id',
+        delete: 'DELETE /api/objects/:objectType/:id',
+        search: 'GET /api/objects/:objectType',
+        advancedSearch: 'POST /api/objects/:objectType/search',
+        batchCreate: 'POST /api/objects/:objectType/batch',
+        batchRead: 'POST /api/objects/:objectType/batch/read',
+        batchUpdate: 'POST /api/objects/:objectType/batch/update',
+        batchUpsert: 'POST /api/objects/:objectType/batch/upsert',
+        batchArchive: 'POST /api/objects/:objectType/batch/archive',
+        listProperties: 'GET /api/objects/:objectType/properties',
+        createProperty: 'POST /api/objects/:objectType/properties',
+        getProperty: 'GET /api/objects/:objectType/properties/:name',
+        planProperties: 'POST /api/objects/:objectType/properties/plan',
+        applyProperties: 'POST /api/objects/:objectType/properties/apply'
       }
     },
     documentation: 'See README.md for detailed API documentation and examples'
@@ -92,25 +208,65 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.success(`Server running on http://localhost:${PORT}`);
-  logger.info('Available endpoints:');
-  logger.info('- GET  /health');
-  logger.info('- GET  /api/properties');
-  logger.info('- POST /api/properties/setup');
-  logger.info('- GET  /api/properties/:name');
-  logger.info('- POST /api/contacts');
-  logger.info('- GET  /api/contacts/:id');
-  logger.info('- PATCH /api/contacts/:id');
-  logger.info('- GET  /api/contacts (search)');
-  logger.info('- DELETE /api/contacts/:id');
-  logger.info('- POST /api/contacts/batch');
-  logger.info('');
-  logger.info('Make sure to:');
-  logger.info('1. Copy .env.example to .env');
-  logger.info('2. Add your HubSpot access token');
-  logger.info('3. Run "npm run setup" to create custom properties');
-});
+// Start server if this file is executed directly (tests mount the app themselves)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.success(`Server running on http://localhost:${PORT}`);
+    if (!AuthService.shared().isEnabled()) {
+      logger.warn('API authentication is disabled: set API_KEYS, JWT_SECRET or JWT_PUBLIC_KEY_PATH to require it');
+    }
+    if (config.oauth.enabled) {
+      logger.info(`Running as an OAuth app: open http://localhost:${PORT}/oauth/install to install it in a portal`);
+    }
+    logger.info(`HubSpot portals: ${PortalRegistry.shared().names().join(', ')} (default: ${PortalRegistry.shared().defaultName})`);
+    // Pick up jobs queued or running when the server last stopped
+    JobQueue.shared().start().catch(error => logger.error('Failed to resume background jobs', error));
+    logger.info('Available endpoints:');
+    logger.info('- GET  /health');
+    logger.info('- POST /webhooks/hubspot');
+    logger.info('- GET  /oauth/install');
+    logger.info('- GET  /oauth/callback');
+    logger.info('- GET  /api/properties');
+    logger.info('- POST /api/properties/setup');
+    logger.info('- POST /api/properties/plan');
+    logger.info('- POST /api/properties/apply');
+    logger.info('- GET  /api/properties/:name');
+    logger.info('- GET  /api/cache');
+    logger.info('- DELETE /api/cache');
+    logger.info('- GET  /api/portals');
+    logger.info('- GET  /api/audit');
+    logger.info('- GET  /api/jobs');
+    logger.info('- GET  /api/jobs/:id');
+    logger.info('- POST /api/jobs/:id/cancel');
+    logger.info('- GET  /api/jobs/:id/download');
+    logger.info('- GET  /api/owners');
+    logger.info('- GET  /api/owners/:id');
+    logger.info('- POST /api/contacts');
+    logger.info('- PUT  /api/contacts/by-email/:email');
+    logger.info('- GET  /api/contacts/:id');
+    logger.info('- PATCH /api/contacts/:id');
+    logger.info('- GET  /api/contacts/:id/history');
+    logger.info('- GET  /api/contacts/duplicates');
+    logger.info('- POST /api/contacts/merge');
+    logger.info('- GET  /api/contacts (search)');
+    logger.info('- POST /api/contacts/search');
+    logger.info('- DELETE /api/contacts/:id');
+    logger.info('- GET  /api/contacts/:id/associations/:toObjectType');
+    logger.info('- GET/PUT/DELETE /api/contacts/:id/associations/:toObjectType/:toId');
+    logger.info('- POST /api/contacts/batch');
+    logger.info('- POST /api/contacts/batch/{read,update,upsert,archive}');
+    logger.info('- POST /api/contacts/import');
+    logger.info('- GET  /api/contacts/export');
+    logger.info('- POST/GET/PATCH/DELETE /api/objects/:objectType[/:id]');
+    logger.info('- GET  /api/objects/:objectType (search), POST /api/objects/:objectType/search');
+    logger.info('- POST /api/objects/:objectType/batch[/read,update,upsert,archive]');
+    logger.info('- GET/POST /api/objects/:objectType/properties[/:name], POST .../properties/{plan,apply}');
+    logger.info('');
+    logger.info('Make sure to:');
+    logger.info('1. Copy .env.example to .env');
+    logger.info('2. Add your HubSpot access token');
+    logger.info('3. Run "npm run setup" to create custom properties');
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const express = require('express');
+const AuditService = require('../services/audit');
+const logger = require('../utils/logger');
+const { requireRole } = require('../utils/auth');
+
+const router = express.Router();
+const audit = AuditService.shared();
+
+// Most entries one request can ask for
+const MAX_LIMIT = 1000;
+
+// GET /api/audit - Audit log entries, newest first. Filters: contactId, objectType,
+// objectId, actor, action, portal, from and to (ISO dates), limit (default 100)
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { contactId, objectType, objectId, actor, action, portal, from, to } = req.query;
+
+    const invalidDate = [['from', from], ['to', to]].find(([, value]) => value && Number.isNaN(Date.parse(value)));
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid "${invalidDate[0]}" date: use an ISO 8601 date or timestamp`
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_LIMIT}`
+      });
+    }
+
+    if (contactId && ((objectType && objectType !== 'contacts') || (objectId && objectId !== contactId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'contactId cannot be combined with another objectType or objectId'
+      });
+    }
+
+    const result = await audit.query({
+      objectType: contactId ? 'contacts' : objectType,
+      objectId: contactId || objectId,
+      actor,
+      action,
+      portal,
+      from,
+      to,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to read audit log', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const CacheService = require('../services/cache');
+const logger = require('../utils/logger');
+const { requireRole } = require('../utils/auth');
+
+const router = express.Router();
+const cacheService = CacheService.shared();
+
+// GET /api/cache - Cache hit/miss statistics
+router.get('/', requireRole('reader'), (req, res) => {
+  res.json({
+    success: true,
+    data: cacheService.stats()
+  });
+});
+
+// DELETE /api/cache - Drop every cached entry
+router.delete('/', requireRole('admin'), async (req, res) => {
+  try {
+    logger.info('API: Clearing cache');
+
+    await cacheService.clear();
+
+    res.json({
+      success: true,
+      message: 'Cache cleared successfully',
+      data: cacheService.stats()
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to clear cache', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,63 +1,396 @@
+const { once } = require('events');
+const fs = require('fs');
+const { finished } = require('stream/promises');
 const express = require('express');
-const HubSpotService = require('../services/hubspot');
+const multer = require('multer');
+const config = require('../config/hubspot');
+const FieldMapping = require('../services/fields');
+const PortalRegistry = require('../services/portals');
+const WebhookService = require('../services/webhooks');
+const AuditService = require('../services/audit');
+const JobQueue = require('../services/jobs');
 const logger = require('../utils/logger');
+const {
+  buildSearch,
+  runSearch,
+  validateBatchId,
+  sendBatchItems,
+  formatBatchResult,
+  batchData,
+  batchItemError,
+  batchHandler: sharedBatchHandler
+} = require('../utils/crm-routes');
+const { validateContact } = require('../utils/validation');
+const { toCsvLine } = require('../utils/csv');
+const { setCacheControl } = require('../utils/http-cache');
+const { requireRole } = require('../utils/auth');
 
 const router = express.Router();
-const hubspotService = new HubSpotService();
+const fieldMapping = FieldMapping.shared();
+const audit = AuditService.shared();
+const jobs = JobQueue.shared();
 
-// Validation middleware
-const validateContactData = (req, res, next) => {
-  const { firstName, lastName, email } = req.body;
-  
-  if (!firstName || !lastName || !email) {
-    return res.status(400).json({
+// Services of the HubSpot portal the request selected
+const portal = () => PortalRegistry.current();
+
+// Contacts changed in HubSpot are dropped from the cache of the portal that sent
+// the event; merges also name the merged-away ids
+const CONTACT_CHANGE_EVENTS = ['contact.propertyChange', 'contact.deletion', 'contact.privacyDeletion', 'contact.merge', 'contact.restore'];
+CONTACT_CHANGE_EVENTS.forEach(eventType => WebhookService.shared().on(eventType, event => PortalRegistry.shared().forHubId(event.portalId).contacts.invalidateContacts([
+  event.objectId,
+  ...(event.raw.mergedObjectIds || []).map(String)
+])));
+
+// CSV uploads arrive either as multipart "file" fields or as a raw text/csv body
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+const csvBody = express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '10mb' });
+
+// Background jobs send batches in slices of this many items, saving their
+// progress after each one (export jobs: after this many rows)
+const JOB_SLICE_SIZE = 500;
+
+// async=true asks for a background job instead of an answer within the request
+const isAsync = (options) => String(options.async) === 'true';
+
+// Queue a background job for this request and answer 202 with where to follow it
+const sendJobAccepted = async (req, res, type, payload, options = {}) => {
+  const job = await jobs.enqueue(type, payload, { origin: AuditService.origin(req), ...options });
+  const statusUrl = `/api/jobs/${job.id}`;
+
+  res.status(202).location(statusUrl).json({
+    success: true,
+    message: 'Job queued',
+    data: { jobId: job.id, status: job.status, statusUrl }
+  });
+};
+
+// Property definitions that request payloads are type-checked against
+const contactDefinitions = () => portal().properties.getPropertyDefinitionsByName();
+
+// 400 listing every invalid field: details is [{ field, property, message }]
+const sendValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Invalid contact data',
+  details: errors
+});
+
+// Type-check a payload against the property definitions, then check that its
+// owner is active (resolving ownerEmail to ownerId). Resolves with { data, errors }.
+const validateContactPayload = async (body, { partial = false } = {}) => {
+  const { data, errors } = validateContact(body, fieldMapping.entries, contactDefinitions(), { partial });
+  const owner = await portal().owners.resolveOwnerFields({ ...data, ownerEmail: body?.ownerEmail });
+
+  return { data: owner.data, errors: [...errors, ...owner.errors] };
+};
+
+// Validation middleware: checks required fields, property types and the owner,
+// and replaces the body values with their normalized form
+const validateContactData = async (req, res, next) => {
+  let result;
+  try {
+    result = await validateContactPayload(req.body);
+  } catch (error) {
+    logger.error('API: Failed to validate contact', error);
+    return res.status(500).json({
       success: false,
-      error: 'Missing required fields: firstName, lastName, and email are required'
+      error: error.error || 'Internal server error',
+      details: error.details || null
     });
   }
 
-  // Validate email format
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid email format'
-    });
+  if (result.errors.length > 0) {
+    return sendValidationError(res, result.errors);
   }
 
+  req.body = { ...req.body, ...result.data };
   next();
 };
 
+// HubSpot properties keyed by API field name; `include` keeps extra unmapped properties
+const formatProperties = (properties, include) => fieldMapping.fromProperties(properties || {}, { include });
+
+// Shape a HubSpot contact for API responses
+const formatContact = (contact, include) => ({
+  contactId: contact.id,
+  properties: formatProperties(contact.properties, include),
+  createdAt: contact.createdAt,
+  updatedAt: contact.updatedAt
+});
+
+// Pick the contact fields the service understands from a request body
+const buildContactData = (body) => {
+  const contactData = {};
+  fieldMapping.fieldNames.forEach(field => {
+    contactData[field] = body[field];
+  });
+  return contactData;
+};
+
+// Property names from a request (API field names or raw HubSpot names), as HubSpot properties
+const toPropertyNames = (names) => names.map(name => fieldMapping.propertyFor(name));
+
+// Send the result of an upsert: 201 when created, 200 otherwise
+const sendUpsertResult = (res, result, company) => {
+  res.status(result.action === 'created' ? 201 : 200).json({
+    success: true,
+    message: `Contact ${result.action} successfully`,
+    data: {
+      contactId: result.contactId,
+      action: result.action,
+      updatedProperties: result.changedProperties.map(property => fieldMapping.fieldFor(property)),
+      properties: formatProperties(result.contact.properties),
+      ...(company ? { company } : {})
+    }
+  });
+};
+
+// Audit an upsert as the create or update it turned into; upserts that changed nothing leave no entry
+const auditUpsert = async (req, result) => {
+  if (result.action === 'unchanged') return;
+
+  await audit.record(req, {
+    action: result.action === 'created' ? 'contact.create' : 'contact.update',
+    objectType: 'contacts',
+    objectId: result.contactId,
+    changes: AuditService.diff(
+      result.previous ? formatProperties(result.previous.properties) : {},
+      formatProperties(result.contact.properties),
+      result.changedProperties.map(property => fieldMapping.fieldFor(property))
+    )
+  });
+};
+
+// Contacts created without an owner get one from the assignment rules, if configured
+const assignOwner = (contactData) => portal().owners.assignOwner(contactData);
+
+// With ?associateCompany=true, find or create the company named in candidatePastCompany
+// (a name or a domain) and associate the contact with it. The contact write has
+// already succeeded, so a failure here is reported in the response, not as an error status.
+const associatePastCompany = async (req, contactId, contactData) => {
+  if (req.query.associateCompany !== 'true' || !contactData.candidatePastCompany) return undefined;
+
+  try {
+    const { company, action } = await portal().companies.findOrCreateCompany(contactData.candidatePastCompany);
+    await portal().contacts.associate(contactId, 'companies', company.id);
+
+    return {
+      companyId: company.id,
+      name: company.properties?.name ?? null,
+      domain: company.properties?.domain ?? null,
+      action
+    };
+
+  } catch (error) {
+    logger.error(`API: Failed to associate contact ${contactId} with a company`, error);
+    return { success: false, error: error.error || 'Failed to associate company' };
+  }
+};
+
 // POST /api/contacts - Create new contact
-router.post('/', validateContactData, async (req, res) => {
+// With ?upsert=true, an existing contact with the same email (or ?idProperty=) is updated instead
+router.post('/', requireRole('recruiter'), validateContactData, async (req, res) => {
   try {
     logger.info('API: Creating new contact', req.body);
 
-    const contactData = {
-      firstName: req.body.firstName,
-      lastName: req.body.lastName,
-      email: req.body.email,
-      phone: req.body.phone,
-      ownerId: req.body.ownerId,
-      candidateExperience: req.body.candidateExperience,
-      candidateDateOfJoining: req.body.candidateDateOfJoining,
-      candidateName: req.body.candidateName,
-      candidatePastCompany: req.body.candidatePastCompany
-    };
+    const contactData = buildContactData(req.body);
 
-    const result = await hubspotService.createContact(contactData);
+    if (req.query.upsert === 'true') {
+      const result = await portal().contacts.upsertContact(contactData, {
+        idProperty: req.query.idProperty ? fieldMapping.propertyFor(req.query.idProperty) : undefined,
+        prepareCreate: assignOwner,
+        definitions: contactDefinitions()
+      });
+      await auditUpsert(req, result);
+      return sendUpsertResult(res, result, await associatePastCompany(req, result.contactId, contactData));
+    }
+
+    const result = await portal().contacts.createContact(await assignOwner(contactData));
+    await audit.record(req, {
+      action: 'contact.create',
+      objectType: 'contacts',
+      objectId: result.contactId,
+      changes: AuditService.diff({}, formatProperties(result.contact.properties))
+    });
+    const company = await associatePastCompany(req, result.contactId, contactData);
     
     res.status(201).json({
       success: true,
       message: 'Contact created successfully',
       data: {
         contactId: result.contactId,
-        properties: result.contact.properties
+        properties: formatProperties(result.contact.properties),
+        ...(company ? { company } : {})
       }
     });
 
   } catch (error) {
     logger.error('API: Failed to create contact', error);
+    const status = [400, 409].includes(error.status) ? error.status : 500;
+    res.status(status).json({
+      success: false,
+      error: status === 409 ? 'Contact already exists' : (error.error || 'Internal server error'),
+      details: error.details || null
+    });
+  }
+});
+
+// PUT /api/contacts/by-email/:email - Create or update the contact with this email
+router.put('/by-email/:email', requireRole('recruiter'), (req, res, next) => {
+  req.body = { ...req.body, email: req.params.email };
+  next();
+}, validateContactData, async (req, res) => {
+  try {
+    logger.info(`API: Upserting contact ${req.params.email}`, req.body);
+
+    const result = await portal().contacts.upsertContact(buildContactData(req.body), { idProperty: 'email', prepareCreate: assignOwner, definitions: contactDefinitions() });
+    await auditUpsert(req, result);
+    sendUpsertResult(res, result);
+
+  } catch (error) {
+    logger.error(`API: Failed to upsert contact ${req.params.email}`, error);
+    // A conflict that a second lookup couldn't resolve, or HubSpot's 404 or rate limit, reaches the caller as is
+    res.status([400, 404, 409, 429].includes(error.status) ? error.status : 500).json({
+      success: false,
+      error: error.error || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
+// Write a chunk to the response, waiting for the socket to drain when its buffer
+// is full. A client that disconnects meanwhile never drains it, so 'close' ends
+// the wait too; callers check `destroyed` to stop writing.
+const writeChunk = async (res, chunk) => {
+  if (res.write(chunk)) return;
+
+  const waiting = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: waiting.signal }),
+      once(res, 'close', { signal: waiting.signal })
+    ]);
+  } finally {
+    waiting.abort();
+  }
+};
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const exportFileName = (format) => `contacts-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+// What an export request asks for, or { error, details } for a 400. The result
+// is plain data so a background export job can be queued with it.
+const parseExportRequest = (query) => {
+  const format = query.format || 'csv';
+  if (!Object.keys(EXPORT_CONTENT_TYPES).includes(format)) {
+    return { error: 'format must be csv or ndjson' };
+  }
+
+  const filters = buildQueryFilters(query);
+  const { search, errors } = buildSearch(contactRecords, { q: query.q, sorts: query.sort, filters });
+  if (errors.length > 0) {
+    return { error: 'Invalid search query', details: errors };
+  }
+
+  const names = query.properties
+    ? String(query.properties).split(',').map(name => name.trim()).filter(Boolean)
+    : fieldMapping.fieldNames;
+
+  return {
+    format,
+    names,
+    properties: toPropertyNames(names),
+    filters,
+    search: { filterGroups: search.filterGroups, sorts: search.sorts }
+  };
+};
+
+const exportContacts = ({ filters, search, properties }) => portal().contacts.iterateContacts(filters, { ...search, properties });
+
+const exportHeader = ({ format, names }) => (format === 'csv' ? toCsvLine(['id', ...names, 'createdAt', 'updatedAt']) : '');
+
+// One exported contact as a CSV line or an NDJSON line
+const exportLine = ({ format, names, properties }, contact) => {
+  if (format === 'csv') {
+    return toCsvLine([
+      contact.id,
+      ...properties.map(name => contact.properties?.[name]),
+      contact.createdAt,
+      contact.updatedAt
+    ]);
+  }
+
+  const selected = {};
+  names.forEach((name, position) => {
+    selected[name] = contact.properties?.[properties[position]] ?? null;
+  });
+  return JSON.stringify({ ...formatContact(contact), properties: selected }) + '\n';
+};
+
+// GET /api/contacts/export - Stream every matching contact as CSV or NDJSON
+// Takes the same filters as search plus format=csv|ndjson and properties=a,b,c
+// (API field names or HubSpot property names; columns are named as given).
+// With async=true the file is written by a background job and downloaded from it.
+// Registered before /:id so "export" is not treated as a contact id.
+router.get('/export', requireRole('reader'), async (req, res) => {
+  let exported = 0;
+
+  try {
+    logger.info('API: Exporting contacts', req.query);
+
+    const request = parseExportRequest(req.query);
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        error: request.error,
+        ...(request.details ? { details: request.details } : {})
+      });
+    }
+
+    if (isAsync(req.query)) {
+      return await sendJobAccepted(req, res, 'contacts.export', request);
+    }
+
+    const contacts = exportContacts(request);
+
+    // Headers go out with the first row, so a failure on the first page can still return JSON
+    const startFile = async () => {
+      res.set('Content-Type', EXPORT_CONTENT_TYPES[request.format]);
+      res.set('Content-Disposition', `attachment; filename="${exportFileName(request.format)}"`);
+      if (request.format === 'csv') await writeChunk(res, exportHeader(request));
+    };
+
+    for await (const contact of contacts) {
+      if (res.destroyed) break;
+      if (exported === 0) await startFile();
+
+      await writeChunk(res, exportLine(request, contact));
+      exported++;
+      if (res.destroyed) break;
+    }
+
+    if (res.destroyed) {
+      logger.info('Contacts export stopped: client disconnected', { exported });
+      return;
+    }
+
+    if (exported === 0) await startFile();
+    res.end();
+
+    logger.success('Contacts export completed', { format: request.format, exported });
+
+  } catch (error) {
+    logger.error('API: Failed to export contacts', error);
+
+    if (res.headersSent) {
+      // Part of the file is already out; cut the stream so the client sees it is incomplete
+      res.destroy(error instanceof Error ? error : new Error(error.error || 'Export failed'));
+      return;
+    }
+
     res.status(500).json({
       success: false,
       error: error.error || 'Internal server error',
@@ -66,13 +399,180 @@ router.post('/', validateContactData, async (req, res) => {
   }
 });
 
+// Export job: writes the same file to the job's output, counting rows as it goes.
+// A restart starts the file over.
+jobs.register('contacts.export', async (request, job) => {
+  const filePath = job.outputPath(request.format, {
+    fileName: exportFileName(request.format),
+    contentType: EXPORT_CONTENT_TYPES[request.format]
+  });
+  const file = fs.createWriteStream(filePath, { mode: 0o600 });
+  let exported = 0;
+
+  try {
+    if (request.format === 'csv') await writeChunk(file, exportHeader(request));
+
+    for await (const contact of exportContacts(request)) {
+      if (job.isCancelled()) break;
+
+      await writeChunk(file, exportLine(request, contact));
+      exported++;
+      if (exported % JOB_SLICE_SIZE === 0) await job.update({ processed: exported, succeeded: exported });
+    }
+  } finally {
+    file.end();
+    await finished(file);
+  }
+
+  await job.update({ total: exported, processed: exported, succeeded: exported });
+  return { format: request.format, exported };
+}, { resumable: true });
+
+// GET /api/contacts/duplicates - Pairs of contacts that are likely the same person, best first.
+// Takes the search filters (q and the simple filter params) to limit the scan,
+// minScore (0 to 1, default 0.5) and limit (default 100).
+// Registered before /:id so "duplicates" is not treated as a contact id.
+router.get('/duplicates', requireRole('reader'), async (req, res) => {
+  try {
+    logger.info('API: Finding duplicate contacts', req.query);
+
+    const minScore = req.query.minScore === undefined ? 0.5 : Number(req.query.minScore);
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+    if (!(minScore >= 0 && minScore <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'minScore must be a number between 0 and 1'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 1000'
+      });
+    }
+
+    const { search, errors } = buildSearch(contactRecords, { q: req.query.q, filters: buildQueryFilters(req.query) });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        details: errors
+      });
+    }
+
+    const result = await portal().duplicates.findDuplicates({ filterGroups: search.filterGroups, minScore, limit });
+
+    res.json({
+      success: true,
+      data: {
+        scanned: result.scanned,
+        truncated: result.truncated,
+        total: result.total,
+        duplicates: result.duplicates.map(duplicate => ({
+          score: duplicate.score,
+          reasons: duplicate.reasons,
+          contacts: duplicate.contacts.map(contact => formatContact(contact))
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to find duplicate contacts', error);
+    res.status(500).json({
+      success: false,
+      error: error.error || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
+// POST /api/contacts/merge - Merge one contact into another ({ primaryContactId, contactIdToMerge }).
+// The response previews which value survives for every property; with
+// dryRun: true (or ?dryRun=true) only the preview is returned.
+router.post('/merge', requireRole('admin'), async (req, res) => {
+  try {
+    const { primaryContactId, contactIdToMerge } = req.body || {};
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun) === 'true';
+    logger.info('API: Merging contacts', { primaryContactId, contactIdToMerge, dryRun });
+
+    const validId = (id) => (typeof id === 'string' || typeof id === 'number') && String(id) !== '';
+    if (!validId(primaryContactId) || !validId(contactIdToMerge)) {
+      return res.status(400).json({
+        success: false,
+        error: 'primaryContactId and contactIdToMerge are required'
+      });
+    }
+
+    if (String(primaryContactId) === String(contactIdToMerge)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A contact cannot be merged into itself'
+      });
+    }
+
+    const duplicates = portal().duplicates;
+    const result = dryRun
+      ? await duplicates.previewMerge(primaryContactId, contactIdToMerge)
+      : await duplicates.mergeContacts(primaryContactId, contactIdToMerge);
+
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        contactId: result.contactId
+      });
+    }
+
+    const preview = dryRun ? result : result.preview;
+    const survivors = preview.properties.map(survivor => ({ field: fieldMapping.fieldFor(survivor.property), ...survivor }));
+
+    if (!dryRun) {
+      await audit.record(req, {
+        action: 'contact.merge',
+        objectType: 'contacts',
+        objectId: result.contactId,
+        changes: survivors
+          .filter(survivor => survivor.source === 'merged')
+          .map(survivor => ({ field: survivor.field, before: survivor.primaryValue, after: survivor.value })),
+        details: { primaryContactId: String(primaryContactId), mergedContactId: String(contactIdToMerge) }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Merge preview' : 'Contacts merged successfully',
+      data: {
+        ...(dryRun ? {} : { contactId: result.contactId, contact: formatContact(result.contact) }),
+        preview: {
+          primary: formatContact(preview.primary),
+          merged: formatContact(preview.merged),
+          properties: survivors,
+          additionalEmails: preview.additionalEmails,
+          approximate: preview.approximate
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to merge contacts', error);
+    res.status(error.status === 400 ? 400 : 500).json({
+      success: false,
+      error: error.error || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
 // GET /api/contacts/:id - Get contact by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireRole('reader'), async (req, res) => {
   try {
     const contactId = req.params.id;
     logger.info(`API: Retrieving contact ${contactId}`);
 
-    const result = await hubspotService.getContact(contactId);
+    const result = await portal().contacts.getContact(contactId);
     
     if (!result.success) {
       return res.status(404).json({
@@ -82,18 +582,52 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    setCacheControl(res, config.cache.contactTtlMs);
+    res.json({
+      success: true,
+      data: formatContact(result.contact)
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to retrieve contact ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: error.error || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
+// GET /api/contacts/:id/history - Value changes of the contact's properties, newest first
+// (?properties=a,b as API field names or HubSpot names; every mapped field by default)
+router.get('/:id/history', requireRole('reader'), async (req, res) => {
+  try {
+    const contactId = req.params.id;
+    logger.info(`API: Retrieving property history of contact ${contactId}`);
+
+    const names = req.query.properties
+      ? String(req.query.properties).split(',').map(name => name.trim()).filter(Boolean)
+      : fieldMapping.fieldNames;
+    const result = await portal().contacts.getContactHistory(contactId, [...new Set(toPropertyNames(names))]);
+
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        contactId
+      });
+    }
+
     res.json({
       success: true,
       data: {
         contactId: result.contact.id,
-        properties: result.contact.properties,
-        createdAt: result.contact.createdAt,
-        updatedAt: result.contact.updatedAt
+        history: result.history.map(change => ({ field: fieldMapping.fieldFor(change.property), ...change }))
       }
     });
 
   } catch (error) {
-    logger.error(`API: Failed to retrieve contact ${req.params.id}`, error);
+    logger.error(`API: Failed to retrieve property history of contact ${req.params.id}`, error);
     res.status(500).json({
       success: false,
       error: error.error || 'Internal server error',
@@ -103,34 +637,16 @@ router.get('/:id', async (req, res) => {
 });
 
 // PATCH /api/contacts/:id - Update contact
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requireRole('recruiter'), async (req, res) => {
   try {
     const contactId = req.params.id;
     logger.info(`API: Updating contact ${contactId}`, req.body);
 
-    // Build update data object
-    const updateData = {};
-    
-    // Map request body to update data
-    if (req.body.firstName !== undefined) updateData.firstName = req.body.firstName;
-    if (req.body.lastName !== undefined) updateData.lastName = req.body.lastName;
-    if (req.body.email !== undefined) updateData.email = req.body.email;
-    if (req.body.phone !== undefined) updateData.phone = req.body.phone;
-    if (req.body.ownerId !== undefined) updateData.ownerId = req.body.ownerId;
-    if (req.body.candidateExperience !== undefined) updateData.candidateExperience = req.body.candidateExperience;
-    if (req.body.candidateDateOfJoining !== undefined) updateData.candidateDateOfJoining = req.body.candidateDateOfJoining;
-    if (req.body.candidateName !== undefined) updateData.candidateName = req.body.candidateName;
-    if (req.body.candidatePastCompany !== undefined) updateData.candidatePastCompany = req.body.candidatePastCompany;
-
-    // Validate email if provided
-    if (updateData.email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(updateData.email)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid email format'
-        });
-      }
+    // Only the fields present in the body are validated and sent
+    const { data: updateData, errors } = await validateContactPayload(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
     }
 
     if (Object.keys(updateData).length === 0) {
@@ -140,7 +656,21 @@ router.patch('/:id', async (req, res) => {
       });
     }
 
-    const result = await hubspotService.updateContact(contactId, updateData);
+    // Read the current values first (bypassing the cache) for the audit diff
+    const contacts = portal().contacts;
+    const before = await contacts.getContact(contactId, contacts.fields.properties);
+    const result = await contacts.updateContact(contactId, updateData);
+    await audit.record(req, {
+      action: 'contact.update',
+      objectType: 'contacts',
+      objectId: result.contactId,
+      changes: AuditService.diff(
+        before.success ? formatProperties(before.contact.properties) : null,
+        { ...updateData, ...formatProperties(result.contact.properties) },
+        Object.keys(updateData)
+      )
+    });
+    const company = await associatePastCompany(req, result.contactId, updateData);
     
     res.json({
       success: true,
@@ -148,13 +678,14 @@ router.patch('/:id', async (req, res) => {
       data: {
         contactId: result.contactId,
         updatedProperties: Object.keys(updateData),
-        properties: result.contact.properties
+        properties: formatProperties(result.contact.properties),
+        ...(company ? { company } : {})
       }
     });
 
   } catch (error) {
     logger.error(`API: Failed to update contact ${req.params.id}`, error);
-    res.status(500).json({
+    res.status(error.status === 400 ? 400 : 500).json({
       success: false,
       error: error.error || 'Internal server error',
       details: error.details || null
@@ -162,37 +693,60 @@ router.patch('/:id', async (req, res) => {
   }
 });
 
+// Simple equality filters from query params named after API fields (?candidatePastCompany=Acme)
+const buildQueryFilters = (query) => {
+  const filters = {};
+
+  fieldMapping.fieldNames.forEach(field => {
+    if (query[field]) filters[fieldMapping.propertyFor(field)] = query[field];
+  });
+
+  return filters;
+};
+
 // GET /api/contacts - Search contacts with filters
-router.get('/', async (req, res) => {
+// Supports q=<compact filter expression> and sort=[-]property (see utils/search)
+router.get('/', requireRole('reader'), async (req, res) => {
   try {
     logger.info('API: Searching contacts', req.query);
 
-    const filters = {};
-    const limit = parseInt(req.query.limit) || 10;
+    const filters = buildQueryFilters(req.query);
 
-    // Build filters from query parameters
-    if (req.query.firstName) filters.firstname = req.query.firstName;
-    if (req.query.lastName) filters.lastname = req.query.lastName;
-    if (req.query.email) filters.email = req.query.email;
-    if (req.query.ownerId) filters.hubspot_owner_id = req.query.ownerId;
-    if (req.query.candidateExperience) filters.candidate_experience = req.query.candidateExperience;
-    if (req.query.candidatePastCompany) filters.candidate_past_company = req.query.candidatePastCompany;
+    await runSearch(res, contactRecords, {
+      q: req.query.q,
+      sorts: req.query.sort,
+      filters,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      all: req.query.all === 'true'
+    });
 
-    const result = await hubspotService.searchContacts(filters, limit);
-    
-    res.json({
-      success: true,
-      data: {
-        contacts: result.contacts.map(contact => ({
-          contactId: contact.id,
-          properties: contact.properties,
-          createdAt: contact.createdAt,
-          updatedAt: contact.updatedAt
-        })),
-        total: result.total,
-        limit,
-        filters: filters
-      }
+  } catch (error) {
+    logger.error('API: Failed to search contacts', error);
+    res.status(500).json({
+      success: false,
+      error: error.error || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
+// POST /api/contacts/search - Search contacts with a JSON body
+// Body: { filterGroups?, q?, sorts?, limit?, cursor?, all? }
+router.post('/search', requireRole('reader'), async (req, res) => {
+  try {
+    logger.info('API: Searching contacts', req.body);
+
+    const body = req.body || {};
+
+    await runSearch(res, contactRecords, {
+      q: body.q,
+      filterGroups: body.filterGroups || [],
+      sorts: body.sorts,
+      filters: {},
+      limit: body.limit,
+      cursor: body.cursor,
+      all: body.all === true
     });
 
   } catch (error) {
@@ -206,12 +760,13 @@ router.get('/', async (req, res) => {
 });
 
 // DELETE /api/contacts/:id - Delete contact (for testing purposes)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     const contactId = req.params.id;
     logger.info(`API: Deleting contact ${contactId}`);
 
-    const result = await hubspotService.deleteContact(contactId);
+    const result = await portal().contacts.deleteContact(contactId);
+    await audit.record(req, { action: 'contact.delete', objectType: 'contacts', objectId: result.contactId });
     
     res.json({
       success: true,
@@ -229,51 +784,383 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Object types a contact can be associated with through the associations routes
+const ASSOCIATION_TYPES = ['companies', 'deals', 'tickets'];
+
+// Reject unsupported object types before calling HubSpot
+const checkAssociationType = (req, res, next) => {
+  if (!ASSOCIATION_TYPES.includes(req.params.toObjectType)) {
+    return res.status(400).json({
+      success: false,
+      error: `Object type must be one of: ${ASSOCIATION_TYPES.join(', ')}`
+    });
+  }
+  next();
+};
+
+// Errors from the associations routes: HubSpot's 404 (unknown contact or record) is passed through
+const sendAssociationError = (res, error) => {
+  const status = [400, 404].includes(error.status) ? error.status : 500;
+  res.status(status).json({
+    success: false,
+    error: status === 404 ? 'Contact or associated record not found' : (error.error || 'Internal server error'),
+    details: error.details || null
+  });
+};
+
+// GET /api/contacts/:id/associations/:toObjectType - List associated records of one type
+router.get('/:id/associations/:toObjectType', requireRole('reader'), checkAssociationType, async (req, res) => {
+  try {
+    const { id, toObjectType } = req.params;
+    const result = await portal().contacts.listAssociations(id, toObjectType);
+
+    res.json({
+      success: true,
+      data: {
+        contactId: id,
+        toObjectType,
+        total: result.associations.length,
+        associations: result.associations
+      }
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to list associations for contact ${req.params.id}`, error);
+    sendAssociationError(res, error);
+  }
+});
+
+// GET /api/contacts/:id/associations/:toObjectType/:toId - Check a single association
+router.get('/:id/associations/:toObjectType/:toId', requireRole('reader'), checkAssociationType, async (req, res) => {
+  try {
+    const { id, toObjectType, toId } = req.params;
+    const result = await portal().contacts.listAssociations(id, toObjectType);
+    const association = result.associations.find(item => item.toObjectId === String(toId));
+
+    if (!association) {
+      return res.status(404).json({
+        success: false,
+        error: `Contact ${id} is not associated with ${toObjectType} ${toId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { contactId: id, toObjectType, ...association }
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to read association for contact ${req.params.id}`, error);
+    sendAssociationError(res, error);
+  }
+});
+
+// PUT /api/contacts/:id/associations/:toObjectType/:toId - Associate (idempotent)
+router.put('/:id/associations/:toObjectType/:toId', requireRole('recruiter'), checkAssociationType, async (req, res) => {
+  try {
+    const { id, toObjectType, toId } = req.params;
+    const result = await portal().contacts.associate(id, toObjectType, toId);
+    await audit.record(req, { action: 'contact.associate', objectType: 'contacts', objectId: id, details: { toObjectType, toObjectId: toId } });
+
+    res.json({
+      success: true,
+      message: 'Association created successfully',
+      data: { contactId: result.id, toObjectType, toObjectId: result.toObjectId }
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to associate contact ${req.params.id}`, error);
+    sendAssociationError(res, error);
+  }
+});
+
+// DELETE /api/contacts/:id/associations/:toObjectType/:toId - Remove an association
+router.delete('/:id/associations/:toObjectType/:toId', requireRole('recruiter'), checkAssociationType, async (req, res) => {
+  try {
+    const { id, toObjectType, toId } = req.params;
+    const result = await portal().contacts.removeAssociation(id, toObjectType, toId);
+    await audit.record(req, { action: 'contact.unassociate', objectType: 'contacts', objectId: id, details: { toObjectType, toObjectId: toId } });
+
+    res.json({
+      success: true,
+      message: 'Association removed successfully',
+      data: { contactId: result.id, toObjectType, toObjectId: result.toObjectId }
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to remove association for contact ${req.params.id}`, error);
+    sendAssociationError(res, error);
+  }
+});
+
+// Batch row validators: return { value } with the normalized row, or { error, details }
+const validateBatchContact = async (contact) => {
+  const { data, errors } = await validateContactPayload(contact);
+  if (errors.length > 0) return { error: 'Invalid contact data', details: errors };
+  return { value: { ...contact, ...data } };
+};
+
+const validateBatchUpdate = async (update) => {
+  if (!update || !update.id) return { error: 'Missing required field: id' };
+
+  const { data, errors } = await validateContactPayload(update, { partial: true });
+  if (errors.length > 0) return { error: 'Invalid contact data', details: errors };
+  if (Object.keys(data).length === 0) return { error: 'No valid fields to update provided' };
+  return { value: { id: update.id, ...data } };
+};
+
+// The batch endpoints by action: the body field holding the items, the row
+// validator and run(items, options) sending valid rows to HubSpot. options(req)
+// picks what else the request sets, as plain data so a job can run it later;
+// options.properties lists unmapped properties to keep in each result.
+// Audited actions record every contact changed in the audit log.
+const BATCH_ACTIONS = {
+  create: {
+    field: 'contacts',
+    validate: validateBatchContact,
+    run: async contacts => {
+      // One at a time so round-robin assignment follows the input order
+      const contactsData = [];
+      for (const contact of contacts) {
+        contactsData.push(await assignOwner(buildContactData(contact)));
+      }
+      return portal().contacts.batchCreateContacts(contactsData);
+    },
+    successStatus: 201,
+    audited: true
+  },
+  read: {
+    field: 'ids',
+    validate: validateBatchId,
+    options: req => ({
+      properties: Array.isArray(req.body?.properties) ? toPropertyNames(req.body.properties) : undefined,
+      idProperty: req.body.idProperty ? fieldMapping.propertyFor(req.body.idProperty) : undefined
+    }),
+    run: (ids, { properties, idProperty }) => portal().contacts.batchReadContacts(ids, { properties, idProperty })
+  },
+  update: {
+    field: 'contacts',
+    validate: validateBatchUpdate,
+    run: updates => portal().contacts.batchUpdateContacts(updates),
+    audited: true
+  },
+  upsert: {
+    field: 'contacts',
+    validate: validateBatchContact,
+    options: req => ({
+      idProperty: req.query.idProperty ? fieldMapping.propertyFor(req.query.idProperty) : undefined
+    }),
+    run: (contacts, { idProperty }) => portal().contacts.batchUpsertContacts(contacts.map(buildContactData), { idProperty }),
+    audited: true
+  },
+  archive: {
+    field: 'ids',
+    validate: validateBatchId,
+    run: ids => portal().contacts.batchArchiveContacts(ids),
+    audited: true
+  }
+};
+
+// Contacts as the shared search and batch code (utils/crm-routes) sees them.
+// Requests and responses use API field names; batch updates are audited
+// against the fields sent, creates and upserts with every field returned.
+const contactRecords = {
+  objectType: 'contacts',
+  auditAction: 'contact',
+  idKey: 'contactId',
+  recordKey: 'contact',
+  resultsKey: 'contacts',
+  service: () => portal().contacts,
+  definitions: contactDefinitions,
+  properties: () => portal().contacts.fields.properties,
+  propertyFor: name => fieldMapping.propertyFor(name),
+  toFields: formatProperties,
+  format: contact => formatContact(contact),
+  changedValues: (action, row) => {
+    if (action !== 'update') return null;
+    const { id, ...values } = row;
+    return values;
+  },
+  batchActions: BATCH_ACTIONS,
+  startBatchJob: (req, res, { total, ...payload }) => sendJobAccepted(req, res, 'contacts.batch', payload, {
+    progress: { total, processed: payload.invalid.length, failed: payload.invalid.length },
+    errors: payload.invalid.map(batchItemError)
+  })
+};
+
+// First and last input index of a list of them, or null
+const indexRange = (indexes) => (indexes.length > 0 ? { from: indexes[0], to: indexes[indexes.length - 1] } : null);
+
+// Batch job: sends the rows validated by the request a slice at a time. The
+// checkpoint holds the results so far, so a restart carries on from the slice
+// that was interrupted, which is sent again. Creates are the exception: resent
+// contacts that were in fact created would fail as conflicts and lose their
+// audit entries, so an interrupted create fails instead, naming the rows whose
+// outcome is unknown and those never sent.
+jobs.register('contacts.batch', async ({ action, options, invalid, validIndexes, validItems }, job) => {
+  const done = job.checkpoint?.results || [];
+
+  if (action === 'create' && job.attempts > 1) {
+    const next = job.checkpoint?.next || 0;
+    throw {
+      error: 'Interrupted by a restart; rows whose create was not confirmed are not sent again',
+      details: {
+        unconfirmedIndexes: indexRange(validIndexes.slice(next, next + JOB_SLICE_SIZE)),
+        unsentIndexes: indexRange(validIndexes.slice(next + JOB_SLICE_SIZE))
+      },
+      result: batchData([...invalid, ...done])
+    };
+  }
+
+  await sendBatchItems(job.origin, contactRecords, action, options, { validIndexes, validItems }, {
+    start: job.checkpoint?.next || 0,
+    sliceSize: JOB_SLICE_SIZE,
+    isCancelled: job.isCancelled,
+    onSlice: async (next, sliceResults) => {
+      const formatted = sliceResults.map(result => formatBatchResult(contactRecords, result, options.properties));
+      done.push(...formatted);
+
+      const succeeded = done.filter(result => result.success).length;
+      await job.update({
+        processed: invalid.length + done.length,
+        succeeded,
+        failed: invalid.length + done.length - succeeded,
+        errors: formatted.filter(result => !result.success).map(batchItemError),
+        checkpoint: { next, results: done }
+      });
+    }
+  });
+
+  return batchData([...invalid, ...done]);
+}, { resumable: true });
+
+const batchHandler = (action) => sharedBatchHandler(() => contactRecords, action);
+
 // POST /api/contacts/batch - Batch create contacts
-router.post('/batch', async (req, res) => {
+router.post('/batch', requireRole('recruiter'), batchHandler('create'));
+
+// POST /api/contacts/batch/read - Batch read contacts by id ({ ids, properties?, idProperty? })
+// properties and idProperty accept API field names or HubSpot property names
+router.post('/batch/read', requireRole('reader'), batchHandler('read'));
+
+// POST /api/contacts/batch/update - Batch update contacts ({ contacts: [{ id, ...fields }] })
+router.post('/batch/update', requireRole('recruiter'), batchHandler('update'));
+
+// POST /api/contacts/batch/upsert - Batch create-or-update contacts by email (or ?idProperty=)
+router.post('/batch/upsert', requireRole('recruiter'), batchHandler('upsert'));
+
+// POST /api/contacts/batch/archive - Batch archive contacts ({ ids })
+router.post('/batch/archive', requireRole('admin'), batchHandler('archive'));
+
+// One audit entry per contact an import created or updated, like the batch
+// endpoints: creates diff from empty values, updates record the values written
+const auditImport = async (origin, result) => {
+  for (const row of result.rows) {
+    if (!row.contactId || !['created', 'updated'].includes(row.status)) continue;
+
+    await audit.record(origin, {
+      action: 'contact.import',
+      objectType: 'contacts',
+      objectId: row.contactId,
+      changes: AuditService.diff(row.status === 'created' ? {} : null, row.contact || {}),
+      details: { row: row.row, action: row.status }
+    });
+  }
+};
+
+// POST /api/contacts/import - Import contacts from CSV
+// Options (query string or multipart fields): mapping (JSON of column -> field),
+// dryRun=true, upsert=true, idProperty, format=errors (download the error CSV),
+// async=true (import in a background job; the error CSV is its download)
+router.post('/import', requireRole('recruiter'), upload.single('file'), csvBody, async (req, res) => {
   try {
-    logger.info('API: Batch creating contacts', { count: req.body.contacts?.length });
+    const fields = req.body && typeof req.body === 'object' ? req.body : {};
+    const options = { ...req.query, ...fields };
+
+    let csv = options.csv;
+    if (req.file) csv = req.file.buffer.toString('utf8');
+    else if (typeof req.body === 'string') csv = req.body;
 
-    if (!req.body.contacts || !Array.isArray(req.body.contacts)) {
+    if (!csv) {
       return res.status(400).json({
         success: false,
-        error: 'Request body must contain a "contacts" array'
+        error: 'Provide the CSV as a multipart "file" field or a text/csv request body'
       });
     }
 
-    // Validate each contact
-    for (let i = 0; i < req.body.contacts.length; i++) {
-      const contact = req.body.contacts[i];
-      if (!contact.firstName || !contact.lastName || !contact.email) {
+    let mapping = options.mapping || {};
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
         return res.status(400).json({
           success: false,
-          error: `Contact at index ${i} is missing required fields (firstName, lastName, email)`
+          error: 'mapping must be a JSON object of CSV column to contact field'
         });
       }
     }
 
-    const result = await hubspotService.batchCreateContacts(req.body.contacts);
-    
-    res.status(201).json({
-      success: true,
-      message: 'Contacts created successfully',
-      data: {
-        created: result.contacts.length,
-        contacts: result.contacts.map(contact => ({
-          contactId: contact.id,
-          properties: contact.properties
-        }))
-      }
+    const dryRun = String(options.dryRun) === 'true';
+    const importOptions = {
+      mapping,
+      dryRun,
+      upsert: String(options.upsert) === 'true',
+      idProperty: options.idProperty ? fieldMapping.propertyFor(options.idProperty) : undefined
+    };
+    logger.info('API: Importing contacts from CSV', { dryRun, bytes: csv.length, async: isAsync(options) });
+
+    if (isAsync(options)) {
+      return await sendJobAccepted(req, res, 'contacts.import', { csv, ...importOptions });
+    }
+
+    const result = await portal().imports.importCsv(csv, importOptions);
+    await auditImport(AuditService.origin(req), result);
+
+    if (options.format === 'errors') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="import-errors.csv"');
+      return res.send(result.errorCsv || '');
+    }
+
+    const failed = result.summary.invalid + result.summary.failed;
+    let status = 200;
+    if (!dryRun) status = failed > 0 ? 207 : 201;
+
+    res.status(status).json({
+      success: failed === 0,
+      message: dryRun
+        ? `Dry run: ${result.summary.valid} valid and ${result.summary.invalid} invalid row(s)`
+        : `Imported ${result.summary.created + result.summary.updated} of ${result.summary.total} row(s)`,
+      data: result
     });
 
   } catch (error) {
-    logger.error('API: Failed to batch create contacts', error);
-    res.status(500).json({
+    logger.error('API: Failed to import contacts', error);
+    res.status(error.status === 400 ? 400 : 500).json({
       success: false,
-      error: error.error || 'Internal server error',
+      error: error.error || error.message || 'Internal server error',
       details: error.details || null
     });
   }
 });
 
+// Import job: the same import, saving progress and failed rows as slices are
+// sent. Not resumable, since rows already sent would be created again; an
+// interrupted import fails and its progress shows how far it got.
+jobs.register('contacts.import', async ({ csv, ...options }, job) => {
+  const result = await portal().imports.importCsv(csv, {
+    ...options,
+    isCancelled: job.isCancelled,
+    onProgress: progress => job.update(progress)
+  });
+  await auditImport(job.origin, result);
+
+  const { errorCsv, ...data } = result;
+  if (errorCsv) {
+    const filePath = job.outputPath('csv', { fileName: 'import-errors.csv', contentType: 'text/csv; charset=utf-8' });
+    await fs.promises.writeFile(filePath, errorCsv, { mode: 0o600 });
+  }
+  return data;
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const express = require('express');
+const JobQueue = require('../services/jobs');
+const logger = require('../utils/logger');
+const { requireRole } = require('../utils/auth');
+
+const router = express.Router();
+const jobs = JobQueue.shared();
+
+// Most jobs one list request returns
+const MAX_LIMIT = 200;
+
+const JOB_STATUSES = ['queued', 'running', ...JobQueue.FINISHED_STATUSES];
+
+// A job as the API returns it: what the request saved to run it stays internal
+const formatJob = (job) => {
+  const { origin, checkpoint, output, ...rest } = job;
+  return {
+    ...rest,
+    downloadUrl: output && job.status === 'completed' ? `/api/jobs/${job.id}/download` : null
+  };
+};
+
+// Load the job for :id into req.job. Callers see the jobs they started and
+// admins see all; anyone else gets the same 404 as for an unknown id.
+const loadJob = async (req, res, next) => {
+  try {
+    const job = await jobs.get(req.params.id);
+    if (!job || (req.auth?.role !== 'admin' && !JobQueue.startedBy(job, req.auth))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        jobId: req.params.id
+      });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    logger.error(`API: Failed to read job ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: error.error || error.message || 'Internal server error'
+    });
+  }
+};
+
+// GET /api/jobs - The caller's jobs (every job for admins), newest first.
+// Filters: status, limit (default 50)
+router.get('/', requireRole('reader'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_LIMIT}`
+      });
+    }
+
+    const list = await jobs.list({
+      createdBy: req.auth?.role === 'admin' ? undefined : req.auth,
+      status,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: { total: list.length, jobs: list.map(formatJob) }
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to list jobs', error);
+    res.status(500).json({
+      success: false,
+      error: error.error || error.message || 'Internal server error'
+    });
+  }
+});
+
+// GET /api/jobs/:id - Status, progress counts, per-item errors and, once finished, the result
+router.get('/:id', requireRole('reader'), loadJob, (req, res) => {
+  res.json({
+    success: true,
+    data: formatJob(req.job)
+  });
+});
+
+// POST /api/jobs/:id/cancel - Cancel a job: a queued one never starts, a
+// running one stops after the slice it is sending. 409 once it has finished.
+router.post('/:id/cancel', requireRole('reader'), loadJob, async (req, res) => {
+  try {
+    if (JobQueue.FINISHED_STATUSES.includes(req.job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${req.job.status}`,
+        jobId: req.job.id
+      });
+    }
+
+    const job = await jobs.cancel(req.job.id);
+    logger.info(`API: Cancel requested for job ${job.id}`, { status: job.status });
+
+    res.status(202).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      data: formatJob(job)
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to cancel job ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: error.error || error.message || 'Internal server error'
+    });
+  }
+});
+
+// GET /api/jobs/:id/download - The file a completed job wrote (an export, or an import's error CSV)
+router.get('/:id/download', requireRole('reader'), loadJob, (req, res) => {
+  const { output, status } = req.job;
+
+  if (!output || status !== 'completed' || !fs.existsSync(output.path)) {
+    return res.status(404).json({
+      success: false,
+      error: status === 'completed' ? 'This job has no file to download' : `Job is ${status}; its file is available once it completes`,
+      jobId: req.job.id
+    });
+  }
+
+  res.download(output.path, output.fileName, { headers: { 'Content-Type': output.contentType } });
+});
+
+module.exports = router;
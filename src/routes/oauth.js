@@ -0,0 +1,71 @@
+const express = require('express');
+const OAuthService = require('../services/oauth');
+const logger = require('../utils/logger');
+const { authenticate, requireRole } = require('../utils/auth');
+const { limitFailedAuth } = require('../utils/rate-limit');
+
+const router = express.Router();
+const oauthService = OAuthService.shared();
+
+// 503 while the app runs on a private app token
+const requireOAuth = (req, res, next) => {
+  if (!oauthService.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'OAuth is not configured (set HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET, and leave HUBSPOT_ACCESS_TOKEN unset)'
+    });
+  }
+  next();
+};
+
+// GET /oauth/install - Redirect to HubSpot to install the app in a portal (admin only).
+// The callback stays open, but only completes installs whose state was issued here.
+router.get('/install', requireOAuth, limitFailedAuth(), authenticate(), requireRole('admin'), (req, res) => {
+  const { url } = oauthService.createInstallUrl();
+  logger.info('OAuth: Redirecting to HubSpot for app install', { subject: req.auth.subject });
+  res.redirect(url);
+});
+
+// GET /oauth/callback - HubSpot redirects here with a code once the app is installed
+router.get('/callback', requireOAuth, async (req, res) => {
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: errorDescription || error
+      });
+    }
+
+    if (!code || !oauthService.consumeState(state)) {
+      return res.status(400).json({
+        success: false,
+        error: code ? 'Invalid or expired state, start again at /oauth/install' : 'Missing authorization code'
+      });
+    }
+
+    const install = await oauthService.exchangeCode(code);
+
+    res.json({
+      success: true,
+      message: 'HubSpot app installed successfully',
+      data: {
+        portalId: install.portalId,
+        hubDomain: install.hubDomain,
+        scopes: install.scopes,
+        expiresAt: new Date(install.expiresAt).toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('OAuth: Failed to complete app install', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.error || error.message || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
+module.exports = router;
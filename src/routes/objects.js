@@ -0,0 +1,530 @@
+const fs = require('fs');
+const express = require('express');
+const config = require('../config/hubspot');
+const CrmObjectService = require('../services/objects');
+const PortalRegistry = require('../services/portals');
+const AuditService = require('../services/audit');
+const logger = require('../utils/logger');
+const { runSearch, validateBatchId, batchHandler: sharedBatchHandler } = require('../utils/crm-routes');
+const { validateProperties } = require('../utils/validation');
+const { setCacheControl } = require('../utils/http-cache');
+const { requireRole } = require('../utils/auth');
+
+const { isValidObjectType, STANDARD_OBJECT_TYPES } = CrmObjectService;
+
+const router = express.Router();
+const audit = AuditService.shared();
+
+// Default property group for properties created through the API
+const DEFAULT_PROPERTY_GROUPS = {
+  companies: 'companyinformation',
+  deals: 'dealinformation',
+  tickets: 'ticketinformation',
+  products: 'productinformation',
+  line_items: 'lineiteminformation'
+};
+
+// Record and properties services per object type, for the portal the request selected
+const servicesFor = (objectType) => PortalRegistry.current().objects(objectType);
+
+// Resolve :objectType for every route. Contacts keep their own routes, which
+// add the field mapping, payload validation and owner handling.
+router.param('objectType', (req, res, next, objectType) => {
+  if (objectType === 'contacts') {
+    return res.status(400).json({
+      success: false,
+      error: 'Use /api/contacts for contacts'
+    });
+  }
+
+  if (!isValidObjectType(objectType)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported object type "${objectType}". Use one of ${STANDARD_OBJECT_TYPES.filter(type => type !== 'contacts').join(', ')}, or a custom object type id (2-1234567) or name (p1234567_job_opening)`
+    });
+  }
+
+  req.objectType = objectType;
+  req.objectService = servicesFor(objectType).records;
+  req.propertiesService = servicesFor(objectType).properties;
+  next();
+});
+
+// Shape a HubSpot record for API responses
+const formatRecord = (record) => ({
+  id: record.id,
+  properties: record.properties || {},
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt
+});
+
+// Property list from a query string (comma separated) or JSON body (array)
+const parsePropertyList = (value) => {
+  if (!value) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const names = list.map(name => String(name).trim()).filter(Boolean);
+  return names.length > 0 ? names : undefined;
+};
+
+// Service errors: HubSpot's 400, 404 and 409 are passed through, anything else is a 500
+const sendServiceError = (res, error) => {
+  const status = [400, 404, 409].includes(error.status) ? error.status : 500;
+  res.status(status).json({
+    success: false,
+    error: error.error || error.message || 'Internal server error',
+    details: error.details || null
+  });
+};
+
+// Type-check a properties payload against the known definitions for the object type.
+// Returns the normalized properties, or sends a 400 and returns null.
+const checkProperties = (req, res, properties) => {
+  const { data, errors } = validateProperties(properties, req.propertiesService.getPropertyDefinitionsByName());
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid properties',
+      details: errors
+    });
+    return null;
+  }
+
+  return data;
+};
+
+// ---- Properties ----
+
+// GET /api/objects/:objectType/properties - List every property of the object type
+router.get('/:objectType/properties', requireRole('reader'), async (req, res) => {
+  try {
+    logger.info(`API: Listing ${req.objectType} properties`);
+
+    const properties = await req.propertiesService.getAllProperties();
+
+    setCacheControl(res, config.cache.propertiesTtlMs);
+    res.json({
+      success: true,
+      data: {
+        objectType: req.objectType,
+        total: properties.length,
+        properties
+      }
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to list ${req.objectType} properties`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// POST /api/objects/:objectType/properties - Create a custom property
+router.post('/:objectType/properties', requireRole('admin'), async (req, res) => {
+  try {
+    logger.info(`API: Creating ${req.objectType} property`);
+
+    const { name, label, type, fieldType, description, groupName, options } = req.body || {};
+    const group = groupName || DEFAULT_PROPERTY_GROUPS[req.objectType];
+
+    if (!name || !label || !type || !group) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing required fields: name, label and type are required${DEFAULT_PROPERTY_GROUPS[req.objectType] ? '' : ' (and groupName for custom objects)'}`
+      });
+    }
+
+    const propertyDefinition = {
+      name,
+      label,
+      type,
+      fieldType: fieldType || (type === 'string' ? 'text' : type),
+      description: description || `Custom property: ${label}`,
+      groupName: group,
+      ...(options ? { options } : {})
+    };
+
+    const result = await req.propertiesService.createProperty(propertyDefinition);
+    await audit.recordPropertyChanges(req, req.objectType, [{ name, success: true, data: result }]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom property created successfully',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to create ${req.objectType} property`, error);
+    res.status(error.response?.status === 400 ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+      details: error.response?.data || null
+    });
+  }
+});
+
+// Plan and apply need a schema file for the object type
+const requireSchema = (req, res, next) => {
+  if (!fs.existsSync(req.propertiesService.schemaPath)) {
+    return res.status(404).json({
+      success: false,
+      error: `No properties schema for ${req.objectType}`,
+      schemaPath: req.propertiesService.schemaPath
+    });
+  }
+  next();
+};
+
+// POST /api/objects/:objectType/properties/plan - Diff the object's schema file against the portal
+router.post('/:objectType/properties/plan', requireRole('admin'), requireSchema, async (req, res) => {
+  try {
+    logger.info(`API: Planning ${req.objectType} property migration`);
+
+    const plan = await req.propertiesService.planMigration();
+
+    res.json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to plan ${req.objectType} property migration`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// POST /api/objects/:objectType/properties/apply - Apply the object's schema file to the portal
+router.post('/:objectType/properties/apply', requireRole('admin'), requireSchema, async (req, res) => {
+  try {
+    const allowDestructive = req.body?.allowDestructive === true;
+    logger.info(`API: Applying ${req.objectType} property migration`, { allowDestructive });
+
+    const result = await req.propertiesService.applyMigration({ allowDestructive });
+    await audit.recordPropertyChanges(req, req.objectType, result.results);
+    const failed = result.summary.failed + result.summary.blocked;
+
+    res.status(failed > 0 ? 207 : 200).json({
+      success: failed === 0,
+      message: failed === 0 ? 'Property schema applied successfully' : 'Some property changes were not applied',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to apply ${req.objectType} property migration`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// GET /api/objects/:objectType/properties/:name - Get one property
+router.get('/:objectType/properties/:name', requireRole('reader'), async (req, res) => {
+  try {
+    const property = await req.propertiesService.getProperty(req.params.name);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found',
+        propertyName: req.params.name
+      });
+    }
+
+    setCacheControl(res, config.cache.propertiesTtlMs);
+    res.json({
+      success: true,
+      data: property
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to get ${req.objectType} property ${req.params.name}`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// ---- Search ----
+
+// GET /api/objects/:objectType - Search records (q, sort, properties, limit, cursor, all)
+router.get('/:objectType', requireRole('reader'), async (req, res) => {
+  try {
+    logger.info(`API: Searching ${req.objectType}`, req.query);
+
+    await runSearch(res, objectRecords(req), {
+      q: req.query.q,
+      sorts: req.query.sort,
+      properties: parsePropertyList(req.query.properties),
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      all: req.query.all === 'true'
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to search ${req.objectType}`, error);
+    sendServiceError(res, error);
+  }
+});
+
+// POST /api/objects/:objectType/search - Search with a JSON body
+// Body: { filterGroups?, q?, sorts?, properties?, limit?, cursor?, all? }
+router.post('/:objectType/search', requireRole('reader'), async (req, res) => {
+  try {
+    logger.info(`API: Searching ${req.objectType}`, req.body);
+
+    const body = req.body || {};
+
+    await runSearch(res, objectRecords(req), {
+      q: body.q,
+      filterGroups: body.filterGroups || [],
+      sorts: body.sorts,
+      properties: parsePropertyList(body.properties),
+      limit: body.limit,
+      cursor: body.cursor,
+      all: body.all === true
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to search ${req.objectType}`, error);
+    sendServiceError(res, error);
+  }
+});
+
+// ---- Batch ----
+
+// Batch row validators: return { value } with the normalized row, or { error, details }
+const validateRecord = (req) => (input) => {
+  const { data, errors } = validateProperties(input?.properties, req.propertiesService.getPropertyDefinitionsByName());
+  if (errors.length > 0) return { error: 'Invalid properties', details: errors };
+  return { value: data };
+};
+
+const validateRecordUpdate = (req) => (input) => {
+  if (!input || !input.id) return { error: 'Missing required field: id' };
+
+  const { data, errors } = validateProperties(input.properties, req.propertiesService.getPropertyDefinitionsByName());
+  if (errors.length > 0) return { error: 'Invalid properties', details: errors };
+  if (Object.keys(data).length === 0) return { error: 'No properties to update provided' };
+  return { value: { id: input.id, properties: data } };
+};
+
+const validateRecordUpsert = (req, idProperty) => (input) => {
+  const result = validateRecord(req)(input);
+  if (result.error) return result;
+  if (result.value[idProperty] === undefined || result.value[idProperty] === null || result.value[idProperty] === '') {
+    return { error: `Missing value for unique property "${idProperty}"` };
+  }
+  return result;
+};
+
+// Records of the request's object type as the shared search and batch code
+// (utils/crm-routes) sees them. Names are HubSpot property names throughout,
+// and audit entries cover only the properties a row sent.
+const objectRecords = (req) => ({
+  objectType: req.objectType,
+  auditAction: req.objectType,
+  idKey: 'id',
+  recordKey: 'record',
+  resultsKey: 'results',
+  searchData: { objectType: req.objectType },
+  service: () => req.objectService,
+  definitions: () => req.propertiesService.getPropertyDefinitionsByName(),
+  format: formatRecord,
+  changedValues: (action, row) => (action === 'update' ? row.properties : row),
+  batchActions: {
+    create: {
+      field: 'inputs',
+      validate: req.query.idProperty ? validateRecordUpsert(req, req.query.idProperty) : validateRecord(req),
+      run: inputs => req.objectService.batchCreate(inputs, { idProperty: req.query.idProperty }),
+      successStatus: 201,
+      audited: true
+    },
+    read: {
+      field: 'ids',
+      validate: validateBatchId,
+      options: () => ({
+        properties: parsePropertyList(req.body?.properties),
+        idProperty: req.body?.idProperty
+      }),
+      run: (ids, { properties, idProperty }) => req.objectService.batchRead(ids, { properties, idProperty })
+    },
+    update: {
+      field: 'inputs',
+      validate: validateRecordUpdate(req),
+      run: updates => req.objectService.batchUpdate(updates),
+      audited: true
+    },
+    upsert: {
+      field: 'inputs',
+      validate: validateRecordUpsert(req, req.query.idProperty),
+      run: inputs => req.objectService.batchUpsert(inputs, { idProperty: req.query.idProperty }),
+      audited: true
+    },
+    archive: {
+      field: 'ids',
+      validate: validateBatchId,
+      run: ids => req.objectService.batchArchive(ids),
+      audited: true
+    }
+  }
+});
+
+const batchHandler = (action) => sharedBatchHandler(objectRecords, action);
+
+// POST /api/objects/:objectType/batch?idProperty= - Batch create records ({ inputs: [{ properties }] }).
+// Results are matched to inputs on idProperty; without it each record goes in its own request.
+router.post('/:objectType/batch', requireRole('recruiter'), batchHandler('create'));
+
+// POST /api/objects/:objectType/batch/read - Batch read records ({ ids, properties?, idProperty? })
+router.post('/:objectType/batch/read', requireRole('reader'), batchHandler('read'));
+
+// POST /api/objects/:objectType/batch/update - Batch update records ({ inputs: [{ id, properties }] })
+router.post('/:objectType/batch/update', requireRole('recruiter'), batchHandler('update'));
+
+// POST /api/objects/:objectType/batch/upsert?idProperty= - Batch create-or-update
+// records matched on a unique property ({ inputs: [{ properties }] })
+router.post('/:objectType/batch/upsert', requireRole('recruiter'), (req, res, next) => {
+  if (!req.query.idProperty) {
+    return res.status(400).json({
+      success: false,
+      error: 'idProperty is required to match existing records'
+    });
+  }
+  next();
+}, batchHandler('upsert'));
+
+// POST /api/objects/:objectType/batch/archive - Batch archive records ({ ids })
+router.post('/:objectType/batch/archive', requireRole('admin'), batchHandler('archive'));
+
+// ---- Records ----
+
+// POST /api/objects/:objectType - Create a record ({ properties })
+router.post('/:objectType', requireRole('recruiter'), async (req, res) => {
+  try {
+    logger.info(`API: Creating ${req.objectType} record`, req.body);
+
+    const properties = checkProperties(req, res, req.body?.properties);
+    if (!properties) return;
+
+    if (Object.keys(properties).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No properties provided'
+      });
+    }
+
+    const result = await req.objectService.createObject(properties);
+    await audit.record(req, {
+      action: `${req.objectType}.create`,
+      objectType: req.objectType,
+      objectId: result.id,
+      changes: AuditService.diff({}, { ...properties, ...result.record.properties }, Object.keys(properties))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Record created successfully',
+      data: formatRecord(result.record)
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to create ${req.objectType} record`, error);
+    sendServiceError(res, error);
+  }
+});
+
+// GET /api/objects/:objectType/:id - Get a record (?properties=a,b and ?idProperty=)
+router.get('/:objectType/:id', requireRole('reader'), async (req, res) => {
+  try {
+    const result = await req.objectService.getObject(req.params.id, {
+      properties: parsePropertyList(req.query.properties),
+      idProperty: req.query.idProperty
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Record not found',
+        id: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatRecord(result.record)
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to retrieve ${req.objectType} record ${req.params.id}`, error);
+    sendServiceError(res, error);
+  }
+});
+
+// PATCH /api/objects/:objectType/:id - Update a record ({ properties })
+router.patch('/:objectType/:id', requireRole('recruiter'), async (req, res) => {
+  try {
+    logger.info(`API: Updating ${req.objectType} record ${req.params.id}`, req.body);
+
+    const properties = checkProperties(req, res, req.body?.properties);
+    if (!properties) return;
+
+    if (Object.keys(properties).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No properties to update provided'
+      });
+    }
+
+    // Read the current values first for the audit diff
+    const before = await req.objectService.getObject(req.params.id, { properties: Object.keys(properties) });
+    const result = await req.objectService.updateObject(req.params.id, properties);
+    await audit.record(req, {
+      action: `${req.objectType}.update`,
+      objectType: req.objectType,
+      objectId: result.id,
+      changes: AuditService.diff(before ? before.record.properties : null, { ...properties, ...result.record.properties }, Object.keys(properties))
+    });
+
+    res.json({
+      success: true,
+      message: 'Record updated successfully',
+      data: {
+        ...formatRecord(result.record),
+        updatedProperties: Object.keys(properties)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to update ${req.objectType} record ${req.params.id}`, error);
+    sendServiceError(res, error);
+  }
+});
+
+// DELETE /api/objects/:objectType/:id - Archive a record
+router.delete('/:objectType/:id', requireRole('admin'), async (req, res) => {
+  try {
+    logger.info(`API: Deleting ${req.objectType} record ${req.params.id}`);
+
+    const result = await req.objectService.deleteObject(req.params.id);
+    await audit.record(req, { action: `${req.objectType}.delete`, objectType: req.objectType, objectId: result.id });
+
+    res.json({
+      success: true,
+      message: 'Record deleted successfully',
+      id: result.id
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to delete ${req.objectType} record ${req.params.id}`, error);
+    sendServiceError(res, error);
+  }
+});
+
+module.exports = router;
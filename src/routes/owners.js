@@ -0,0 +1,81 @@
+const express = require('express');
+const PortalRegistry = require('../services/portals');
+const logger = require('../utils/logger');
+const { requireRole } = require('../utils/auth');
+
+const router = express.Router();
+
+// Owners of the HubSpot portal the request selected
+const ownersService = () => PortalRegistry.current().owners;
+
+// Shape a HubSpot owner for API responses
+const formatOwner = (owner) => ({
+  ownerId: owner.id,
+  email: owner.email,
+  firstName: owner.firstName,
+  lastName: owner.lastName,
+  userId: owner.userId,
+  teams: (owner.teams || []).map(team => ({ id: team.id, name: team.name }))
+});
+
+// GET /api/owners - List active owners (cached; ?refresh=true reloads, ?email= filters)
+router.get('/', requireRole('reader'), async (req, res) => {
+  try {
+    logger.info('API: Listing owners', req.query);
+
+    let owners = await ownersService().listOwners({ refresh: req.query.refresh === 'true' });
+
+    if (req.query.email) {
+      const email = String(req.query.email).toLowerCase();
+      owners = owners.filter(owner => owner.email?.toLowerCase() === email);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        owners: owners.map(formatOwner),
+        total: owners.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to list owners', error);
+    res.status(500).json({
+      success: false,
+      error: error.error || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
+// GET /api/owners/:id - Get an active owner by id
+router.get('/:id', requireRole('reader'), async (req, res) => {
+  try {
+    logger.info(`API: Retrieving owner ${req.params.id}`);
+
+    const owner = await ownersService().findOwner({ ownerId: req.params.id });
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Owner not found',
+        ownerId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatOwner(owner)
+    });
+
+  } catch (error) {
+    logger.error(`API: Failed to retrieve owner ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: error.error || 'Internal server error',
+      details: error.details || null
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const PortalRegistry = require('../services/portals');
+const { requireRole } = require('../utils/auth');
+
+const router = express.Router();
+const registry = PortalRegistry.shared();
+
+// GET /api/portals - HubSpot portals this deployment serves (never their tokens)
+router.get('/', requireRole('reader'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: registry.defaultName,
+      selected: req.portal.name,
+      portals: registry.names().map(name => registry.get(name).describe())
+    }
+  });
+});
+
+module.exports = router;
@@ -1,17 +1,25 @@
 const express = require('express');
-const PropertiesService = require('../services/properties');
+const config = require('../config/hubspot');
+const PortalRegistry = require('../services/portals');
+const AuditService = require('../services/audit');
 const logger = require('../utils/logger');
+const { setCacheControl } = require('../utils/http-cache');
+const { requireRole } = require('../utils/auth');
 
 const router = express.Router();
-const propertiesService = new PropertiesService();
+const audit = AuditService.shared();
+
+// Contact properties of the HubSpot portal the request selected
+const propertiesService = () => PortalRegistry.current().properties;
 
 // GET /api/properties - Get all custom properties status
-router.get('/', async (req, res) => {
+router.get('/', requireRole('reader'), async (req, res) => {
   try {
     logger.info('API: Checking custom properties status');
 
-    const properties = await propertiesService.checkPropertiesExist();
-    
+    const properties = await propertiesService().checkPropertiesExist();
+
+    setCacheControl(res, config.cache.propertiesTtlMs);
     res.json({
       success: true,
       data: {
@@ -34,7 +42,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/properties - Create individual custom property
-router.post('/', async (req, res) => {
+router.post('/', requireRole('admin'), async (req, res) => {
   try {
     logger.info('API: Creating individual custom property');
 
@@ -58,7 +66,8 @@ router.post('/', async (req, res) => {
       groupName: groupName || 'contactinformation'
     };
 
-    const result = await propertiesService.createProperty(propertyDefinition);
+    const result = await propertiesService().createProperty(propertyDefinition);
+    await audit.recordPropertyChanges(req, 'contacts', [{ name, success: true, data: result }]);
     
     res.status(201).json({
       success: true,
@@ -76,11 +85,12 @@ router.post('/', async (req, res) => {
 });
 
 // POST /api/properties/setup - Create all custom properties
-router.post('/setup', async (req, res) => {
+router.post('/setup', requireRole('admin'), async (req, res) => {
   try {
     logger.info('API: Setting up custom properties');
 
-    const results = await propertiesService.createAllCustomProperties();
+    const results = await propertiesService().createAllCustomProperties();
+    await audit.recordPropertyChanges(req, 'contacts', results);
     
     const summary = {
       total: results.length,
@@ -106,13 +116,59 @@ router.post('/setup', async (req, res) => {
   }
 });
 
+// POST /api/properties/plan - Diff the schema file against the portal
+router.post('/plan', requireRole('admin'), async (req, res) => {
+  try {
+    logger.info('API: Planning property migration');
+
+    const plan = await propertiesService().planMigration();
+
+    res.json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to plan property migration', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// POST /api/properties/apply - Apply the schema file to the portal
+router.post('/apply', requireRole('admin'), async (req, res) => {
+  try {
+    const allowDestructive = req.body?.allowDestructive === true;
+    logger.info('API: Applying property migration', { allowDestructive });
+
+    const result = await propertiesService().applyMigration({ allowDestructive });
+    await audit.recordPropertyChanges(req, 'contacts', result.results);
+    const failed = result.summary.failed + result.summary.blocked;
+
+    res.status(failed > 0 ? 207 : 200).json({
+      success: failed === 0,
+      message: failed === 0 ? 'Property schema applied successfully' : 'Some property changes were not applied',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('API: Failed to apply property migration', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 // GET /api/properties/:name - Get specific property details
-router.get('/:name', async (req, res) => {
+router.get('/:name', requireRole('reader'), async (req, res) => {
   try {
     const propertyName = req.params.name;
     logger.info(`API: Getting property details for ${propertyName}`);
 
-    const property = await propertiesService.getProperty(propertyName);
+    const property = await propertiesService().getProperty(propertyName);
     
     if (!property) {
       return res.status(404).json({
@@ -122,6 +178,7 @@ router.get('/:name', async (req, res) => {
       });
     }
 
+    setCacheControl(res, config.cache.propertiesTtlMs);
     res.json({
       success: true,
       data: property
@@ -0,0 +1,70 @@
+const express = require('express');
+const config = require('../config/hubspot');
+const WebhookService = require('../services/webhooks');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const webhookService = WebhookService.shared();
+
+// The URI HubSpot signed: the configured public URL if set, else the URL as received
+const requestUri = (req) => {
+  const base = config.webhookBaseUrl || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${req.originalUrl}`;
+};
+
+// POST /webhooks/hubspot - Receive HubSpot webhook events
+router.post('/hubspot', async (req, res) => {
+  try {
+    if (!webhookService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Webhook verification is not configured (set HUBSPOT_CLIENT_SECRET)'
+      });
+    }
+
+    const verification = webhookService.verifySignature({
+      method: req.method,
+      uri: requestUri(req),
+      body: req.rawBody ? req.rawBody.toString('utf8') : '',
+      timestamp: req.get('X-HubSpot-Request-Timestamp'),
+      signature: req.get('X-HubSpot-Signature-v3')
+    });
+
+    if (!verification.valid) {
+      logger.warn(`Webhook rejected: ${verification.reason}`);
+      return res.status(401).json({
+        success: false,
+        error: verification.reason
+      });
+    }
+
+    if (!Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Webhook body must be an array of events'
+      });
+    }
+
+    logger.info(`Webhook: received ${req.body.length} event(s)`);
+
+    const results = await webhookService.dispatch(req.body);
+
+    res.json({
+      success: true,
+      data: {
+        received: results.length,
+        failed: results.filter(r => r.errors.length > 0).length,
+        events: results
+      }
+    });
+
+  } catch (error) {
+    logger.error('Webhook: Failed to process events', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
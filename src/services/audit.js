@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+const { currentContext } = require('../utils/request-context');
+
+// Most entries one query returns
+const MAX_QUERY_LIMIT = 1000;
+
+let sharedService = null;
+
+// Append-only JSON lines file, one entry per line. Other stores only need
+// async append(entry) and an async iterable entries() yielding oldest first.
+class FileAuditStore {
+  constructor({ filePath = config.audit.logPath } = {}) {
+    this.filePath = filePath;
+    this.name = 'file';
+    // Appends run one at a time so concurrent entries never interleave
+    this.pending = Promise.resolve();
+  }
+
+  append(entry) {
+    const write = this.pending.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    });
+    this.pending = write.catch(() => {});
+    return write;
+  }
+
+  async *entries() {
+    await this.pending;
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping unreadable audit log line in ${this.filePath}`);
+      }
+    }
+  }
+}
+
+// Who changed what in HubSpot through this API, for compliance reviews
+class AuditService {
+  constructor({ store = new FileAuditStore() } = {}) {
+    this.store = store;
+  }
+
+  // Service shared by every route that changes HubSpot data
+  static shared() {
+    if (!sharedService) {
+      sharedService = new AuditService();
+    }
+    return sharedService;
+  }
+
+  // Swap the store, e.g. for a database-backed one
+  useStore(store) {
+    this.store = store;
+  }
+
+  // Field-level diff: [{ field, before, after }] for every field in `fields`
+  // (all of `after` by default) whose value changed. Pass before = null when the
+  // previous values are unknown; the changes then only carry `after`.
+  static diff(before, after, fields = Object.keys(after)) {
+    const text = (value) => (value === undefined || value === null ? '' : String(value));
+
+    return fields
+      .filter(field => before === null || text(before[field]) !== text(after[field]))
+      .map(field => (before === null
+        ? { field, after: after[field] ?? null }
+        : { field, before: before[field] ?? null, after: after[field] ?? null }));
+  }
+
+  // Who made a request and through which route: { actor, requestId, portal, route }.
+  // Work finished after the response, such as a background job, keeps this to record its changes.
+  static origin(req) {
+    return {
+      actor: req.auth ? { method: req.auth.method, subject: req.auth.subject, role: req.auth.role } : null,
+      requestId: req.id || currentContext()?.requestId || null,
+      portal: req.portal?.name || null,
+      route: `${req.method} ${req.baseUrl}${req.route?.path ?? ''}`
+    };
+  }
+
+  // Append an entry for a mutation made by this request (or the origin() of an
+  // earlier one): { action, objectType, objectId?, property?, changes?, details? }.
+  // The HubSpot change has already happened, so a store failure is logged
+  // rather than failing the request.
+  async record(req, { action, objectType, objectId, property, changes, details }) {
+    const origin = typeof req.get === 'function' ? AuditService.origin(req) : req;
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      action,
+      ...origin,
+      objectType,
+      ...(objectId !== undefined ? { objectId: String(objectId) } : {}),
+      ...(property !== undefined ? { property } : {}),
+      ...(changes !== undefined ? { changes } : {}),
+      ...(details !== undefined ? { details } : {})
+    };
+
+    try {
+      await this.store.append(entry);
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to write audit entry for ${action}`, error);
+      return null;
+    }
+  }
+
+  // Audit the properties a setup or schema apply created or changed: one entry
+  // per property, with the fields changed as { field, before, after }
+  async recordPropertyChanges(req, objectType, results) {
+    for (const result of results) {
+      // Unchanged properties and ones that already existed were not touched
+      if (!result.success || result.status === 'unchanged' || result.data?.status === 'already_exists') continue;
+
+      const created = !result.action || result.action === 'create';
+      await this.record(req, {
+        action: created ? 'property.create' : 'property.update',
+        objectType,
+        property: result.name,
+        changes: created
+          ? AuditService.diff({}, result.data || {}, ['label', 'type', 'fieldType', 'groupName'])
+          : Object.entries(result.changes || {}).map(([field, { from, to }]) => ({ field, before: from, after: to }))
+      });
+    }
+  }
+
+  // Entries matching every given filter, newest first: objectType, objectId,
+  // actor (caller subject), action, portal, from/to (Date or ISO string), limit
+  async query({ objectType, objectId, actor, action, portal, from, to, limit = 100 } = {}) {
+    const max = Math.min(Math.max(1, limit), MAX_QUERY_LIMIT);
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = (entry) => {
+      const time = Date.parse(entry.timestamp);
+      return (!objectType || entry.objectType === objectType)
+        && (!objectId || entry.objectId === String(objectId))
+        && (!actor || entry.actor?.subject === actor)
+        && (!action || entry.action === action)
+        && (!portal || entry.portal === portal)
+        && (fromTime === null || time >= fromTime)
+        && (toTime === null || time <= toTime);
+    };
+
+    // Keep only the newest `max` matches while reading the whole log
+    const newest = [];
+    let total = 0;
+    for await (const entry of this.store.entries()) {
+      if (!matches(entry)) continue;
+      total++;
+      newest.push(entry);
+      if (newest.length > max) newest.shift();
+    }
+
+    return { entries: newest.reverse(), total, hasMore: total > newest.length };
+  }
+}
+
+module.exports = AuditService;
+module.exports.FileAuditStore = FileAuditStore;
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+
+// Roles from least to most privileged; each role can do everything the ones before it can
+const ROLES = ['reader', 'recruiter', 'admin'];
+
+// Allowed clock difference when checking exp and nbf, in seconds
+const CLOCK_TOLERANCE_S = 30;
+
+let sharedService = null;
+
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+
+// Constant-time string comparison that doesn't leak the length of the secret
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// An unreadable key file leaves RS256 tokens rejected rather than failing every request
+function readPublicKey(keyPath) {
+  try {
+    return fs.readFileSync(keyPath, 'utf8');
+  } catch (error) {
+    logger.error(`Unable to read JWT public key ${keyPath}`, error);
+    return null;
+  }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Parse API_KEYS entries of the form name:role:key (the key comes last so it may contain colons)
+function parseApiKeys(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...key] = entry.split(':');
+    return { name, role, key: key.join(':') };
+  });
+}
+
+// Highest known role named by a JWT claim holding a role or a list of roles
+function roleFromClaim(claim) {
+  const roles = Array.isArray(claim) ? claim : [claim];
+  return roles.filter(role => ROLES.includes(role)).sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+}
+
+// Authenticates API callers by API key (X-API-Key) or JWT (Authorization: Bearer),
+// verified locally with an HS256 secret or an RS256 public key
+class AuthService {
+  constructor(options = config.auth) {
+    this.apiKeys = parseApiKeys(options.apiKeys);
+    this.jwtSecret = options.jwtSecret || null;
+    this.jwtPublicKeyPath = options.jwtPublicKeyPath || null;
+    this.jwtPublicKey = options.jwtPublicKey || (this.jwtPublicKeyPath ? readPublicKey(this.jwtPublicKeyPath) : null);
+    this.jwtIssuer = options.jwtIssuer || null;
+    this.jwtAudience = options.jwtAudience || null;
+    this.roleClaim = options.jwtRoleClaim || 'role';
+  }
+
+  // Service shared by the authentication middleware and anything inspecting callers
+  static shared() {
+    if (!sharedService) {
+      sharedService = new AuthService();
+    }
+    return sharedService;
+  }
+
+  // Authentication is enforced as soon as any API key or JWT key is configured
+  isEnabled() {
+    return this.apiKeys.length > 0 || Boolean(this.jwtSecret || this.jwtPublicKey || this.jwtPublicKeyPath);
+  }
+
+  // Identify the caller of a request. Returns { caller } or { error } with a reason.
+  authenticate({ apiKey, authorization }) {
+    if (apiKey) {
+      const match = this.apiKeys.find(entry => safeEqual(entry.key, apiKey));
+      return match
+        ? { caller: { method: 'api-key', subject: match.name, role: match.role } }
+        : { error: 'Invalid API key' };
+    }
+
+    const [scheme, token] = String(authorization || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+      try {
+        const claims = this.verifyJwt(token);
+        return { caller: { method: 'jwt', subject: claims.sub || null, role: roleFromClaim(claims[this.roleClaim]) } };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    return { error: 'Authentication required' };
+  }
+
+  // Verify a compact JWT and return its claims; throws with the reason it was rejected
+  verifyJwt(token, now = Date.now()) {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new Error('Malformed token');
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch (error) {
+      throw new Error('Malformed token');
+    }
+
+    const signingInput = `${parts[0]}.${parts[1]}`;
+    const signature = Buffer.from(parts[2], 'base64url');
+    let valid = false;
+
+    if (header.alg === 'HS256' && this.jwtSecret) {
+      const expected = crypto.createHmac('sha256', this.jwtSecret).update(signingInput).digest();
+      valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    } else if (header.alg === 'RS256' && this.jwtPublicKey) {
+      valid = crypto.verify('sha256', Buffer.from(signingInput), this.jwtPublicKey, signature);
+    } else {
+      throw new Error(`Unsupported token algorithm "${header.alg}"`);
+    }
+
+    if (!valid) throw new Error('Invalid token signature');
+
+    // A time claim that isn't a number would never compare as past or future
+    for (const claim of ['exp', 'nbf']) {
+      if (claims[claim] !== undefined && !Number.isFinite(claims[claim])) throw new Error(`Invalid token ${claim} claim`);
+    }
+
+    const seconds = Math.floor(now / 1000);
+    if (claims.exp !== undefined && seconds >= claims.exp + CLOCK_TOLERANCE_S) throw new Error('Token expired');
+    if (claims.nbf !== undefined && seconds < claims.nbf - CLOCK_TOLERANCE_S) throw new Error('Token not yet valid');
+    if (this.jwtIssuer && claims.iss !== this.jwtIssuer) throw new Error('Invalid token issuer');
+    if (this.jwtAudience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.jwtAudience)) throw new Error('Invalid token audience');
+    }
+
+    return claims;
+  }
+}
+
+module.exports = AuthService;
+module.exports.ROLES = ROLES;
+module.exports.hasRole = hasRole;
+module.exports.parseApiKeys = parseApiKeys;
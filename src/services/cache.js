@@ -0,0 +1,203 @@
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+
+let sharedService = null;
+
+// In-memory LRU store, the default adapter. Every adapter implements
+// async get(key) -> value | undefined, set(key, value, ttlMs), delete(key) and clear().
+class MemoryCacheAdapter {
+  constructor({ maxEntries = config.cache.maxEntries } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Adapter over a Redis-like client exposing get(key), set(key, value, 'PX', ttlMs),
+// del(...keys) and keys(pattern), such as ioredis. Values are stored as JSON.
+class RedisCacheAdapter {
+  constructor(client, { prefix = 'hubspot-api:' } = {}) {
+    this.name = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value === null || value === undefined ? undefined : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async clear() {
+    const keys = await this.client.keys(`${this.prefix}*`);
+    if (keys.length > 0) await this.client.del(...keys);
+  }
+}
+
+// Read-through cache in front of HubSpot reads, with hit/miss counters.
+// A failing store is treated as a miss so a cache outage never fails a request.
+class CacheService {
+  constructor(adapter = new MemoryCacheAdapter()) {
+    this.adapter = adapter;
+    this.resetStats();
+  }
+
+  // Cache shared by every service, so writes in one place invalidate reads in another
+  static shared() {
+    if (!sharedService) {
+      sharedService = new CacheService();
+    }
+    return sharedService;
+  }
+
+  // Swap the store, e.g. for a RedisCacheAdapter. The old store's entries are not carried over.
+  useAdapter(adapter) {
+    this.adapter = adapter;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.counters = { hits: 0, misses: 0, sets: 0, invalidations: 0, errors: 0 };
+  }
+
+  async get(key) {
+    try {
+      const value = await this.adapter.get(key);
+      if (value === undefined) {
+        this.counters.misses++;
+      } else {
+        this.counters.hits++;
+      }
+      return value;
+    } catch (error) {
+      this.counters.errors++;
+      this.counters.misses++;
+      logger.error(`Cache read failed for ${key}`, error);
+      return undefined;
+    }
+  }
+
+  // Store a value; a TTL of 0 disables caching
+  async set(key, value, ttlMs) {
+    if (!(ttlMs > 0)) return;
+
+    try {
+      await this.adapter.set(key, value, ttlMs);
+      this.counters.sets++;
+    } catch (error) {
+      this.counters.errors++;
+      logger.error(`Cache write failed for ${key}`, error);
+    }
+  }
+
+  // Return the cached value, or load it and cache the result. Null and
+  // undefined results (e.g. a 404) are not cached.
+  async remember(key, ttlMs, loader) {
+    if (!(ttlMs > 0)) return loader();
+
+    const cached = await this.get(key);
+    if (cached !== undefined) return cached;
+
+    const value = await loader();
+    if (value !== undefined && value !== null) {
+      await this.set(key, value, ttlMs);
+    }
+    return value;
+  }
+
+  async invalidate(...keys) {
+    for (const key of keys) {
+      try {
+        await this.adapter.delete(key);
+        this.counters.invalidations++;
+      } catch (error) {
+        this.counters.errors++;
+        logger.error(`Cache invalidation failed for ${key}`, error);
+      }
+    }
+  }
+
+  async clear() {
+    await this.adapter.clear();
+  }
+
+  // The same cache with every key prefixed, e.g. per HubSpot portal; stats and clear stay shared
+  namespace(prefix) {
+    const scoped = (key) => `${prefix}:${key}`;
+
+    return {
+      get: (key) => this.get(scoped(key)),
+      set: (key, value, ttlMs) => this.set(scoped(key), value, ttlMs),
+      remember: (key, ttlMs, loader) => this.remember(scoped(key), ttlMs, loader),
+      invalidate: (...keys) => this.invalidate(...keys.map(scoped)),
+      clear: () => this.clear(),
+      stats: () => this.stats()
+    };
+  }
+
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+
+    return {
+      adapter: this.adapter.name || 'custom',
+      ...(this.adapter.size !== undefined ? { entries: this.adapter.size } : {}),
+      ...this.counters,
+      hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : null
+    };
+  }
+}
+
+// Cache keys for the values services cache
+CacheService.keys = {
+  contact: (id) => `contacts:${id}`,
+  properties: (objectType) => `properties:${objectType}`,
+  property: (objectType, name) => `properties:${objectType}:${name}`
+};
+
+module.exports = CacheService;
+module.exports.MemoryCacheAdapter = MemoryCacheAdapter;
+module.exports.RedisCacheAdapter = RedisCacheAdapter;
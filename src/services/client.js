@@ -0,0 +1,207 @@
+const axios = require('axios');
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+const OAuthService = require('./oauth');
+
+// Methods that can be repeated without changing the outcome
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// HTTP statuses worth retrying (429 is handled separately)
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+// Network errors raised before the request reached HubSpot
+const PRE_SEND_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Network errors where HubSpot may or may not have processed the request
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+let sharedClient = null;
+
+class HubSpotClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || config.baseUrl;
+    this.accessToken = options.accessToken || config.accessToken;
+    // Public app installs get tokens from the OAuth service, refreshed as they expire
+    this.tokenProvider = options.tokenProvider || (!this.accessToken && config.oauth.enabled ? OAuthService.shared() : null);
+    this.maxRetries = options.maxRetries ?? config.retry.maxRetries;
+    this.baseDelayMs = options.baseDelayMs ?? config.retry.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs ?? config.retry.maxDelayMs;
+
+    // Rate limit state learned from X-HubSpot-RateLimit-* headers
+    this.rateLimit = {
+      remaining: null,
+      resetAt: 0
+    };
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // Client instance shared by all services so they see the same rate limit budget
+  static shared() {
+    if (!sharedClient) {
+      sharedClient = new HubSpotClient();
+    }
+    return sharedClient;
+  }
+
+  // Decide whether a failed request can be sent again
+  isRetryable(error, method, safe) {
+    const status = error.response?.status;
+    const idempotent = safe || IDEMPOTENT_METHODS.includes(method);
+
+    // HubSpot rejects rate-limited requests before processing them
+    if (status === 429) return true;
+    if (status) return idempotent && RETRYABLE_STATUSES.includes(status);
+
+    if (PRE_SEND_ERROR_CODES.includes(error.code)) return true;
+    return idempotent && TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+
+  // Delay before the next attempt: Retry-After, then the rate limit window, then backoff
+  getRetryDelay(error, attempt) {
+    const headers = error.response?.headers || {};
+
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelayMs);
+    }
+
+    if (error.response?.status === 429) {
+      const interval = parseInt(headers['x-hubspot-ratelimit-interval-milliseconds']);
+      if (!isNaN(interval) && interval > 0) {
+        return Math.min(interval, this.maxDelayMs);
+      }
+    }
+
+    // Exponential backoff with equal jitter
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  // Remember when HubSpot reports an exhausted rate limit window
+  trackRateLimit(headers = {}) {
+    const remaining = parseInt(headers['x-hubspot-ratelimit-remaining']);
+    const interval = parseInt(headers['x-hubspot-ratelimit-interval-milliseconds']);
+    const secondlyRemaining = parseInt(headers['x-hubspot-ratelimit-secondly-remaining']);
+
+    if (!isNaN(remaining)) {
+      this.rateLimit.remaining = remaining;
+      if (remaining <= 0 && !isNaN(interval)) {
+        this.rateLimit.resetAt = Math.max(this.rateLimit.resetAt, Date.now() + interval);
+      }
+    }
+
+    if (!isNaN(secondlyRemaining) && secondlyRemaining <= 0) {
+      this.rateLimit.resetAt = Math.max(this.rateLimit.resetAt, Date.now() + 1000);
+    }
+  }
+
+  async waitForRateLimit() {
+    const wait = this.rateLimit.resetAt - Date.now();
+    if (wait > 0) {
+      logger.info(`HubSpot rate limit exhausted, waiting ${wait}ms before next request`);
+      await sleep(wait);
+    }
+  }
+
+  // Bearer token for the next request: the private app token, or the OAuth access token.
+  // OAuth failures (not installed, refresh rejected) surface as errors with their reason.
+  async authorization({ forceRefresh = false } = {}) {
+    if (!this.tokenProvider) return `Bearer ${this.accessToken}`;
+
+    try {
+      return `Bearer ${await this.tokenProvider.getAccessToken({ forceRefresh })}`;
+    } catch (error) {
+      throw error instanceof Error ? error : new Error(error.error || 'Unable to get a HubSpot access token');
+    }
+  }
+
+  // Send a request, retrying transient failures. Set `safe` for non-idempotent
+  // calls that can be repeated without side effects (e.g. search).
+  // With OAuth, a 401 refreshes the access token and retries once.
+  async request({ method = 'get', url, data, params, safe = false }) {
+    method = method.toLowerCase();
+    let forceRefresh = false;
+    let refreshed = false;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForRateLimit();
+      const headers = { Authorization: await this.authorization({ forceRefresh }) };
+      forceRefresh = false;
+      const startedAt = Date.now();
+
+      try {
+        const response = await this.http.request({ method, url, data, params, headers });
+        this.trackRateLimit(response.headers);
+        response.attempts = attempt;
+        logger.debug(`HubSpot ${method.toUpperCase()} ${url}`, { status: response.status, durationMs: Date.now() - startedAt, attempt });
+        return response;
+      } catch (error) {
+        if (error.response) this.trackRateLimit(error.response.headers);
+        error.attempts = attempt;
+        logger.debug(`HubSpot ${method.toUpperCase()} ${url} failed`, {
+          status: error.response?.status || error.code,
+          durationMs: Date.now() - startedAt,
+          attempt
+        });
+
+        if (error.response?.status === 401 && this.tokenProvider && !refreshed) {
+          refreshed = forceRefresh = true;
+          continue;
+        }
+
+        if (attempt > this.maxRetries || !this.isRetryable(error, method, safe)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        logger.info(`Retrying ${method.toUpperCase()} ${url} in ${delay}ms (attempt ${attempt + 1} of ${this.maxRetries + 1})`, {
+          status: error.response?.status || error.code
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  patch(url, data, options = {}) {
+    return this.request({ ...options, method: 'patch', url, data });
+  }
+
+  put(url, data, options = {}) {
+    return this.request({ ...options, method: 'put', url, data });
+  }
+
+  delete(url, options = {}) {
+    return this.request({ ...options, method: 'delete', url });
+  }
+}
+
+module.exports = HubSpotClient;
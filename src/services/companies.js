@@ -0,0 +1,57 @@
+const CrmObjectService = require('./objects');
+
+// "acme.com", "www.acme.com" or "https://acme.com/careers" are read as a domain;
+// anything else (including names with spaces) is a company name
+const DOMAIN_PATTERN = /^(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:[/?#]\S*)?$/i;
+
+// Turn a free-text company value into { name } or { domain }, or null if empty
+function parseCompanyReference(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (!text) return null;
+
+  const match = text.match(DOMAIN_PATTERN);
+  return match ? { domain: match[1].toLowerCase() } : { name: text };
+}
+
+class CompaniesService {
+  constructor(companies = new CrmObjectService('companies')) {
+    this.companies = companies;
+  }
+
+  // First company whose domain (or name) equals the reference, or null
+  async findCompany({ name, domain }) {
+    const filter = domain
+      ? { propertyName: 'domain', operator: 'EQ', value: domain }
+      : { propertyName: 'name', operator: 'EQ', value: name };
+
+    const result = await this.companies.searchObjects({
+      filterGroups: [{ filters: [filter] }],
+      properties: ['name', 'domain'],
+      sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+      limit: 1
+    });
+
+    return result.results[0] || null;
+  }
+
+  // Create a company; a domain-only company is named after its domain
+  async createCompany({ name, domain }) {
+    const result = await this.companies.createObject({ name: name || domain, ...(domain ? { domain } : {}) });
+    return result.record;
+  }
+
+  // Find a company by name or domain, creating it when there is no match.
+  // Returns { company, action: 'found' | 'created' }, or null for an empty value.
+  async findOrCreateCompany(value) {
+    const reference = parseCompanyReference(value);
+    if (!reference) return null;
+
+    const existing = await this.findCompany(reference);
+    if (existing) return { company: existing, action: 'found' };
+
+    return { company: await this.createCompany(reference), action: 'created' };
+  }
+}
+
+module.exports = CompaniesService;
+module.exports.parseCompanyReference = parseCompanyReference;
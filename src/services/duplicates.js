@@ -0,0 +1,304 @@
+const HubSpotService = require('./hubspot');
+const logger = require('../utils/logger');
+
+// Contact properties compared when looking for duplicates
+const MATCH_PROPERTIES = ['email', 'phone', 'firstname', 'lastname', 'candidate_name'];
+
+// What each matching signal adds to a pair's score. Signals combine as
+// 1 - (1 - a)(1 - b)..., so two weak signals together beat one of them alone.
+const SIGNAL_WEIGHTS = { email: 0.9, phone: 0.8, name: 0.6 };
+
+// Names at least this similar (Jaro-Winkler, 0 to 1) count as matching
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Most contacts one duplicate scan reads; pairs are only found among them
+const MAX_SCANNED_CONTACTS = 10000;
+
+// Mailbox providers that ignore dots in the local part
+const DOTLESS_EMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+// "Jane.Doe+jobs@GoogleMail.com" and "janedoe@gmail.com" are the same mailbox
+const normalizeEmail = (email) => {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+
+  let mailbox = local.split('+')[0];
+  if (DOTLESS_EMAIL_DOMAINS.has(domain)) mailbox = mailbox.replace(/\./g, '');
+  return `${mailbox}@${domain === 'googlemail.com' ? 'gmail.com' : domain}`;
+};
+
+// The last ten digits, so "+1 (555) 010-0000" and "555.010.0000" match; short numbers are ignored
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+// Lowercase letters and single spaces, accents removed
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z]+/g, ' ')
+  .trim();
+
+// Jaro-Winkler similarity of two strings: 1 when equal, 0 when nothing matches
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// The values of a contact that matching looks at
+const matchKeys = (record) => {
+  const properties = record.properties || {};
+  const first = normalizeName(properties.firstname);
+  const last = normalizeName(properties.lastname);
+
+  return {
+    record,
+    email: normalizeEmail(properties.email),
+    phone: normalizePhone(properties.phone),
+    first,
+    last,
+    fullName: [first, last].filter(Boolean).join(' '),
+    candidateName: normalizeName(properties.candidate_name)
+  };
+};
+
+// Best similarity between the names of two contacts: first and last name
+// pairwise (last name weighing more), or whole names including candidate_name
+const nameSimilarity = (a, b) => {
+  const scores = [];
+  if (a.first && a.last && b.first && b.last) {
+    scores.push(0.4 * jaroWinkler(a.first, b.first) + 0.6 * jaroWinkler(a.last, b.last));
+  }
+  [a.fullName, a.candidateName].filter(Boolean).forEach(nameA => {
+    [b.fullName, b.candidateName].filter(Boolean).forEach(nameB => scores.push(jaroWinkler(nameA, nameB)));
+  });
+  return scores.length > 0 ? Math.max(...scores) : 0;
+};
+
+// Contacts only get compared when they share one of these keys, so a scan
+// doesn't compare every pair: the email, the phone or a surname's first letters
+const blockingKeys = (keys) => {
+  const surnames = [keys.last, keys.candidateName.split(' ').pop()].filter(Boolean);
+  return [...new Set([
+    keys.email && `email:${keys.email}`,
+    keys.phone && `phone:${keys.phone}`,
+    ...surnames.map(surname => `name:${surname.slice(0, 3)}`)
+  ].filter(Boolean))];
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Finds likely duplicate contacts and merges them
+class DuplicatesService {
+  constructor(hubspotService = new HubSpotService()) {
+    this.hubspotService = hubspotService;
+  }
+
+  // Properties read for each contact: the mapped fields plus the ones matching compares
+  get properties() {
+    return [...new Set([...this.hubspotService.fields.properties, ...MATCH_PROPERTIES])];
+  }
+
+  // Score two contacts: { score, reasons } where reasons lists the signals that matched
+  static score(a, b) {
+    const reasons = [];
+    if (a.email && a.email === b.email) reasons.push({ signal: 'email', weight: SIGNAL_WEIGHTS.email, value: a.email });
+    if (a.phone && a.phone === b.phone) reasons.push({ signal: 'phone', weight: SIGNAL_WEIGHTS.phone, value: a.phone });
+
+    const similarity = nameSimilarity(a, b);
+    if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+      reasons.push({ signal: 'name', weight: SIGNAL_WEIGHTS.name * similarity, similarity: Number(similarity.toFixed(3)) });
+    }
+
+    const score = 1 - reasons.reduce((remaining, reason) => remaining * (1 - reason.weight), 1);
+    return {
+      score: Number(score.toFixed(3)),
+      reasons: reasons.map(({ weight, ...reason }) => reason)
+    };
+  }
+
+  // Scan the contacts matching the search (all of them by default) and return
+  // the pairs scoring at least minScore, best first:
+  // { scanned, truncated, total, duplicates: [{ score, reasons, contacts: [a, b] }] }
+  async findDuplicates({ filterGroups, minScore = 0.5, limit = 100, maxContacts = MAX_SCANNED_CONTACTS } = {}) {
+    logger.info('Scanning contacts for duplicates', { minScore, maxContacts });
+
+    const contacts = [];
+    let truncated = false;
+    for await (const record of this.hubspotService.iterateContacts({}, { filterGroups, properties: this.properties })) {
+      if (contacts.length === maxContacts) {
+        truncated = true;
+        break;
+      }
+      contacts.push(matchKeys(record));
+    }
+
+    const blocks = new Map();
+    contacts.forEach((keys, index) => {
+      blockingKeys(keys).forEach(key => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+      });
+    });
+
+    const compared = new Set();
+    const duplicates = [];
+    for (const indexes of blocks.values()) {
+      for (let i = 0; i < indexes.length; i++) {
+        for (let j = i + 1; j < indexes.length; j++) {
+          const pair = `${indexes[i]}:${indexes[j]}`;
+          if (compared.has(pair)) continue;
+          compared.add(pair);
+
+          const a = contacts[indexes[i]];
+          const b = contacts[indexes[j]];
+          const { score, reasons } = DuplicatesService.score(a, b);
+          if (score >= minScore) duplicates.push({ score, reasons, contacts: [a.record, b.record] });
+        }
+      }
+    }
+
+    duplicates.sort((a, b) => b.score - a.score);
+    logger.success('Duplicate scan completed', { scanned: contacts.length, found: duplicates.length });
+
+    return {
+      scanned: contacts.length,
+      truncated,
+      total: duplicates.length,
+      duplicates: duplicates.slice(0, limit)
+    };
+  }
+
+  // A contact with the time each of its properties last changed ({ property: ms }),
+  // or the same not-found result getContact gives
+  async loadForMerge(contactId, properties) {
+    const result = await this.hubspotService.getObject(contactId, { properties, propertiesWithHistory: properties });
+    if (!result) {
+      return {
+        success: false,
+        error: 'Contact not found',
+        contactId
+      };
+    }
+
+    const { propertiesWithHistory = {}, ...contact } = result.record;
+    const changedAt = {};
+    Object.entries(propertiesWithHistory).forEach(([property, versions]) => {
+      const timestamps = (versions || []).map(version => Date.parse(version.timestamp)).filter(Number.isFinite);
+      if (timestamps.length > 0) changedAt[property] = Math.max(...timestamps);
+    });
+
+    return { success: true, contact, changedAt };
+  }
+
+  // What merging mergeId into primaryId would leave on the primary contact. HubSpot
+  // keeps the most recently changed value of each property (the primary's on a
+  // tie), fills empty properties from either side and keeps the primary's email,
+  // the merged contact's becoming an additional email. A property whose change
+  // times HubSpot did not return keeps the primary's value and is marked
+  // approximate, as is the whole preview.
+  async previewMerge(primaryId, mergeId) {
+    const properties = this.properties;
+    const [primary, merged] = await Promise.all([
+      this.loadForMerge(primaryId, properties),
+      this.loadForMerge(mergeId, properties)
+    ]);
+
+    const missing = [primary, merged].find(result => !result.success);
+    if (missing) return missing;
+
+    const primaryValues = primary.contact.properties || {};
+    const mergedValues = merged.contact.properties || {};
+
+    const survivors = properties.map(property => {
+      const primaryValue = primaryValues[property] ?? null;
+      const mergedValue = mergedValues[property] ?? null;
+      const primaryChangedAt = primary.changedAt[property];
+      const mergedChangedAt = merged.changedAt[property];
+
+      let fromMerged = false;
+      let approximate = false;
+      if (property !== 'email' && !isEmpty(mergedValue)) {
+        if (isEmpty(primaryValue)) {
+          fromMerged = true;
+        } else if (primaryChangedAt === undefined || mergedChangedAt === undefined) {
+          approximate = true;
+        } else {
+          fromMerged = mergedChangedAt > primaryChangedAt;
+        }
+      }
+
+      return {
+        property,
+        primaryValue,
+        mergedValue,
+        value: fromMerged ? mergedValue : primaryValue,
+        source: fromMerged ? 'merged' : 'primary',
+        approximate
+      };
+    });
+
+    const additionalEmails = !isEmpty(primaryValues.email) && !isEmpty(mergedValues.email) && primaryValues.email !== mergedValues.email
+      ? [mergedValues.email]
+      : [];
+
+    return {
+      success: true,
+      primary: primary.contact,
+      merged: merged.contact,
+      properties: survivors,
+      additionalEmails,
+      approximate: survivors.some(survivor => survivor.approximate)
+    };
+  }
+
+  // Merge mergeId into primaryId, returning the preview it was based on and the merged contact
+  async mergeContacts(primaryId, mergeId) {
+    const preview = await this.previewMerge(primaryId, mergeId);
+    if (!preview.success) return preview;
+
+    const result = await this.hubspotService.mergeContacts(primaryId, mergeId);
+
+    return {
+      success: true,
+      preview,
+      contact: result.contact,
+      contactId: result.contactId
+    };
+  }
+}
+
+module.exports = DuplicatesService;
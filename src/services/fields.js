@@ -0,0 +1,107 @@
+const fs = require('fs');
+const config = require('../config/hubspot');
+
+let sharedMapping = null;
+
+// Registry of API field names (camelCase) and the HubSpot properties they map
+// to. It drives request and response translation, search filter names,
+// required-field checks and the default property list, so adding a property
+// only means adding an entry to the mapping file.
+class FieldMapping {
+  constructor(fields = []) {
+    const seenFields = new Set();
+    const seenProperties = new Set();
+
+    fields.forEach((entry, index) => {
+      if (!entry.field || !entry.property) {
+        throw new Error(`Field mapping entry at index ${index} needs both "field" and "property"`);
+      }
+      if (seenFields.has(entry.field) || seenProperties.has(entry.property)) {
+        throw new Error(`Field mapping entry at index ${index} repeats "${entry.field}" or "${entry.property}"`);
+      }
+      seenFields.add(entry.field);
+      seenProperties.add(entry.property);
+    });
+
+    this.entries = fields.map(entry => ({ field: entry.field, property: entry.property, required: entry.required === true }));
+    this.byField = new Map(this.entries.map(entry => [entry.field, entry]));
+    this.byProperty = new Map(this.entries.map(entry => [entry.property, entry]));
+  }
+
+  // Load a mapping file: { fields: [{ field, property, required? }] }
+  static fromFile(filePath) {
+    let mapping;
+    try {
+      mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read field mapping ${filePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(mapping.fields)) {
+      throw new Error(`Field mapping ${filePath} must contain a "fields" array`);
+    }
+
+    return new FieldMapping(mapping.fields);
+  }
+
+  // Mapping loaded from config.fieldMappingPath, shared by routes and services
+  static shared() {
+    if (!sharedMapping) {
+      sharedMapping = FieldMapping.fromFile(config.fieldMappingPath);
+    }
+    return sharedMapping;
+  }
+
+  // API field names, in mapping order
+  get fieldNames() {
+    return this.entries.map(entry => entry.field);
+  }
+
+  // HubSpot properties requested by default when reading contacts
+  get properties() {
+    return this.entries.map(entry => entry.property);
+  }
+
+  // HubSpot property for an API field name; other names (such as raw HubSpot
+  // property names) are returned unchanged
+  propertyFor(name) {
+    return this.byField.get(name)?.property ?? name;
+  }
+
+  // API field name for a HubSpot property, or the property name if it is not mapped
+  fieldFor(property) {
+    return this.byProperty.get(property)?.field ?? property;
+  }
+
+  // Translate API contact data into HubSpot properties. Unknown fields and
+  // undefined values are skipped; with dropEmpty, null and '' are skipped too.
+  toProperties(data = {}, { dropEmpty = false } = {}) {
+    const properties = {};
+
+    this.entries.forEach(({ field, property }) => {
+      const value = data[field];
+      if (value === undefined) return;
+      if (dropEmpty && (value === null || value === '')) return;
+      properties[property] = value;
+    });
+
+    return properties;
+  }
+
+  // Translate HubSpot properties into an object keyed by API field name.
+  // Unmapped properties are left out unless listed in include.
+  fromProperties(properties = {}, { include = [] } = {}) {
+    const data = {};
+
+    this.entries.forEach(({ field, property }) => {
+      if (property in properties) data[field] = properties[property];
+    });
+    include.forEach(property => {
+      if (!this.byProperty.has(property) && property in properties) data[property] = properties[property];
+    });
+
+    return data;
+  }
+}
+
+module.exports = FieldMapping;
@@ -1,308 +1,333 @@
-const axios = require('axios');
 const config = require('../config/hubspot');
 const logger = require('../utils/logger');
+const HubSpotClient = require('./client');
+const FieldMapping = require('./fields');
+const CrmObjectService = require('./objects');
+const CacheService = require('./cache');
+const { samePropertyValue } = require('../utils/validation');
+
+// Equality filter groups from a simple property/value map
+const toEqualityFilterGroups = (filters = {}) => {
+  const filterArray = [];
+
+  Object.entries(filters).forEach(([property, value]) => {
+    if (value !== undefined && value !== null) {
+      filterArray.push({
+        propertyName: property,
+        operator: 'EQ',
+        value: value.toString()
+      });
+    }
+  });
+
+  return filterArray.length > 0 ? [{ filters: filterArray }] : [];
+};
+
+// Contacts on top of the generic object service: API field names are
+// translated through the field mapping and results keep their contact shape
+class HubSpotService extends CrmObjectService {
+  constructor(client = HubSpotClient.shared(), fields = FieldMapping.shared(), cache = CacheService.shared()) {
+    super('contacts', client);
+    this.fields = fields;
+    this.cache = cache;
+    this.cacheTtlMs = config.cache.contactTtlMs;
+  }
 
-class HubSpotService {
-  constructor() {
-    this.baseUrl = config.baseUrl;
-    this.headers = {
-      'Authorization': `Bearer ${config.accessToken}`,
-      'Content-Type': 'application/json'
-    };
+  // Drop contacts from the cache after they change, here or in HubSpot
+  async invalidateContacts(contactIds) {
+    await this.cache.invalidate(...contactIds.filter(Boolean).map(id => CacheService.keys.contact(id)));
+  }
+
+  // Build HubSpot contact properties from API contact data, dropping empty values
+  buildContactProperties(contactData) {
+    return this.fields.toProperties(contactData, { dropEmpty: true });
+  }
+
+  // Build HubSpot properties for an update; only fields present in the data are sent
+  buildContactUpdateProperties(updateData) {
+    return this.fields.toProperties(updateData);
   }
 
   // Create a new contact with custom properties
   async createContact(contactData) {
-    try {
-      logger.info('Creating new contact in HubSpot');
-      
-      // Build properties object with both standard and custom properties
-      const properties = {
-        // Standard HubSpot properties
-        firstname: contactData.firstName,
-        lastname: contactData.lastName,
-        email: contactData.email,
-        phone: contactData.phone,
-        hubspot_owner_id: contactData.ownerId,
-        
-        // Custom candidate properties
-        candidate_experience: contactData.candidateExperience,
-        candidate_date_of_joining: contactData.candidateDateOfJoining,
-        candidate_name: contactData.candidateName,
-        candidate_past_company: contactData.candidatePastCompany
-      };
+    const properties = this.buildContactProperties(contactData);
+    logger.info('Contact payload:', { properties });
 
-      // Remove undefined properties
-      Object.keys(properties).forEach(key => {
-        if (properties[key] === undefined || properties[key] === null || properties[key] === '') {
-          delete properties[key];
-        }
-      });
+    const result = await this.createObject(properties);
+
+    return {
+      success: true,
+      contact: result.record,
+      contactId: result.id,
+      attempts: result.attempts
+    };
+  }
 
-      const payload = { properties };
-      
-      logger.info('Contact payload:', payload);
+  // Update an existing contact
+  async updateContact(contactId, updateData) {
+    const properties = this.buildContactUpdateProperties(updateData);
+    logger.info('Update payload:', { properties });
 
-      const response = await axios.post(
-        `${this.baseUrl}${config.endpoints.contacts}`,
-        payload,
-        { headers: this.headers }
-      );
+    const result = await this.updateObject(contactId, properties);
+    await this.invalidateContacts([contactId]);
 
-      logger.success('Contact created successfully', {
-        contactId: response.data.id,
-        properties: response.data.properties
-      });
+    return {
+      success: true,
+      contact: result.record,
+      contactId: result.id,
+      attempts: result.attempts
+    };
+  }
 
-      return {
-        success: true,
-        contact: response.data,
-        contactId: response.data.id
-      };
+  // Get contact by ID. Reads of the default properties go through the cache.
+  async getContact(contactId, properties = null) {
+    logger.info(`Retrieving contact ${contactId}`);
 
-    } catch (error) {
-      logger.error('Failed to create contact', error);
-      throw {
+    const load = () => this.getObject(contactId, { properties: properties || this.fields.properties });
+    const result = properties
+      ? await load()
+      : await this.cache.remember(CacheService.keys.contact(contactId), this.cacheTtlMs, load);
+
+    if (!result) {
+      logger.warn(`Contact ${contactId} not found`);
+      return {
         success: false,
-        error: error.message,
-        details: error.response?.data || null
+        error: 'Contact not found',
+        contactId
       };
     }
+
+    return {
+      success: true,
+      contact: result.record,
+      attempts: result.attempts
+    };
   }
 
-  // Update an existing contact
-  async updateContact(contactId, updateData) {
-    try {
-      logger.info(`Updating contact ${contactId}`);
-
-      // Build properties object for update
-      const properties = {};
-      
-      // Map update data to HubSpot properties
-      if (updateData.firstName !== undefined) properties.firstname = updateData.firstName;
-      if (updateData.lastName !== undefined) properties.lastname = updateData.lastName;
-      if (updateData.email !== undefined) properties.email = updateData.email;
-      if (updateData.phone !== undefined) properties.phone = updateData.phone;
-      if (updateData.ownerId !== undefined) properties.hubspot_owner_id = updateData.ownerId;
-      if (updateData.candidateExperience !== undefined) properties.candidate_experience = updateData.candidateExperience;
-      if (updateData.candidateDateOfJoining !== undefined) properties.candidate_date_of_joining = updateData.candidateDateOfJoining;
-      if (updateData.candidateName !== undefined) properties.candidate_name = updateData.candidateName;
-      if (updateData.candidatePastCompany !== undefined) properties.candidate_past_company = updateData.candidatePastCompany;
-
-      const payload = { properties };
-      
-      logger.info('Update payload:', payload);
-
-      const response = await axios.patch(
-        `${this.baseUrl}${config.endpoints.contacts}/${contactId}`,
-        payload,
-        { headers: this.headers }
-      );
-
-      logger.success('Contact updated successfully', {
-        contactId: response.data.id,
-        updatedProperties: Object.keys(properties)
-      });
+  // Every value the given properties have had, as one timeline newest first:
+  // [{ property, value, previousValue, timestamp, sourceType, sourceId, sourceLabel, updatedByUserId }].
+  // Always read from HubSpot, since the cache only holds current values.
+  async getContactHistory(contactId, properties = this.fields.properties) {
+    logger.info(`Retrieving property history of contact ${contactId}`, { properties });
 
-      return {
-        success: true,
-        contact: response.data,
-        contactId: response.data.id
-      };
+    const result = await this.getObject(contactId, { properties, propertiesWithHistory: properties });
 
-    } catch (error) {
-      logger.error(`Failed to update contact ${contactId}`, error);
-      throw {
+    if (!result) {
+      logger.warn(`Contact ${contactId} not found`);
+      return {
         success: false,
-        error: error.message,
-        details: error.response?.data || null
+        error: 'Contact not found',
+        contactId
       };
     }
-  }
 
-  // Get contact by ID
-  async getContact(contactId, properties = null) {
-    try {
-      logger.info(`Retrieving contact ${contactId}`);
-
-      let url = `${this.baseUrl}${config.endpoints.contacts}/${contactId}`;
-      
-      // Add properties parameter if specified
-      if (properties) {
-        const propsParam = Array.isArray(properties) ? properties.join(',') : properties;
-        url += `?properties=${propsParam}`;
-      } else {
-        // Default properties to retrieve
-        const defaultProps = [
-          'firstname', 'lastname', 'email', 'phone', 'hubspot_owner_id',
-          'candidate_experience', 'candidate_date_of_joining', 
-          'candidate_name', 'candidate_past_company'
-        ];
-        url += `?properties=${defaultProps.join(',')}`;
-      }
+    const versionsByProperty = result.record.propertiesWithHistory || {};
+    const history = properties.flatMap(property => {
+      // HubSpot lists versions newest first; walk them oldest first to know each previous value
+      const versions = [...(versionsByProperty[property] || [])]
+        .reverse()
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+      return versions.map((version, position) => ({
+        property,
+        value: version.value ?? null,
+        previousValue: position > 0 ? versions[position - 1].value ?? null : null,
+        timestamp: version.timestamp,
+        sourceType: version.sourceType || null,
+        sourceId: version.sourceId || null,
+        sourceLabel: version.sourceLabel || null,
+        updatedByUserId: version.updatedByUserId ?? null
+      })).reverse();
+    });
+
+    history.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp) || a.property.localeCompare(b.property));
+
+    return {
+      success: true,
+      contact: result.record,
+      history,
+      attempts: result.attempts
+    };
+  }
 
-      const response = await axios.get(url, { headers: this.headers });
+  // Look up a contact by a unique property such as email. Returns null if none exists.
+  async findContactByProperty(value, idProperty = 'email') {
+    logger.info(`Looking up contact by ${idProperty}`);
 
-      logger.success('Contact retrieved successfully', {
-        contactId: response.data.id,
-        propertiesCount: Object.keys(response.data.properties || {}).length
-      });
+    const result = await this.getObject(value, { idProperty, properties: this.fields.properties });
+    return result ? result.record : null;
+  }
 
-      return {
-        success: true,
-        contact: response.data
-      };
+  // Create the contact, or patch only the changed fields of the contact that
+  // already has the same unique property value (email by default).
+  // prepareCreate(contactData) can amend the data when the contact is created,
+  // e.g. to assign an owner, without touching existing contacts. `definitions`
+  // (property definitions by name) lets values be compared by type.
+  async upsertContact(contactData, { idProperty = config.uniqueProperty, prepareCreate, definitions = {} } = {}) {
+    const properties = this.buildContactProperties(contactData);
+    const idValue = properties[idProperty];
 
-    } catch (error) {
-      if (error.response?.status === 404) {
-        logger.error(`Contact ${contactId} not found`);
-        return {
-          success: false,
-          error: 'Contact not found',
-          contactId
-        };
-      }
-      
-      logger.error(`Failed to retrieve contact ${contactId}`, error);
+    if (idValue === undefined) {
       throw {
         success: false,
-        error: error.message,
-        details: error.response?.data || null
+        error: `Cannot upsert contact without a value for unique property "${idProperty}"`,
+        details: null,
+        status: 400
       };
     }
-  }
-
-  // Search contacts with filters
-  async searchContacts(filters = {}, limit = 10) {
-    try {
-      logger.info('Searching contacts with filters', filters);
-
-      const searchPayload = {
-        filterGroups: [],
-        properties: [
-          'firstname', 'lastname', 'email', 'phone', 'hubspot_owner_id',
-          'candidate_experience', 'candidate_date_of_joining', 
-          'candidate_name', 'candidate_past_company'
-        ],
-        limit
-      };
 
-      // Build filters if provided
-      if (Object.keys(filters).length > 0) {
-        const filterArray = [];
-        
-        Object.entries(filters).forEach(([property, value]) => {
-          if (value !== undefined && value !== null) {
-            filterArray.push({
-              propertyName: property,
-              operator: 'EQ',
-              value: value.toString()
-            });
-          }
-        });
-
-        if (filterArray.length > 0) {
-          searchPayload.filterGroups.push({ filters: filterArray });
-        }
+    let existing = await this.findContactByProperty(idValue, idProperty);
+
+    if (!existing) {
+      try {
+        const createData = prepareCreate ? await prepareCreate(contactData) : contactData;
+        const created = await this.createContact(createData);
+        return { ...created, action: 'created', changedProperties: Object.keys(this.buildContactProperties(createData)) };
+      } catch (error) {
+        // Another request created the contact between our lookup and create
+        if (error.status !== 409) throw error;
+        existing = await this.findContactByProperty(idValue, idProperty);
+        if (!existing) throw error;
       }
+    }
 
-      const response = await axios.post(
-        `${this.baseUrl}${config.endpoints.contactsSearch}`,
-        searchPayload,
-        { headers: this.headers }
-      );
-
-      logger.success('Contacts search completed', {
-        total: response.data.total,
-        returned: response.data.results.length
-      });
+    const current = existing.properties || {};
+    const changes = {};
+    Object.entries(properties).forEach(([name, value]) => {
+      // HubSpot matches emails case-insensitively
+      const same = name === 'email'
+        ? String(value).toLowerCase() === String(current[name] ?? '').toLowerCase()
+        : samePropertyValue(definitions[name], value, current[name]);
+      if (!same) {
+        changes[name] = value;
+      }
+    });
 
+    if (Object.keys(changes).length === 0) {
+      logger.info(`Contact ${existing.id} is already up to date`);
       return {
         success: true,
-        contacts: response.data.results,
-        total: response.data.total
-      };
-
-    } catch (error) {
-      logger.error('Failed to search contacts', error);
-      throw {
-        success: false,
-        error: error.message,
-        details: error.response?.data || null
+        action: 'unchanged',
+        contact: existing,
+        contactId: existing.id,
+        changedProperties: []
       };
     }
+
+    logger.info(`Upserting contact ${existing.id}`, { changedProperties: Object.keys(changes) });
+
+    const result = await this.updateObject(existing.id, changes);
+    await this.invalidateContacts([existing.id]);
+
+    return {
+      success: true,
+      action: 'updated',
+      contact: result.record,
+      contactId: result.id,
+      previous: existing,
+      changedProperties: Object.keys(changes),
+      attempts: result.attempts
+    };
+  }
+
+  // Search contacts with filters. Options:
+  //   filterGroups - HubSpot filter groups, used instead of the `filters` map
+  //   after        - HubSpot paging token from a previous page
+  //   afterId      - only return contacts with hs_object_id greater than this (keyset paging)
+  //   sorts        - HubSpot sort definitions
+  //   properties   - properties to return instead of the defaults
+  async searchContacts(filters = {}, limit = 10, options = {}) {
+    const result = await this.searchObjects({
+      ...options,
+      filterGroups: options.filterGroups || toEqualityFilterGroups(filters),
+      properties: options.properties || this.fields.properties,
+      limit
+    });
+
+    return {
+      success: true,
+      contacts: result.results,
+      total: result.total,
+      nextAfter: result.nextAfter,
+      attempts: result.attempts
+    };
+  }
+
+  // Iterate over every contact matching the filters (see iterateObjects for paging)
+  async *iterateContacts(filters = {}, { pageSize = 100, filterGroups, sorts, properties } = {}) {
+    yield* this.iterateObjects({
+      pageSize,
+      filterGroups: filterGroups || toEqualityFilterGroups(filters),
+      sorts,
+      properties: properties || this.fields.properties
+    });
   }
 
   // Delete contact (optional - for testing purposes)
   async deleteContact(contactId) {
-    try {
-      logger.info(`Deleting contact ${contactId}`);
+    const result = await this.deleteObject(contactId);
+    await this.invalidateContacts([contactId]);
 
-      await axios.delete(
-        `${this.baseUrl}${config.endpoints.contacts}/${contactId}`,
-        { headers: this.headers }
-      );
+    return {
+      success: true,
+      contactId: result.id,
+      attempts: result.attempts
+    };
+  }
 
-      logger.success('Contact deleted successfully', { contactId });
+  // Merge one contact into another; both are dropped from the cache
+  async mergeContacts(primaryId, idToMerge) {
+    const result = await this.mergeObjects(primaryId, idToMerge);
+    await this.invalidateContacts([String(primaryId), String(idToMerge), result.id]);
 
-      return {
-        success: true,
-        contactId
-      };
+    return {
+      success: true,
+      contact: result.record,
+      contactId: result.id,
+      attempts: result.attempts
+    };
+  }
 
-    } catch (error) {
-      logger.error(`Failed to delete contact ${contactId}`, error);
-      throw {
-        success: false,
-        error: error.message,
-        details: error.response?.data || null
-      };
-    }
+  // Batch outcomes name the record a contact
+  batchSuccess(id, contact) {
+    return { contactId: id, contact };
   }
 
   // Batch create contacts (bonus feature)
   async batchCreateContacts(contactsData) {
-    try {
-      logger.info(`Batch creating ${contactsData.length} contacts`);
-
-      const inputs = contactsData.map(contactData => ({
-        properties: {
-          firstname: contactData.firstName,
-          lastname: contactData.lastName,
-          email: contactData.email,
-          phone: contactData.phone,
-          hubspot_owner_id: contactData.ownerId,
-          candidate_experience: contactData.candidateExperience,
-          candidate_date_of_joining: contactData.candidateDateOfJoining,
-          candidate_name: contactData.candidateName,
-          candidate_past_company: contactData.candidatePastCompany
-        }
-      }));
-
-      const response = await axios.post(
-        `${this.baseUrl}${config.endpoints.contactsBatch}/create`,
-        { inputs },
-        { headers: this.headers }
-      );
-
-      logger.success('Batch contact creation completed', {
-        created: response.data.results.length
-      });
+    const result = await this.batchCreate(contactsData.map(contactData => this.buildContactProperties(contactData)), { idProperty: 'email' });
 
-      return {
-        success: true,
-        contacts: response.data.results
-      };
+    return {
+      ...result,
+      contacts: result.results.filter(r => r.success).map(r => r.contact)
+    };
+  }
 
-    } catch (error) {
-      logger.error('Failed to batch create contacts', error);
-      throw {
-        success: false,
-        error: error.message,
-        details: error.response?.data || null
-      };
-    }
+  // Batch read contacts by id (or by another unique property via idProperty)
+  async batchReadContacts(ids, { properties = this.fields.properties, idProperty } = {}) {
+    return this.batchRead(ids, { properties, idProperty });
+  }
+
+  // Batch update contacts; each item is { id, ...contact fields }
+  async batchUpdateContacts(updates) {
+    const result = await this.batchUpdate(updates.map(({ id, ...updateData }) => ({ id, properties: this.buildContactUpdateProperties(updateData) })));
+    await this.invalidateContacts(updates.map(update => update.id));
+    return result;
+  }
+
+  // Batch upsert contacts matched on a unique property (email by default)
+  async batchUpsertContacts(contactsData, { idProperty = config.uniqueProperty } = {}) {
+    const result = await this.batchUpsert(contactsData.map(contactData => this.buildContactProperties(contactData)), { idProperty });
+    await this.invalidateContacts(result.results.filter(r => r.success).map(r => r.contactId));
+    return result;
+  }
+
+  // Batch archive (delete) contacts by id
+  async batchArchiveContacts(ids) {
+    const result = await this.batchArchive(ids);
+    await this.invalidateContacts(ids);
+    return result;
   }
 }
 
-module.exports = HubSpotService;
\ No newline at end of file
+module.exports = HubSpotService;
@@ -0,0 +1,207 @@
+const HubSpotService = require('./hubspot');
+const PropertiesService = require('./properties');
+const OwnersService = require('./owners');
+const logger = require('../utils/logger');
+const { parseCsvRecords, toCsv } = require('../utils/csv');
+const { validateContact, formatValidationErrors } = require('../utils/validation');
+
+// "First Name", "first_name" and "firstName" all normalize to "firstname"
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Valid rows are sent to HubSpot this many at a time, reporting progress in between
+const IMPORT_SLICE_SIZE = 500;
+
+class ImportService {
+  constructor(hubspotService = new HubSpotService(), propertiesService = new PropertiesService(), ownersService = OwnersService.shared()) {
+    this.hubspotService = hubspotService;
+    this.propertiesService = propertiesService;
+    this.ownersService = ownersService;
+  }
+
+  // Resolve the column -> field mapping. Explicit entries win; remaining
+  // columns are matched to contact fields (see the field mapping) by normalized name.
+  resolveMapping(headers, explicitMapping = {}) {
+    // ownerEmail is resolved to ownerId rather than written to HubSpot
+    const contactFields = [...this.hubspotService.fields.fieldNames, 'ownerEmail'];
+    const errors = [];
+    const mapping = {};
+
+    Object.entries(explicitMapping).forEach(([column, field]) => {
+      if (!headers.includes(column)) {
+        errors.push(`Mapped column "${column}" is not in the CSV header`);
+      } else if (!contactFields.includes(field)) {
+        errors.push(`Column "${column}" is mapped to unknown field "${field}"`);
+      } else {
+        mapping[column] = field;
+      }
+    });
+
+    const mappedFields = Object.values(mapping);
+    const fieldsByHeader = new Map(contactFields.map(field => [normalizeHeader(field), field]));
+
+    headers.forEach(header => {
+      if (mapping[header]) return;
+      const field = fieldsByHeader.get(normalizeHeader(header));
+      if (field && !mappedFields.includes(field)) {
+        mapping[header] = field;
+        mappedFields.push(field);
+      }
+    });
+
+    if (!mappedFields.includes('email')) {
+      errors.push('No column is mapped to email');
+    }
+
+    return {
+      mapping,
+      unmappedColumns: headers.filter(header => !mapping[header]),
+      errors
+    };
+  }
+
+  // Turn CSV records into contact data. Row numbers follow the spreadsheet, with the header as row 1.
+  // Values are type-checked and normalized the same way as API requests.
+  buildRows(records, mapping) {
+    const definitions = this.propertiesService.getPropertyDefinitionsByName();
+
+    return records.map((record, index) => {
+      const values = {};
+      Object.entries(mapping).forEach(([column, field]) => {
+        const value = record[column]?.trim();
+        if (value) values[field] = value;
+      });
+
+      const { data, errors } = validateContact(values, this.hubspotService.fields.entries, definitions);
+      return {
+        row: index + 2,
+        record,
+        contact: { ...data, ownerEmail: values.ownerEmail },
+        errors: formatValidationErrors(errors)
+      };
+    });
+  }
+
+  // Check owners of the rows that are otherwise valid, resolving ownerEmail to ownerId
+  async checkOwners(rows) {
+    for (const row of rows) {
+      if (row.errors.length > 0) continue;
+
+      const { data, errors } = await this.ownersService.resolveOwnerFields(row.contact);
+      row.contact = data;
+      row.errors = formatValidationErrors(errors);
+    }
+  }
+
+  // Failed rows in their original columns plus the row number and error
+  buildErrorCsv(headers, reportRows, rows) {
+    const failed = reportRows
+      .map((report, index) => ({ report, row: rows[index] }))
+      .filter(({ report }) => !report.success);
+
+    if (failed.length === 0) return null;
+
+    // The added columns get a leading _ while the upload already has a column of that name
+    const added = (name) => (headers.includes(name) ? added(`_${name}`) : name);
+    const rowColumn = added('row');
+    const errorColumn = added('error');
+
+    return toCsv(
+      [rowColumn, ...headers, errorColumn],
+      failed.map(({ report, row }) => ({ ...row.record, [rowColumn]: report.row, [errorColumn]: report.errors.join('; ') }))
+    );
+  }
+
+  // Validate a CSV of contacts and, unless dryRun, create or upsert the valid rows.
+  // Throws { status: 400 } when the file itself or the mapping is unusable.
+  // onProgress({ total, processed, succeeded, failed, errors }) is called after
+  // validation and after each slice sent, with running counts and the rows that
+  // newly failed; once isCancelled() returns true, the remaining rows are not sent.
+  async importCsv(csv, { mapping = {}, dryRun = false, upsert = false, idProperty, onProgress, isCancelled } = {}) {
+    const { headers, records } = parseCsvRecords(csv || '');
+
+    if (headers.length === 0 || records.length === 0) {
+      throw { success: false, status: 400, error: 'CSV must contain a header row and at least one data row', details: null };
+    }
+
+    const resolved = this.resolveMapping(headers, mapping);
+    if (resolved.errors.length > 0) {
+      throw { success: false, status: 400, error: 'Invalid column mapping', details: resolved.errors };
+    }
+
+    logger.info(`Importing ${records.length} CSV rows`, { dryRun, upsert, mapping: resolved.mapping });
+
+    const rows = this.buildRows(records, resolved.mapping);
+    await this.checkOwners(rows);
+    const reportRows = rows.map(row => ({
+      row: row.row,
+      success: row.errors.length === 0,
+      status: row.errors.length === 0 ? 'valid' : 'invalid',
+      errors: row.errors,
+      contact: row.contact
+    }));
+
+    const validIndexes = reportRows.map((report, index) => (report.success ? index : null)).filter(index => index !== null);
+    const invalid = reportRows.filter(report => !report.success);
+    const progress = { total: reportRows.length, processed: invalid.length, succeeded: 0, failed: invalid.length };
+    const failedRows = (reports) => reports.filter(report => !report.success).map(report => ({ row: report.row, errors: report.errors }));
+
+    if (onProgress) await onProgress({ ...progress, errors: failedRows(invalid) });
+
+    if (!dryRun) {
+      for (let start = 0; start < validIndexes.length; start += IMPORT_SLICE_SIZE) {
+        if (isCancelled?.()) break;
+
+        const indexes = validIndexes.slice(start, start + IMPORT_SLICE_SIZE);
+        const contacts = [];
+        for (const index of indexes) {
+          // Upserts may hit existing contacts, so only plain creates get an owner assigned
+          contacts.push(upsert ? rows[index].contact : await this.ownersService.assignOwner(rows[index].contact));
+        }
+        const batch = upsert
+          ? await this.hubspotService.batchUpsertContacts(contacts, { idProperty })
+          : await this.hubspotService.batchCreateContacts(contacts);
+
+        const reports = batch.results.map((outcome, position) => {
+          const report = reportRows[indexes[position]];
+          report.success = outcome.success;
+          report.contactId = outcome.contactId;
+          if (outcome.success) {
+            report.status = outcome.action || 'created';
+          } else {
+            report.status = 'failed';
+            report.errors = [outcome.error];
+          }
+          return report;
+        });
+
+        progress.processed += reports.length;
+        progress.succeeded += reports.filter(report => report.success).length;
+        progress.failed += reports.filter(report => !report.success).length;
+        if (onProgress) await onProgress({ ...progress, errors: failedRows(reports) });
+      }
+    }
+
+    const count = (status) => reportRows.filter(report => report.status === status).length;
+    const summary = {
+      total: reportRows.length,
+      valid: reportRows.length - count('invalid'),
+      invalid: count('invalid'),
+      created: count('created'),
+      updated: count('updated'),
+      failed: count('failed')
+    };
+
+    logger.success(`CSV import ${dryRun ? 'dry run ' : ''}completed`, summary);
+
+    return {
+      dryRun,
+      mapping: resolved.mapping,
+      unmappedColumns: resolved.unmappedColumns,
+      summary,
+      rows: reportRows,
+      errorCsv: this.buildErrorCsv(headers, reportRows, rows)
+    };
+  }
+}
+
+module.exports = ImportService;
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+const { runWithContext } = require('../utils/request-context');
+
+// Job ids are UUIDs; anything else is never looked up (they become file names)
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Statuses a job never leaves
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+let sharedQueue = null;
+
+// One JSON file per job in a directory, plus its payload (which can be a whole
+// CSV) in a second file written once. Other stores only need async save(job),
+// get(id), list(), delete(id), savePayload(id, payload), getPayload(id) and
+// outputPath(id, extension) for files a job produces.
+class FileJobStore {
+  constructor({ dir = config.jobs.dir } = {}) {
+    this.dir = dir;
+    this.name = 'file';
+    // Writes run one at a time so progress updates never interleave
+    this.pending = Promise.resolve();
+  }
+
+  serialize(change) {
+    const result = this.pending.then(change);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  jobPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  payloadPath(id) {
+    return path.join(this.dir, `${id}.payload.json`);
+  }
+
+  outputPath(id, extension) {
+    return path.join(this.dir, `${id}.output.${extension}`);
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written job
+  async write(filePath, value) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(value), { mode: 0o600 });
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async read(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Unable to read job file ${filePath}: ${error.message}`);
+    }
+  }
+
+  save(job) {
+    return this.serialize(() => this.write(this.jobPath(job.id), job));
+  }
+
+  savePayload(id, payload) {
+    return this.serialize(() => this.write(this.payloadPath(id), payload));
+  }
+
+  async get(id) {
+    await this.pending;
+    return this.read(this.jobPath(id));
+  }
+
+  async getPayload(id) {
+    await this.pending;
+    return this.read(this.payloadPath(id));
+  }
+
+  async list() {
+    await this.pending;
+    if (!fs.existsSync(this.dir)) return [];
+
+    const names = (await fs.promises.readdir(this.dir)).filter(name => JOB_ID_PATTERN.test(name.replace(/\.json$/, '')));
+    const jobs = [];
+    for (const name of names) {
+      try {
+        jobs.push(await this.read(path.join(this.dir, name)));
+      } catch (error) {
+        logger.warn(error.message);
+      }
+    }
+    return jobs.filter(Boolean);
+  }
+
+  delete(id) {
+    return this.serialize(async () => {
+      const files = (await fs.promises.readdir(this.dir).catch(() => [])).filter(name => name.startsWith(`${id}.`));
+      await Promise.all(files.map(name => fs.promises.rm(path.join(this.dir, name), { force: true })));
+    });
+  }
+}
+
+// Runs long operations (large batches, imports, exports) after the request
+// that asked for them has been answered with 202, at most `concurrency` at a
+// time. Jobs are saved as they progress, so their status outlives a restart.
+class JobQueue {
+  constructor({ store = new FileJobStore(), concurrency = config.jobs.concurrency, retentionMs = config.jobs.retentionMs } = {}) {
+    this.store = store;
+    this.concurrency = concurrency;
+    this.retentionMs = retentionMs;
+
+    this.handlers = new Map();
+    // Ids of queued jobs, oldest first
+    this.waiting = [];
+    // Running jobs by id; they are saved on every update, these copies are the freshest
+    this.active = new Map();
+    this.running = new Set();
+  }
+
+  // Queue shared by every route that starts jobs
+  static shared() {
+    if (!sharedQueue) {
+      sharedQueue = new JobQueue();
+    }
+    return sharedQueue;
+  }
+
+  // Swap the store, e.g. for a database-backed one
+  useStore(store) {
+    this.store = store;
+  }
+
+  // handler(payload, job) does the work of one job type and resolves with its
+  // result. `job` has origin, checkpoint, isCancelled(), update(changes) and
+  // outputPath(extension, { fileName, contentType }), and attempts (above 1 when
+  // a restart interrupted it). Jobs of a resumable type that a restart
+  // interrupted run again from their last checkpoint; others are marked failed.
+  // A handler failing with { error, details, result } keeps that partial result.
+  register(type, handler, { resumable = false } = {}) {
+    this.handlers.set(type, { handler, resumable });
+  }
+
+  // Save a job and queue it. origin is AuditService.origin(req) of the request
+  // that started it; progress may preset the counts, errors the items that
+  // already failed (e.g. validation).
+  async enqueue(type, payload, { origin = null, progress = {}, errors = [] } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      createdBy: origin?.actor || null,
+      portal: origin?.portal || null,
+      origin,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      attempts: 0,
+      cancelRequested: false,
+      progress: { total: null, processed: 0, succeeded: 0, failed: 0, ...progress },
+      errors,
+      result: null,
+      error: null,
+      details: null,
+      output: null,
+      checkpoint: null
+    };
+
+    await this.store.savePayload(job.id, payload);
+    await this.store.save(job);
+    logger.info(`Queued ${type} job ${job.id}`, { total: job.progress.total });
+
+    this.waiting.push(job.id);
+    this.drain();
+    this.prune().catch(error => logger.warn(`Failed to remove expired jobs: ${error.message}`));
+    return job;
+  }
+
+  // Pick up saved jobs after a restart, once expired ones are removed
+  async start() {
+    await this.prune();
+    const jobs = (await this.store.list()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of jobs) {
+      if (FINISHED_STATUSES.includes(job.status)) continue;
+
+      if (job.status === 'running') {
+        if (!this.handlers.get(job.type)?.resumable) {
+          await this.finish(job, 'failed', { error: 'Interrupted by a restart before it finished' });
+          continue;
+        }
+        job.status = 'queued';
+        await this.store.save(job);
+        logger.info(`Resuming ${job.type} job ${job.id}`);
+      }
+
+      if (!this.waiting.includes(job.id) && !this.active.has(job.id)) this.waiting.push(job.id);
+    }
+
+    this.drain();
+  }
+
+  // Remove finished jobs (and their files) older than the retention period
+  async prune() {
+    const expired = Date.now() - this.retentionMs;
+    for (const job of await this.store.list()) {
+      if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.finishedAt) < expired) {
+        await this.store.delete(job.id);
+      }
+    }
+  }
+
+  // Start queued jobs while there is room
+  drain() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      const id = this.waiting.shift();
+      const run = this.run(id)
+        .catch(error => logger.error(`Job ${id} could not be run`, error))
+        .finally(() => {
+          this.running.delete(run);
+          this.drain();
+        });
+      this.running.add(run);
+    }
+  }
+
+  async run(id) {
+    const job = await this.store.get(id);
+    // Cancelled (or removed) while it waited
+    if (!job || job.status !== 'queued') return;
+
+    const registration = this.handlers.get(job.type);
+    if (!registration) {
+      await this.finish(job, 'failed', { error: `Unknown job type "${job.type}"` });
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.attempts++;
+    this.active.set(job.id, job);
+    await this.store.save(job);
+    logger.info(`Running ${job.type} job ${job.id}`, { attempt: job.attempts });
+
+    const context = {
+      id: job.id,
+      origin: job.origin,
+      checkpoint: job.checkpoint,
+      attempts: job.attempts,
+      isCancelled: () => job.cancelRequested,
+      // Record progress: counts replace the current ones, errors are appended,
+      // and the checkpoint is whatever the handler needs to resume
+      update: async ({ errors = [], checkpoint, ...counts } = {}) => {
+        Object.assign(job.progress, counts);
+        job.errors.push(...errors);
+        if (checkpoint !== undefined) job.checkpoint = checkpoint;
+        await this.store.save(job);
+      },
+      // Path for a file the job produces, served by the download route
+      outputPath: (extension, { fileName, contentType }) => {
+        job.output = { path: this.store.outputPath(job.id, extension), fileName, contentType };
+        return job.output.path;
+      }
+    };
+
+    try {
+      const payload = await this.store.getPayload(job.id);
+      const result = await runWithContext({ requestId: job.origin?.requestId || job.id, portal: job.portal, jobId: job.id }, () => registration.handler(payload, context));
+      await this.finish(job, job.cancelRequested ? 'cancelled' : 'completed', { result: result ?? null });
+    } catch (error) {
+      logger.error(`${job.type} job ${job.id} failed`, error);
+      await this.finish(job, 'failed', {
+        error: error.error || error.message || 'Job failed',
+        details: error.details || null,
+        result: error.result ?? null
+      });
+    } finally {
+      this.active.delete(job.id);
+    }
+  }
+
+  async finish(job, status, { result = null, error = null, details = null } = {}) {
+    Object.assign(job, { status, result, error, details, checkpoint: null, finishedAt: new Date().toISOString() });
+    await this.store.save(job);
+    logger.success(`${job.type} job ${job.id} ${status}`, job.progress);
+  }
+
+  // A job by id, or null
+  async get(id) {
+    if (!JOB_ID_PATTERN.test(String(id))) return null;
+    return this.active.get(id) || this.store.get(id);
+  }
+
+  // Whether actor ({ method, subject }) is the caller that started the job.
+  // Callers without a subject (e.g. with auth disabled) never match anyone.
+  static startedBy(job, actor) {
+    return Boolean(job.createdBy?.subject && actor?.subject && job.createdBy.method === actor.method && job.createdBy.subject === actor.subject);
+  }
+
+  // Jobs newest first, optionally only those one actor started or in one status
+  async list({ createdBy, status, limit = 50 } = {}) {
+    const jobs = (await this.store.list()).map(job => this.active.get(job.id) || job);
+    return jobs
+      .filter(job => (!createdBy || JobQueue.startedBy(job, createdBy)) && (!status || job.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Cancel a job: a queued one never starts, a running one stops at its next
+  // check. Finished jobs are returned unchanged.
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return job;
+
+    if (job.status === 'queued') {
+      this.waiting = this.waiting.filter(waitingId => waitingId !== id);
+      await this.finish(job, 'cancelled');
+      return job;
+    }
+
+    job.cancelRequested = true;
+    await this.store.save(job);
+    logger.info(`Cancelling ${job.type} job ${job.id}`);
+    return job;
+  }
+
+  // Resolves once nothing is queued or running (used by tests and shutdown)
+  async idle() {
+    while (this.running.size > 0) {
+      await Promise.all([...this.running]);
+    }
+  }
+}
+
+module.exports = JobQueue;
+module.exports.FileJobStore = FileJobStore;
+module.exports.FINISHED_STATUSES = FINISHED_STATUSES;
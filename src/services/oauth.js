@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+const FileTokenStore = require('./token-store');
+
+// How long an install link (its state parameter) stays valid
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+let sharedService = null;
+
+// Service errors carry the same shape as the CRM services' errors
+const oauthError = (error, status, details = null) => ({ success: false, error, details, status });
+
+// Runs the app install flow (authorize URL, code exchange) and hands out
+// access tokens, refreshing them shortly before they expire
+class OAuthService {
+  constructor({
+    options = config.oauth,
+    clientSecret = config.clientSecret,
+    requiredScopes = config.requiredScopes,
+    optionalScopes = config.optionalScopes,
+    store = new FileTokenStore(),
+    http = axios.create({ baseURL: config.baseUrl })
+  } = {}) {
+    this.options = options;
+    this.clientSecret = clientSecret;
+    this.requiredScopes = requiredScopes;
+    this.optionalScopes = optionalScopes;
+    this.store = store;
+    this.http = http;
+
+    // Install links handed out and not used yet: state -> expiry
+    this.pendingStates = new Map();
+    // Refreshes in flight, shared by concurrent callers: portalId -> promise
+    this.refreshing = new Map();
+  }
+
+  // Service shared by the OAuth routes and the HubSpot client
+  static shared() {
+    if (!sharedService) {
+      sharedService = new OAuthService();
+    }
+    return sharedService;
+  }
+
+  isEnabled() {
+    return Boolean(this.options.enabled);
+  }
+
+  // HubSpot authorize URL for a new install, with a one-time state against CSRF
+  createInstallUrl(now = Date.now()) {
+    for (const [state, expiresAt] of this.pendingStates) {
+      if (expiresAt <= now) this.pendingStates.delete(state);
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    this.pendingStates.set(state, now + STATE_TTL_MS);
+
+    const url = new URL(this.options.authorizeUrl);
+    url.searchParams.set('client_id', this.options.clientId);
+    url.searchParams.set('redirect_uri', this.options.redirectUri);
+    url.searchParams.set('scope', this.requiredScopes.join(' '));
+    if (this.optionalScopes.length > 0) url.searchParams.set('optional_scope', this.optionalScopes.join(' '));
+    url.searchParams.set('state', state);
+
+    return { url: url.toString(), state };
+  }
+
+  // True once for a state we issued that hasn't expired
+  consumeState(state, now = Date.now()) {
+    const expiresAt = this.pendingStates.get(state);
+    this.pendingStates.delete(state);
+    return expiresAt !== undefined && expiresAt > now;
+  }
+
+  // POST to the token endpoint (form encoded, as HubSpot requires)
+  async requestTokens(params) {
+    try {
+      const response = await this.http.post(config.endpoints.oauthToken, new URLSearchParams({
+        client_id: this.options.clientId,
+        client_secret: this.clientSecret,
+        ...params
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      logger.error(`OAuth ${params.grant_type} request failed`, error);
+      throw oauthError(
+        error.response?.data?.message || error.message,
+        status === 400 || status === 401 ? 400 : 502,
+        error.response?.data || null
+      );
+    }
+  }
+
+  // Portal id and granted scopes of an access token
+  async fetchTokenInfo(accessToken) {
+    try {
+      const response = await this.http.get(`${config.endpoints.oauthTokenInfo}/${accessToken}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to read OAuth access token metadata', error);
+      throw oauthError(error.response?.data?.message || error.message, 502, error.response?.data || null);
+    }
+  }
+
+  // Token record as stored, from a token endpoint response
+  toRecord(portalId, response, extra = {}, now = Date.now()) {
+    return {
+      portalId: String(portalId),
+      accessToken: response.access_token,
+      refreshToken: response.refresh_token,
+      expiresAt: now + Number(response.expires_in) * 1000,
+      ...extra
+    };
+  }
+
+  // Exchange the code from the callback for tokens. The install is refused
+  // (and nothing stored) unless every required scope was granted.
+  async exchangeCode(code) {
+    const response = await this.requestTokens({
+      grant_type: 'authorization_code',
+      redirect_uri: this.options.redirectUri,
+      code
+    });
+    const info = await this.fetchTokenInfo(response.access_token);
+
+    const scopes = info.scopes || [];
+    const missingScopes = this.requiredScopes.filter(scope => !scopes.includes(scope));
+    if (missingScopes.length > 0) {
+      logger.warn(`OAuth install for portal ${info.hub_id} is missing required scopes`, { missingScopes });
+      throw oauthError('The app was installed without all required scopes', 403, { missingScopes });
+    }
+
+    const now = Date.now();
+    const record = await this.store.set(this.toRecord(info.hub_id, response, {
+      hubDomain: info.hub_domain || null,
+      scopes,
+      installedAt: new Date(now).toISOString()
+    }, now));
+
+    logger.success(`HubSpot app installed in portal ${record.portalId}`);
+    return record;
+  }
+
+  // Portal used when a caller doesn't name one: the configured one, else the
+  // first install. Never the latest, so a later install can't take over the default.
+  async defaultPortalId() {
+    if (this.options.defaultPortalId) return String(this.options.defaultPortalId);
+
+    const installs = await this.store.list();
+    if (installs.length === 0) return null;
+
+    installs.sort((a, b) => String(a.installedAt).localeCompare(String(b.installedAt)));
+    return installs[0].portalId;
+  }
+
+  // Trade the refresh token for a new access token; concurrent callers share one request
+  async refresh(portalId) {
+    const key = String(portalId);
+    if (!this.refreshing.has(key)) {
+      const refresh = (async () => {
+        const current = await this.store.get(key);
+        if (!current) throw oauthError(`HubSpot app is not installed in portal ${key}`, 401);
+
+        logger.info(`Refreshing OAuth access token for portal ${key}`);
+        const response = await this.requestTokens({ grant_type: 'refresh_token', refresh_token: current.refreshToken });
+
+        return this.store.set(this.toRecord(key, {
+          refresh_token: current.refreshToken,
+          ...response
+        }, {
+          hubDomain: current.hubDomain,
+          scopes: current.scopes,
+          installedAt: current.installedAt,
+          refreshedAt: new Date().toISOString()
+        }));
+      })();
+
+      this.refreshing.set(key, refresh);
+      refresh.finally(() => this.refreshing.delete(key)).catch(() => {});
+    }
+
+    return this.refreshing.get(key);
+  }
+
+  // A valid access token for the portal (the default one if not given),
+  // refreshed when it expires within the refresh margin or when forced
+  async getAccessToken({ portalId, forceRefresh = false } = {}) {
+    const id = portalId ?? await this.defaultPortalId();
+    if (!id) throw oauthError('HubSpot app is not installed: open /oauth/install to install it', 401);
+
+    const record = await this.store.get(id);
+    if (!record) throw oauthError(`HubSpot app is not installed in portal ${id}`, 401);
+
+    if (forceRefresh || record.expiresAt - Date.now() <= this.options.refreshMarginMs) {
+      return (await this.refresh(id)).accessToken;
+    }
+    return record.accessToken;
+  }
+}
+
+module.exports = OAuthService;
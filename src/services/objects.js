@@ -0,0 +1,546 @@
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+const HubSpotClient = require('./client');
+const { mapWithConcurrency, chunk } = require('../utils/concurrency');
+
+// CRM object types addressed by name
+const STANDARD_OBJECT_TYPES = ['contacts', 'companies', 'deals', 'tickets', 'products', 'line_items'];
+
+// Custom objects are addressed by object type id (2-1234567) or fully qualified name (p1234567_job_opening)
+const CUSTOM_OBJECT_TYPE_PATTERN = /^(2-\d+|p\d+_[a-z][a-z0-9_]*)$/;
+
+const isValidObjectType = (objectType) => STANDARD_OBJECT_TYPES.includes(objectType) || CUSTOM_OBJECT_TYPE_PATTERN.test(objectType);
+
+// Case-insensitive key used to match batch inputs to HubSpot results
+const batchKey = (value) => (value === undefined || value === null ? null : String(value).toLowerCase());
+
+// Client errors about the request as a whole (credentials, scopes, endpoint,
+// rate limit), which every half of a split chunk would get again
+const CHUNK_ERROR_STATUSES = [401, 403, 404, 429];
+
+// CRUD, search, batch and association calls for one CRM object type, working
+// on raw HubSpot property names. HubSpotService builds contacts on top of it.
+class CrmObjectService {
+  constructor(objectType, client = HubSpotClient.shared()) {
+    if (!isValidObjectType(objectType)) {
+      throw new Error(`Unsupported CRM object type "${objectType}"`);
+    }
+
+    this.objectType = objectType;
+    this.client = client;
+    this.endpoint = `${config.endpoints.objects}/${objectType}`;
+  }
+
+  // Create a record
+  async createObject(properties) {
+    try {
+      logger.info(`Creating ${this.objectType} record in HubSpot`);
+
+      const response = await this.client.post(this.endpoint, { properties });
+
+      logger.success(`${this.objectType} record created successfully`, { id: response.data.id });
+
+      return {
+        success: true,
+        record: response.data,
+        id: response.data.id,
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      logger.error(`Failed to create ${this.objectType} record`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Update a record; only the given properties are sent
+  async updateObject(id, properties) {
+    try {
+      logger.info(`Updating ${this.objectType} record ${id}`);
+
+      const response = await this.client.patch(`${this.endpoint}/${id}`, { properties });
+
+      logger.success(`${this.objectType} record updated successfully`, {
+        id: response.data.id,
+        updatedProperties: Object.keys(properties)
+      });
+
+      return {
+        success: true,
+        record: response.data,
+        id: response.data.id,
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      logger.error(`Failed to update ${this.objectType} record ${id}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Get a record by id, or by another unique property via idProperty.
+  // propertiesWithHistory adds every past value of those properties.
+  // Resolves with null when it does not exist.
+  async getObject(id, { properties, idProperty, propertiesWithHistory } = {}) {
+    try {
+      const params = {};
+      if (properties) params.properties = Array.isArray(properties) ? properties.join(',') : properties;
+      if (propertiesWithHistory) {
+        params.propertiesWithHistory = Array.isArray(propertiesWithHistory) ? propertiesWithHistory.join(',') : propertiesWithHistory;
+      }
+      if (idProperty) params.idProperty = idProperty;
+
+      const response = await this.client.get(`${this.endpoint}/${encodeURIComponent(id)}`, { params });
+
+      return {
+        success: true,
+        record: response.data,
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      logger.error(`Failed to retrieve ${this.objectType} record ${id}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Archive (delete) a record
+  async deleteObject(id) {
+    try {
+      logger.info(`Deleting ${this.objectType} record ${id}`);
+
+      const response = await this.client.delete(`${this.endpoint}/${id}`);
+
+      logger.success(`${this.objectType} record deleted successfully`, { id });
+
+      return {
+        success: true,
+        id: String(id),
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      logger.error(`Failed to delete ${this.objectType} record ${id}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Merge idToMerge into primaryId. HubSpot keeps the primary's values and
+  // fills its empty properties from the merged record, which is archived.
+  async mergeObjects(primaryId, idToMerge) {
+    try {
+      logger.info(`Merging ${this.objectType} record ${idToMerge} into ${primaryId}`);
+
+      const response = await this.client.post(`${this.endpoint}/merge`, {
+        primaryObjectId: String(primaryId),
+        objectIdToMerge: String(idToMerge)
+      });
+
+      logger.success(`${this.objectType} records merged successfully`, { id: response.data.id, merged: String(idToMerge) });
+
+      return {
+        success: true,
+        record: response.data,
+        id: response.data.id,
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      logger.error(`Failed to merge ${this.objectType} record ${idToMerge} into ${primaryId}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Search records. Options:
+  //   filterGroups - HubSpot filter groups
+  //   sorts        - HubSpot sort definitions
+  //   properties   - properties to return (HubSpot's defaults if omitted)
+  //   after        - HubSpot paging token from a previous page
+  //   afterId      - only return records with hs_object_id greater than this (keyset paging)
+  async searchObjects({ filterGroups = [], sorts, properties, limit = 10, after, afterId } = {}) {
+    try {
+      logger.info(`Searching ${this.objectType}`, { filterGroups });
+
+      // Copied so the paging filter below doesn't leak back to the caller
+      const searchPayload = {
+        filterGroups: filterGroups.map(group => ({ filters: [...group.filters] })),
+        limit
+      };
+      if (properties) searchPayload.properties = properties;
+
+      // Keyset paging: restrict every filter group to ids past the last one seen
+      if (afterId) {
+        const idFilter = { propertyName: 'hs_object_id', operator: 'GT', value: afterId.toString() };
+        if (searchPayload.filterGroups.length === 0) {
+          searchPayload.filterGroups.push({ filters: [] });
+        }
+        searchPayload.filterGroups.forEach(group => group.filters.push(idFilter));
+      }
+
+      if (sorts) searchPayload.sorts = sorts;
+      if (after) searchPayload.after = after;
+
+      // Search is read-only, so it is safe to retry despite being a POST
+      const response = await this.client.post(`${this.endpoint}/search`, searchPayload, { safe: true });
+
+      logger.success(`${this.objectType} search completed`, {
+        total: response.data.total,
+        returned: response.data.results.length
+      });
+
+      return {
+        success: true,
+        results: response.data.results,
+        total: response.data.total,
+        nextAfter: response.data.paging?.next?.after || null,
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      logger.error(`Failed to search ${this.objectType}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Iterate over every matching record, one page at a time.
+  // Without custom sorts, pages are walked by ascending hs_object_id so the
+  // 10,000 result cap of the search API (which limits `after`) never applies.
+  // Custom sorts have to use HubSpot's paging tokens and remain capped.
+  async *iterateObjects({ pageSize = 100, filterGroups, sorts, properties } = {}) {
+    const keyset = !sorts || sorts.length === 0;
+    let afterId = null;
+    let after = null;
+
+    while (true) {
+      const page = await this.searchObjects(keyset
+        ? { filterGroups, properties, limit: pageSize, afterId, sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }] }
+        : { filterGroups, properties, limit: pageSize, after, sorts });
+
+      for (const record of page.results) {
+        yield record;
+      }
+
+      if (!page.nextAfter || page.results.length === 0) return;
+
+      if (keyset) {
+        afterId = page.results[page.results.length - 1].id;
+      } else {
+        after = page.nextAfter;
+      }
+    }
+  }
+
+  // List the records of one object type (companies, deals, ...) associated with a record
+  async listAssociations(id, toObjectType) {
+    const associations = [];
+    let after;
+
+    try {
+      logger.info(`Listing ${toObjectType} associated with ${this.objectType} ${id}`);
+
+      do {
+        const response = await this.client.get(`${config.endpoints.associations}/${this.objectType}/${id}/associations/${toObjectType}`, {
+          params: { limit: 500, ...(after ? { after } : {}) }
+        });
+        associations.push(...(response.data.results || []));
+        after = response.data.paging?.next?.after;
+      } while (after);
+
+      return {
+        success: true,
+        associations: associations.map(association => ({
+          toObjectId: String(association.toObjectId),
+          types: association.associationTypes || []
+        }))
+      };
+
+    } catch (error) {
+      logger.error(`Failed to list ${toObjectType} associations for ${this.objectType} ${id}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Associate a record with another using HubSpot's default association type
+  async associate(id, toObjectType, toObjectId) {
+    try {
+      logger.info(`Associating ${this.objectType} ${id} with ${toObjectType} ${toObjectId}`);
+
+      const response = await this.client.put(`${config.endpoints.associations}/${this.objectType}/${id}/associations/default/${toObjectType}/${toObjectId}`);
+
+      logger.success('Association created', { objectType: this.objectType, id, toObjectType, toObjectId });
+
+      return {
+        success: true,
+        id: String(id),
+        toObjectType,
+        toObjectId: String(toObjectId),
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      logger.error(`Failed to associate ${this.objectType} ${id} with ${toObjectType} ${toObjectId}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Remove every association between a record and another
+  async removeAssociation(id, toObjectType, toObjectId) {
+    try {
+      logger.info(`Removing association between ${this.objectType} ${id} and ${toObjectType} ${toObjectId}`);
+
+      const response = await this.client.delete(`${config.endpoints.associations}/${this.objectType}/${id}/associations/${toObjectType}/${toObjectId}`);
+
+      logger.success('Association removed', { objectType: this.objectType, id, toObjectType, toObjectId });
+
+      return {
+        success: true,
+        id: String(id),
+        toObjectType,
+        toObjectId: String(toObjectId),
+        attempts: response.attempts
+      };
+
+    } catch (error) {
+      logger.error(`Failed to remove association between ${this.objectType} ${id} and ${toObjectType} ${toObjectId}`, error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+  }
+
+  // Fields a successful batch outcome carries for a record
+  batchSuccess(id, record) {
+    return { id, record };
+  }
+
+  // Send one batch chunk and return a per-item outcome for each entry.
+  // HubSpot rejects a whole chunk when any input is invalid, so a chunk that
+  // fails with a client error is split in half and retried to isolate the bad rows;
+  // auth, not-found and rate limit errors fail every entry of the chunk instead.
+  async sendBatchChunk(action, entries, options) {
+    try {
+      const payload = { ...options.payload, inputs: entries.map(entry => options.buildInput(entry.item)) };
+      const response = await this.client.post(`${this.endpoint}/batch/${action}`, payload, { safe: options.safe });
+
+      return this.matchBatchResults(entries, response.data, options);
+
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (entries.length > 1 && status >= 400 && status < 500 && !CHUNK_ERROR_STATUSES.includes(status)) {
+        logger.info(`Batch ${action} chunk of ${entries.length} rejected (${status}), splitting to isolate invalid items`);
+        const middle = Math.ceil(entries.length / 2);
+        const first = await this.sendBatchChunk(action, entries.slice(0, middle), options);
+        const second = await this.sendBatchChunk(action, entries.slice(middle), options);
+        return [...first, ...second];
+      }
+
+      return entries.map(entry => ({
+        index: entry.index,
+        success: false,
+        error: error.response?.data?.message || error.message,
+        status,
+        details: error.response?.data || null
+      }));
+    }
+  }
+
+  // Map HubSpot batch results and errors back to the input entries
+  matchBatchResults(entries, data = {}, options) {
+    const results = data?.results || [];
+    const resultsByKey = new Map();
+    const errorsByKey = new Map();
+
+    if (options.resultKey) {
+      results.forEach(result => resultsByKey.set(batchKey(options.resultKey(result)), result));
+    }
+
+    (data?.errors || []).forEach(error => {
+      const ids = error.context?.ids || error.context?.id || [];
+      ids.forEach(id => errorsByKey.set(batchKey(id), error));
+    });
+
+    return entries.map(entry => {
+      const key = options.inputKey ? batchKey(options.inputKey(entry.item)) : null;
+
+      // Archive returns no body: every input without an error succeeded
+      if (!options.resultKey) {
+        const error = key !== null ? errorsByKey.get(key) : null;
+        return error
+          ? { index: entry.index, success: false, error: error.message, status: Number(error.status) || null, details: error }
+          : { index: entry.index, success: true, ...this.batchSuccess(entry.item.id !== undefined ? String(entry.item.id) : null) };
+      }
+
+      let result = key !== null ? resultsByKey.get(key) : undefined;
+      // HubSpot doesn't keep input order, so an input without a key can only
+      // be matched when it was sent on its own
+      if (!result && key === null && entries.length === 1 && results.length === 1) {
+        result = results[0];
+      }
+
+      if (result) {
+        const outcome = { index: entry.index, success: true, ...this.batchSuccess(result.id, result) };
+        if (result.new !== undefined) outcome.action = result.new ? 'created' : 'updated';
+        return outcome;
+      }
+
+      const error = key !== null ? errorsByKey.get(key) : null;
+      return {
+        index: entry.index,
+        success: false,
+        error: error?.message || 'No result returned by HubSpot',
+        status: Number(error?.status) || (error?.category === 'OBJECT_NOT_FOUND' ? 404 : null),
+        details: error || null
+      };
+    });
+  }
+
+  // Run a batch action over any number of items: chunked to HubSpot's batch
+  // size, with bounded concurrency, returning one outcome per input index
+  async runBatch(action, items, options) {
+    logger.info(`Batch ${action}: ${items.length} ${this.objectType}`);
+
+    const entries = items.map((item, index) => ({ index, item }));
+    const chunks = chunk(entries, options.chunkSize || config.batch.size);
+    const outcomes = (await mapWithConcurrency(chunks, config.batch.concurrency, entriesChunk => this.sendBatchChunk(action, entriesChunk, options))).flat();
+
+    const results = new Array(items.length);
+    outcomes.forEach(outcome => {
+      results[outcome.index] = outcome;
+    });
+
+    const summary = {
+      total: results.length,
+      succeeded: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      chunks: chunks.length
+    };
+
+    if (summary.failed > 0) {
+      logger.warn(`Batch ${action} completed with ${summary.failed} failed item(s)`);
+    }
+    logger.success(`Batch ${action} completed`, summary);
+
+    return {
+      success: summary.failed === 0,
+      results,
+      summary
+    };
+  }
+
+  // Batch create records from property maps. Results are matched to inputs on
+  // idProperty, a unique property every input sets; without one, each record is
+  // sent in a request of its own, since HubSpot may return results in any order.
+  async batchCreate(propertiesList, { idProperty } = {}) {
+    return this.runBatch('create', propertiesList, {
+      chunkSize: idProperty ? undefined : 1,
+      buildInput: properties => ({ properties }),
+      inputKey: idProperty ? properties => properties[idProperty] : undefined,
+      resultKey: record => (idProperty ? record.properties?.[idProperty] : record.id)
+    });
+  }
+
+  // Batch read records by id (or by another unique property via idProperty)
+  async batchRead(ids, { properties, idProperty } = {}) {
+    const payload = {};
+    if (properties) payload.properties = properties;
+    if (idProperty) payload.idProperty = idProperty;
+
+    return this.runBatch('read', ids, {
+      payload,
+      safe: true,
+      buildInput: id => ({ id: String(id) }),
+      inputKey: id => id,
+      resultKey: record => (idProperty ? record.properties?.[idProperty] : record.id)
+    });
+  }
+
+  // Batch update records; each item is { id, properties }
+  async batchUpdate(updates) {
+    return this.runBatch('update', updates, {
+      buildInput: ({ id, properties }) => ({ id: String(id), properties }),
+      inputKey: update => update.id,
+      resultKey: record => record.id
+    });
+  }
+
+  // Batch upsert property maps matched on a unique property
+  async batchUpsert(propertiesList, { idProperty }) {
+    return this.runBatch('upsert', propertiesList, {
+      // Upserting the same values again yields the same record
+      safe: true,
+      buildInput: properties => ({ idProperty, id: String(properties[idProperty]), properties }),
+      inputKey: properties => properties[idProperty],
+      resultKey: record => record.properties?.[idProperty]
+    });
+  }
+
+  // Batch archive (delete) records by id
+  async batchArchive(ids) {
+    return this.runBatch('archive', ids.map(id => ({ id })), {
+      safe: true,
+      buildInput: ({ id }) => ({ id: String(id) }),
+      inputKey: ({ id }) => id
+    });
+  }
+}
+
+module.exports = CrmObjectService;
+module.exports.STANDARD_OBJECT_TYPES = STANDARD_OBJECT_TYPES;
+module.exports.isValidObjectType = isValidObjectType;
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+const HubSpotClient = require('./client');
+
+const ASSIGNMENT_STRATEGIES = ['round-robin', 'rules'];
+const RANGE_KEYS = ['gt', 'gte', 'lt', 'lte'];
+
+let sharedService = null;
+
+// Parsed assignment rules files by path, reread when the file changes
+const rulesCache = new Map();
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+const normalizeText = (value) => String(value).trim().toLowerCase();
+
+// Does a contact field value satisfy one rule condition? Conditions are a list
+// of accepted values, a { gt, gte, lt, lte } range, or a single value.
+// Text comparisons ignore case.
+function matchesCondition(condition, value) {
+  if (isEmpty(value)) return false;
+
+  if (Array.isArray(condition)) {
+    return condition.some(accepted => normalizeText(accepted) === normalizeText(value));
+  }
+
+  if (condition && typeof condition === 'object') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return false;
+    if (condition.gt !== undefined && !(number > condition.gt)) return false;
+    if (condition.gte !== undefined && !(number >= condition.gte)) return false;
+    if (condition.lt !== undefined && !(number < condition.lt)) return false;
+    if (condition.lte !== undefined && !(number <= condition.lte)) return false;
+    return true;
+  }
+
+  return normalizeText(condition) === normalizeText(value);
+}
+
+class OwnersService {
+  constructor(client = HubSpotClient.shared(), { cacheTtlMs = config.owners.cacheTtlMs, assignmentPath = config.owners.assignmentPath } = {}) {
+    this.client = client;
+    this.cacheTtlMs = cacheTtlMs;
+    this.assignmentPath = assignmentPath;
+
+    // Active owners, shared by concurrent callers while a load is in flight
+    this.cache = null;
+    this.nextRoundRobin = 0;
+  }
+
+  // Service shared by the owners and contacts routes, so they use one cache and one rotation
+  static shared() {
+    if (!sharedService) {
+      sharedService = new OwnersService();
+    }
+    return sharedService;
+  }
+
+  // Page through every active owner in the portal
+  async fetchOwners() {
+    const owners = [];
+    let after;
+
+    try {
+      do {
+        const response = await this.client.get(config.endpoints.owners, {
+          params: { limit: 100, archived: false, ...(after ? { after } : {}) }
+        });
+        owners.push(...(response.data.results || []));
+        after = response.data.paging?.next?.after;
+      } while (after);
+
+    } catch (error) {
+      logger.error('Failed to load HubSpot owners', error);
+      throw {
+        success: false,
+        error: error.message,
+        details: error.response?.data || null,
+        status: error.response?.status,
+        attempts: error.attempts
+      };
+    }
+
+    logger.info(`Loaded ${owners.length} HubSpot owners`);
+    return owners.filter(owner => !owner.archived);
+  }
+
+  // Active owners, cached for cacheTtlMs. refresh forces a reload.
+  async listOwners({ refresh = false } = {}) {
+    const now = Date.now();
+
+    if (refresh || !this.cache || now - this.cache.loadedAt > this.cacheTtlMs) {
+      const owners = this.fetchOwners();
+      this.cache = { loadedAt: now, owners };
+      // Don't keep a failed load around
+      owners.catch(() => {
+        if (this.cache?.owners === owners) this.cache = null;
+      });
+    }
+
+    return this.cache.owners;
+  }
+
+  // Find an active owner by id or email. Returns null if there is none.
+  async findOwner({ ownerId, ownerEmail } = {}) {
+    const owners = await this.listOwners();
+
+    if (!isEmpty(ownerId)) {
+      return owners.find(owner => String(owner.id) === String(ownerId)) || null;
+    }
+    if (!isEmpty(ownerEmail)) {
+      return owners.find(owner => owner.email && normalizeText(owner.email) === normalizeText(ownerEmail)) || null;
+    }
+    return null;
+  }
+
+  // Check ownerId refers to an active owner and resolve ownerEmail to an
+  // ownerId. An empty ownerId is kept so updates can unassign the contact.
+  // Returns { data, errors } with errors in the validateContact format.
+  async resolveOwnerFields(contactData) {
+    const { ownerEmail, ...data } = contactData;
+    const errors = [];
+
+    if (!isEmpty(ownerEmail)) {
+      const owner = await this.findOwner({ ownerEmail });
+      if (!owner) {
+        errors.push({ field: 'ownerEmail', property: 'hubspot_owner_id', message: `"${ownerEmail}" is not an active owner` });
+      } else if (!isEmpty(data.ownerId) && String(data.ownerId) !== String(owner.id)) {
+        errors.push({ field: 'ownerEmail', property: 'hubspot_owner_id', message: 'does not match ownerId' });
+      } else {
+        data.ownerId = String(owner.id);
+      }
+    } else if (!isEmpty(data.ownerId)) {
+      const owner = await this.findOwner({ ownerId: data.ownerId });
+      if (!owner) {
+        errors.push({ field: 'ownerId', property: 'hubspot_owner_id', message: `"${data.ownerId}" is not an active owner` });
+      }
+    }
+
+    return { data, errors };
+  }
+
+  // Load the assignment rules file, or null when automatic assignment is off.
+  // Every new contact needs them, so the parsed rules are kept until the file's
+  // mtime or size changes.
+  // Format: { strategy: "round-robin" | "rules", rules: [{ when, ownerId | ownerEmail }],
+  //           fallback: "round-robin", pool: [owner ids or emails] }
+  loadAssignmentRules(assignmentPath = this.assignmentPath) {
+    if (!assignmentPath) return null;
+
+    let rules;
+    let stats;
+    try {
+      stats = fs.statSync(assignmentPath);
+      const cached = rulesCache.get(assignmentPath);
+      if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.rules;
+      }
+      rules = JSON.parse(fs.readFileSync(assignmentPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read owner assignment rules ${assignmentPath}: ${error.message}`);
+    }
+
+    if (!ASSIGNMENT_STRATEGIES.includes(rules.strategy)) {
+      throw new Error(`Owner assignment strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+    }
+    if (rules.fallback && rules.fallback !== 'round-robin') {
+      throw new Error('Owner assignment fallback can only be "round-robin"');
+    }
+
+    (rules.rules || []).forEach((rule, index) => {
+      if (!rule.when || typeof rule.when !== 'object' || (!rule.ownerId && !rule.ownerEmail)) {
+        throw new Error(`Owner assignment rule at index ${index} needs "when" and an ownerId or ownerEmail`);
+      }
+      Object.values(rule.when).forEach(condition => {
+        if (condition && typeof condition === 'object' && !Array.isArray(condition)
+          && !Object.keys(condition).every(key => RANGE_KEYS.includes(key))) {
+          throw new Error(`Owner assignment rule at index ${index} has a range with keys other than ${RANGE_KEYS.join(', ')}`);
+        }
+      });
+    });
+
+    rulesCache.set(assignmentPath, { mtimeMs: stats.mtimeMs, size: stats.size, rules });
+    return rules;
+  }
+
+  // Next owner from the pool (configured ids/emails, or every active owner)
+  async pickRoundRobin(pool) {
+    const owners = await this.listOwners();
+    const candidates = pool && pool.length > 0
+      ? owners.filter(owner => pool.some(entry => String(entry) === String(owner.id) || (owner.email && normalizeText(entry) === normalizeText(owner.email))))
+      : [...owners].sort((a, b) => Number(a.id) - Number(b.id));
+
+    if (candidates.length === 0) return null;
+
+    const owner = candidates[this.nextRoundRobin % candidates.length];
+    this.nextRoundRobin++;
+    return owner;
+  }
+
+  // Choose an owner for a new contact per the assignment rules.
+  // Returns { owner, reason } or null when nothing applies.
+  async chooseOwner(contactData) {
+    const rules = this.loadAssignmentRules();
+    if (!rules) return null;
+
+    if (rules.strategy === 'rules') {
+      for (const [index, rule] of (rules.rules || []).entries()) {
+        const matches = Object.entries(rule.when).every(([field, condition]) => matchesCondition(condition, contactData[field]));
+        if (!matches) continue;
+
+        const owner = await this.findOwner({ ownerId: rule.ownerId, ownerEmail: rule.ownerEmail });
+        if (owner) return { owner, reason: `rule ${index}` };
+        logger.warn(`Owner assignment rule ${index} points to an owner that is not active`);
+      }
+
+      if (rules.fallback !== 'round-robin') return null;
+    }
+
+    const owner = await this.pickRoundRobin(rules.pool);
+    return owner ? { owner, reason: 'round-robin' } : null;
+  }
+
+  // Fill in ownerId for a contact about to be created without one
+  async assignOwner(contactData) {
+    if (!isEmpty(contactData.ownerId)) return contactData;
+
+    const choice = await this.chooseOwner(contactData);
+    if (!choice) return contactData;
+
+    logger.info(`Assigning owner ${choice.owner.id} (${choice.reason})`);
+    return { ...contactData, ownerId: String(choice.owner.id) };
+  }
+}
+
+module.exports = OwnersService;
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/hubspot');
+const HubSpotClient = require('./client');
+const HubSpotService = require('./hubspot');
+const PropertiesService = require('./properties');
+const OwnersService = require('./owners');
+const ImportService = require('./import');
+const CompaniesService = require('./companies');
+const DuplicatesService = require('./duplicates');
+const CrmObjectService = require('./objects');
+const CacheService = require('./cache');
+const OAuthService = require('./oauth');
+const { currentContext } = require('../utils/request-context');
+
+// Name of the portal configured through HUBSPOT_ACCESS_TOKEN (or the OAuth install)
+const ENV_PORTAL = 'default';
+
+// Portal names appear in URLs (/api/portals/:portal/...) and cache keys
+const PORTAL_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// "${NAME}" in a registry value is replaced by that environment variable, so tokens stay out of the file
+const interpolate = (value) => (typeof value === 'string'
+  ? value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => process.env[name] ?? '')
+  : value);
+
+let sharedRegistry = null;
+
+// One HubSpot account and the services bound to it, created on first use.
+// The default portal reuses the shared client, cache and owners service.
+class Portal {
+  constructor({ name, baseUrl = config.baseUrl, accessToken = null, oauthPortalId = null, hubId = null, client = null, cache = null, owners = null }) {
+    this.name = name;
+    this.baseUrl = baseUrl;
+    this.hubId = hubId !== null && hubId !== undefined ? String(hubId) : (oauthPortalId ? String(oauthPortalId) : null);
+    this.authMode = accessToken ? 'private-app' : 'oauth';
+
+    this.client = client || new HubSpotClient({
+      baseUrl,
+      accessToken,
+      // Registry portals installed through OAuth use that install's tokens
+      tokenProvider: accessToken ? null : {
+        getAccessToken: (options = {}) => OAuthService.shared().getAccessToken({ ...options, portalId: oauthPortalId })
+      }
+    });
+    this.cache = cache || CacheService.shared().namespace(`portal:${name}`);
+    this.sharedOwners = owners;
+
+    this.services = new Map();
+    this.objectServices = new Map();
+  }
+
+  // Create a service once and keep it
+  service(key, create) {
+    if (!this.services.has(key)) this.services.set(key, create());
+    return this.services.get(key);
+  }
+
+  get contacts() {
+    return this.service('contacts', () => new HubSpotService(this.client, undefined, this.cache));
+  }
+
+  get properties() {
+    return this.service('properties', () => new PropertiesService(this.client, undefined, 'contacts', this.cache));
+  }
+
+  get owners() {
+    return this.service('owners', () => this.sharedOwners || new OwnersService(this.client));
+  }
+
+  get imports() {
+    return this.service('imports', () => new ImportService(this.contacts, this.properties, this.owners));
+  }
+
+  get companies() {
+    return this.service('companies', () => new CompaniesService(new CrmObjectService('companies', this.client)));
+  }
+
+  get duplicates() {
+    return this.service('duplicates', () => new DuplicatesService(this.contacts));
+  }
+
+  // Record and properties services for another object type
+  objects(objectType) {
+    if (!this.objectServices.has(objectType)) {
+      this.objectServices.set(objectType, {
+        records: new CrmObjectService(objectType, this.client),
+        properties: new PropertiesService(this.client, path.join(config.objectSchemasDir, `${objectType}.json`), objectType, this.cache)
+      });
+    }
+    return this.objectServices.get(objectType);
+  }
+
+  // Properties service for a schema file other than the configured one (used by setup)
+  propertiesFor(objectType = 'contacts', schemaPath) {
+    if (!schemaPath) return objectType === 'contacts' ? this.properties : this.objects(objectType).properties;
+    return new PropertiesService(this.client, schemaPath, objectType, this.cache);
+  }
+
+  describe() {
+    return { name: this.name, baseUrl: this.baseUrl, hubId: this.hubId, authMode: this.authMode };
+  }
+}
+
+// The HubSpot portals this deployment serves: the one from the environment
+// (named "default") plus any listed in the HUBSPOT_PORTALS registry file
+class PortalRegistry {
+  constructor(portals = [], defaultName = null) {
+    this.portals = new Map(portals.map(portal => [portal.name, portal]));
+    this.defaultName = defaultName || (this.portals.has(ENV_PORTAL) ? ENV_PORTAL : portals[0]?.name) || null;
+
+    if (this.defaultName && !this.portals.has(this.defaultName)) {
+      throw new Error(`Default portal "${this.defaultName}" is not in the portal registry`);
+    }
+  }
+
+  // The portal configured through the environment, if any
+  static envPortal() {
+    if (!config.accessToken && !config.oauth.enabled) return null;
+    return new Portal({
+      name: ENV_PORTAL,
+      accessToken: config.accessToken,
+      client: HubSpotClient.shared(),
+      cache: CacheService.shared(),
+      owners: OwnersService.shared()
+    });
+  }
+
+  // Load a registry file: { default?, portals: { <name>: { accessToken | oauthPortalId, baseUrl?, hubId? } } }
+  static fromFile(filePath) {
+    let registry;
+    try {
+      registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read portal registry ${filePath}: ${error.message}`);
+    }
+
+    if (!registry.portals || typeof registry.portals !== 'object' || Array.isArray(registry.portals)) {
+      throw new Error(`Portal registry ${filePath} must contain a "portals" object`);
+    }
+
+    const envPortal = PortalRegistry.envPortal();
+    const portals = envPortal ? [envPortal] : [];
+
+    Object.entries(registry.portals).forEach(([name, entry]) => {
+      const accessToken = interpolate(entry.accessToken) || null;
+      const baseUrl = interpolate(entry.baseUrl) || config.baseUrl;
+
+      if (!PORTAL_NAME_PATTERN.test(name)) {
+        throw new Error(`Portal name "${name}" may only contain letters, digits, "-" and "_"`);
+      }
+      if (envPortal && name === ENV_PORTAL) {
+        throw new Error(`Portal name "${ENV_PORTAL}" is taken by HUBSPOT_ACCESS_TOKEN`);
+      }
+      if (!accessToken && !entry.oauthPortalId) {
+        throw new Error(`Portal "${name}" needs an accessToken (is its environment variable set?) or an oauthPortalId`);
+      }
+      if (!accessToken && !config.oauth.enabled) {
+        throw new Error(`Portal "${name}" uses OAuth, which needs HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET (and no HUBSPOT_ACCESS_TOKEN)`);
+      }
+      if (!config.isAllowedBaseUrl(baseUrl)) {
+        throw new Error(`Portal "${name}" base URL must start with https:// (http:// is allowed for localhost only)`);
+      }
+
+      portals.push(new Portal({ name, baseUrl, accessToken, oauthPortalId: entry.oauthPortalId, hubId: entry.hubId }));
+    });
+
+    if (portals.length === 0) {
+      throw new Error(`Portal registry ${filePath} lists no portals`);
+    }
+
+    return new PortalRegistry(portals, registry.default);
+  }
+
+  // Registry shared by every route, loaded from config.portals.registryPath
+  static shared() {
+    if (!sharedRegistry) {
+      const envPortal = PortalRegistry.envPortal();
+      sharedRegistry = config.portals.registryPath
+        ? PortalRegistry.fromFile(config.portals.registryPath)
+        : new PortalRegistry(envPortal ? [envPortal] : []);
+    }
+    return sharedRegistry;
+  }
+
+  // Portal the current request selected, or the default one outside a request
+  static current() {
+    const registry = PortalRegistry.shared();
+    return registry.get(currentContext()?.portal) || registry.default();
+  }
+
+  names() {
+    return [...this.portals.keys()];
+  }
+
+  // Portal by name; without a name, the default portal
+  get(name) {
+    if (name === undefined || name === null) return this.default();
+    return this.portals.get(name) || null;
+  }
+
+  default() {
+    return this.portals.get(this.defaultName) || null;
+  }
+
+  // Portal whose HubSpot account id matches, e.g. for webhook events; the default one otherwise
+  forHubId(hubId) {
+    if (hubId !== undefined && hubId !== null) {
+      for (const portal of this.portals.values()) {
+        if (portal.hubId === String(hubId)) return portal;
+      }
+    }
+    return this.default();
+  }
+}
+
+module.exports = PortalRegistry;
+module.exports.Portal = Portal;
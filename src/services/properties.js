@@ -1,63 +1,148 @@
-const axios = require('axios');
+const fs = require('fs');
 const config = require('../config/hubspot');
 const logger = require('../utils/logger');
+const HubSpotClient = require('./client');
+const CacheService = require('./cache');
+
+// Fields every schema entry must declare
+const SCHEMA_REQUIRED_FIELDS = ['name', 'label', 'type', 'fieldType', 'groupName'];
+
+// Fields that can be changed in place on an existing property
+const UPDATABLE_FIELDS = ['label', 'description', 'groupName', 'fieldType'];
+
+// Types of the standard HubSpot properties this API works with, by object type
+const STANDARD_PROPERTY_TYPES = {
+  contacts: {
+    hs_object_id: 'number',
+    firstname: 'string',
+    lastname: 'string',
+    email: 'string',
+    phone: 'string',
+    hubspot_owner_id: 'enumeration',
+    createdate: 'datetime',
+    lastmodifieddate: 'datetime'
+  },
+  companies: {
+    name: 'string',
+    domain: 'string',
+    hubspot_owner_id: 'enumeration'
+  },
+  deals: {
+    dealname: 'string',
+    amount: 'number',
+    dealstage: 'enumeration',
+    pipeline: 'enumeration',
+    closedate: 'datetime',
+    hubspot_owner_id: 'enumeration'
+  },
+  tickets: {
+    subject: 'string',
+    content: 'string',
+    hs_pipeline: 'enumeration',
+    hs_pipeline_stage: 'enumeration',
+    hubspot_owner_id: 'enumeration'
+  }
+};
+
+// Properties every object type has
+const COMMON_PROPERTY_TYPES = {
+  hs_object_id: 'number',
+  createdate: 'datetime',
+  hs_lastmodifieddate: 'datetime'
+};
+
+// Parsed schema files by object type and path, reread when the file changes
+const schemaCache = new Map();
+
+// Normalize enumeration options for comparison
+const optionKey = (option) => `${option.value}:${option.label}`;
 
 class PropertiesService {
-  constructor() {
-    this.baseUrl = config.baseUrl;
-    this.headers = {
-      'Authorization': `Bearer ${config.accessToken}`,
-      'Content-Type': 'application/json'
-    };
+  constructor(client = HubSpotClient.shared(), schemaPath = config.propertiesSchemaPath, objectType = 'contacts', cache = CacheService.shared()) {
+    this.client = client;
+    this.schemaPath = schemaPath;
+    this.objectType = objectType;
+    this.endpoint = `${config.endpoints.properties}/${objectType}`;
+    this.cache = cache;
+    this.cacheTtlMs = config.cache.propertiesTtlMs;
   }
 
-  // Define the 4 custom properties as per assignment requirements
-  getCustomPropertiesDefinitions() {
-    return [
-      {
-        name: 'candidate_experience',
-        label: 'Candidate Experience',
-        description: 'Years of professional experience',
-        groupName: 'contactinformation',
-        type: 'number',
-        fieldType: 'number'
-      },
-      {
-        name: 'candidate_date_of_joining',
-        label: 'Candidate Date of Joining',
-        description: 'Expected or actual date of joining',
-        groupName: 'contactinformation',
-        type: 'date',
-        fieldType: 'date'
-      },
-      {
-        name: 'candidate_name',
-        label: 'Candidate Name',
-        description: 'Full name of the candidate',
-        groupName: 'contactinformation',
-        type: 'string',
-        fieldType: 'text'
-      },
-      {
-        name: 'candidate_past_company',
-        label: 'Candidate Past Company',
-        description: 'Previous company or current employer',
-        groupName: 'contactinformation',
-        type: 'string',
-        fieldType: 'text'
+  // Drop cached definitions after a property is created or changed
+  async invalidateProperty(propertyName) {
+    await this.cache.invalidate(
+      CacheService.keys.properties(this.objectType),
+      CacheService.keys.property(this.objectType, propertyName)
+    );
+  }
+
+  // Load the versioned property schema file. Validation calls this for every
+  // row, so the parsed schema is kept until the file's mtime or size changes.
+  loadSchema(schemaPath = this.schemaPath) {
+    let schema;
+    let stats;
+    const cacheKey = `${this.objectType}:${schemaPath}`;
+    try {
+      stats = fs.statSync(schemaPath);
+      const cached = schemaCache.get(cacheKey);
+      if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.schema;
       }
-    ];
+      schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read properties schema ${schemaPath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(schema.properties)) {
+      throw new Error(`Properties schema ${schemaPath} must contain a "properties" array`);
+    }
+
+    if (schema.objectType && schema.objectType !== this.objectType) {
+      throw new Error(`Properties schema ${schemaPath} is for ${schema.objectType}, not ${this.objectType}`);
+    }
+
+    schema.properties.forEach((property, index) => {
+      const missing = SCHEMA_REQUIRED_FIELDS.filter(field => !property[field]);
+      if (missing.length > 0) {
+        throw new Error(`Property at index ${index} in ${schemaPath} is missing: ${missing.join(', ')}`);
+      }
+    });
+
+    schemaCache.set(cacheKey, { mtimeMs: stats.mtimeMs, size: stats.size, schema });
+    return schema;
+  }
+
+  // Custom property definitions declared in the schema file
+  getCustomPropertiesDefinitions() {
+    return this.loadSchema().properties;
+  }
+
+  // Known property definitions keyed by name, used to validate search filters.
+  // Object types other than contacts may have no schema file.
+  getPropertyDefinitionsByName() {
+    const definitions = {};
+    const standardTypes = { ...COMMON_PROPERTY_TYPES, ...STANDARD_PROPERTY_TYPES[this.objectType] };
+
+    Object.entries(standardTypes).forEach(([name, type]) => {
+      definitions[name] = { name, type };
+    });
+
+    const custom = this.objectType === 'contacts' || fs.existsSync(this.schemaPath)
+      ? this.getCustomPropertiesDefinitions()
+      : [];
+    custom.forEach(property => {
+      definitions[property.name] = property;
+    });
+
+    return definitions;
   }
 
   async createProperty(propertyDefinition) {
     try {
       logger.info(`Creating property: ${propertyDefinition.name}`);
       
-      const response = await axios.post(
-        `${this.baseUrl}${config.endpoints.properties}`,
-        propertyDefinition,
-        { headers: this.headers }
-      );
+      // A repeated create surfaces as 409 (handled below), so retrying is safe
+      const response = await this.client.post(this.endpoint, propertyDefinition, { safe: true });
+      await this.invalidateProperty(propertyDefinition.name);
 
       logger.success(`Property created successfully: ${propertyDefinition.name}`, {
         name: response.data.name,
@@ -91,9 +176,6 @@ class PropertiesService {
           success: true,
           data: result
         });
-        
-        // Add small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
       } catch (error) {
         results.push({
           name: property.name,
@@ -112,43 +194,203 @@ class PropertiesService {
     return results;
   }
 
+  // A property definition, or null if it doesn't exist. Found definitions are cached.
   async getProperty(propertyName) {
+    return this.cache.remember(CacheService.keys.property(this.objectType, propertyName), this.cacheTtlMs, async () => {
+      try {
+        const response = await this.client.get(`${this.endpoint}/${propertyName}`);
+        return response.data;
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    });
+  }
+
+  // Which schema properties exist in the portal, from a single (cached) list request
+  async checkPropertiesExist() {
+    const properties = this.getCustomPropertiesDefinitions();
+
+    let existing;
     try {
-      const response = await axios.get(
-        `${this.baseUrl}${config.endpoints.properties}/${propertyName}`,
-        { headers: this.headers }
-      );
-      return response.data;
+      existing = new Map((await this.getAllProperties()).map(property => [property.name, property]));
     } catch (error) {
-      if (error.response?.status === 404) {
-        return null;
+      return properties.map(property => ({
+        name: property.name,
+        exists: false,
+        error: error.message
+      }));
+    }
+
+    return properties.map(property => ({
+      name: property.name,
+      exists: existing.has(property.name),
+      data: existing.get(property.name) || null
+    }));
+  }
+
+  // Every property definition of the object type, cached. refresh bypasses the cached list.
+  async getAllProperties({ refresh = false } = {}) {
+    const key = CacheService.keys.properties(this.objectType);
+    const load = async () => {
+      const response = await this.client.get(this.endpoint);
+      return response.data.results || [];
+    };
+
+    if (!refresh) return this.cache.remember(key, this.cacheTtlMs, load);
+
+    const properties = await load();
+    await this.cache.set(key, properties, this.cacheTtlMs);
+    return properties;
+  }
+
+  async updateProperty(propertyName, changes) {
+    logger.info(`Updating property: ${propertyName}`, changes);
+
+    const response = await this.client.patch(`${this.endpoint}/${propertyName}`, changes);
+    await this.invalidateProperty(propertyName);
+
+    logger.success(`Property updated successfully: ${propertyName}`, {
+      updatedFields: Object.keys(changes)
+    });
+
+    return response.data;
+  }
+
+  // Compare one schema definition against the portal's current property
+  diffProperty(desired, current) {
+    if (!current) {
+      return { name: desired.name, action: 'create', changes: {}, destructive: [] };
+    }
+
+    const changes = {};
+    const destructive = [];
+
+    for (const field of UPDATABLE_FIELDS) {
+      const from = current[field] || '';
+      const to = desired[field] || '';
+      if (from !== to) changes[field] = { from, to };
+    }
+
+    if (current.type !== desired.type) {
+      changes.type = { from: current.type, to: desired.type };
+      destructive.push(`type change from "${current.type}" to "${desired.type}"`);
+    }
+
+    if (desired.options) {
+      const currentOptions = current.options || [];
+      const currentKeys = currentOptions.map(optionKey).sort();
+      const desiredKeys = desired.options.map(optionKey).sort();
+
+      if (currentKeys.join('|') !== desiredKeys.join('|')) {
+        changes.options = { from: currentOptions, to: desired.options };
+
+        const desiredValues = desired.options.map(option => option.value);
+        const removed = currentOptions.filter(option => !desiredValues.includes(option.value));
+        if (removed.length > 0) {
+          destructive.push(`removes options: ${removed.map(option => option.value).join(', ')}`);
+        }
       }
-      throw error;
     }
+
+    let action = 'noop';
+    if (destructive.length > 0) action = 'destructive';
+    else if (Object.keys(changes).length > 0) action = 'update';
+
+    return { name: desired.name, action, changes, destructive };
   }
 
-  async checkPropertiesExist() {
-    const properties = this.getCustomPropertiesDefinitions();
+  // Diff the schema file against the portal without changing anything
+  async planMigration(schemaPath = this.schemaPath) {
+    const schema = this.loadSchema(schemaPath);
+    // Plans always compare against the portal as it is now
+    const existing = await this.getAllProperties({ refresh: true });
+    const existingByName = new Map(existing.map(property => [property.name, property]));
+
+    const changes = schema.properties.map(desired => this.diffProperty(desired, existingByName.get(desired.name)));
+
+    const plan = {
+      version: schema.version,
+      schemaPath,
+      changes,
+      summary: {
+        total: changes.length,
+        create: changes.filter(c => c.action === 'create').length,
+        update: changes.filter(c => c.action === 'update').length,
+        destructive: changes.filter(c => c.action === 'destructive').length,
+        unchanged: changes.filter(c => c.action === 'noop').length
+      }
+    };
+
+    logger.info('Property migration plan', plan.summary);
+
+    return plan;
+  }
+
+  // Apply a plan. Destructive changes are skipped unless explicitly allowed.
+  async applyMigration({ schemaPath = this.schemaPath, allowDestructive = false } = {}) {
+    const plan = await this.planMigration(schemaPath);
+    const definitions = new Map(this.loadSchema(schemaPath).properties.map(property => [property.name, property]));
     const results = [];
 
-    for (const property of properties) {
-      try {
-        const exists = await this.getProperty(property.name);
+    logger.info('Applying property migration...', { version: plan.version, allowDestructive });
+
+    for (const change of plan.changes) {
+      const definition = definitions.get(change.name);
+
+      if (change.action === 'noop') {
+        results.push({ name: change.name, action: change.action, success: true, status: 'unchanged' });
+        continue;
+      }
+
+      if (change.action === 'destructive' && !allowDestructive) {
         results.push({
-          name: property.name,
-          exists: !!exists,
-          data: exists
+          name: change.name,
+          action: change.action,
+          success: false,
+          status: 'blocked',
+          error: `Destructive change requires allowDestructive: ${change.destructive.join('; ')}`
         });
+        continue;
+      }
+
+      try {
+        let data;
+        if (change.action === 'create') {
+          data = await this.createProperty(definition);
+        } else {
+          const patch = {};
+          Object.keys(change.changes).forEach(field => {
+            patch[field] = definition[field];
+          });
+          data = await this.updateProperty(change.name, patch);
+        }
+
+        results.push({ name: change.name, action: change.action, success: true, status: 'applied', changes: change.changes, data });
       } catch (error) {
         results.push({
-          name: property.name,
-          exists: false,
+          name: change.name,
+          action: change.action,
+          success: false,
+          status: 'failed',
           error: error.message
         });
       }
     }
 
-    return results;
+    const summary = {
+      total: results.length,
+      applied: results.filter(r => r.status === 'applied').length,
+      unchanged: results.filter(r => r.status === 'unchanged').length,
+      blocked: results.filter(r => r.status === 'blocked').length,
+      failed: results.filter(r => r.status === 'failed').length
+    };
+
+    logger.success('Property migration completed', summary);
+
+    return { version: plan.version, results, summary };
   }
 }
 
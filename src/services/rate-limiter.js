@@ -0,0 +1,146 @@
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+
+// Budgets requests are counted against; each has its own limit per window.
+// authFailures counts requests rejected with 401, per IP.
+const BUDGETS = ['read', 'write', 'batch', 'authFailures'];
+
+let sharedLimiter = null;
+
+// Fixed-window counters kept in memory, the default store. Every store implements
+// async increment(key, windowMs) -> { count, resetAt } for the window the call falls
+// in, and async peek(key) -> { count, resetAt } or null to read it without counting.
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.windows = new Map();
+    this.nextSweepAt = 0;
+  }
+
+  async increment(key, windowMs, now = Date.now()) {
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async peek(key, now = Date.now()) {
+    const window = this.windows.get(key);
+    return window && window.resetAt > now ? { count: window.count, resetAt: window.resetAt } : null;
+  }
+
+  // Drop finished windows now and then, so idle clients don't accumulate
+  sweep(now) {
+    if (now < this.nextSweepAt) return;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+    this.nextSweepAt = now + 60000;
+  }
+}
+
+// Store shared between instances through a Redis-like client exposing
+// incr(key), get(key), pexpire(key, ms) and pttl(key), such as ioredis
+class RedisRateLimitStore {
+  constructor(client, { prefix = 'hubspot-api:ratelimit:' } = {}) {
+    this.name = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, windowMs, now = Date.now()) {
+    const redisKey = this.prefix + key;
+    const count = await this.client.incr(redisKey);
+    if (count === 1) await this.client.pexpire(redisKey, windowMs);
+
+    const ttl = await this.client.pttl(redisKey);
+    return { count, resetAt: now + (ttl > 0 ? ttl : windowMs) };
+  }
+
+  async peek(key, now = Date.now()) {
+    const redisKey = this.prefix + key;
+    const count = Number(await this.client.get(redisKey));
+    if (!count) return null;
+
+    const ttl = await this.client.pttl(redisKey);
+    return ttl > 0 ? { count, resetAt: now + ttl } : null;
+  }
+}
+
+// Counts requests per client and budget against the configured limits
+class RateLimiter {
+  constructor({ windowMs = config.rateLimit.windowMs, limits = config.rateLimit.limits, store = new MemoryRateLimitStore() } = {}) {
+    this.windowMs = windowMs;
+    this.limits = limits;
+    this.store = store;
+  }
+
+  // Limiter shared by every route, so all budgets live in one store
+  static shared() {
+    if (!sharedLimiter) {
+      sharedLimiter = new RateLimiter();
+    }
+    return sharedLimiter;
+  }
+
+  // Swap the store, e.g. for a RedisRateLimitStore when running several instances
+  useStore(store) {
+    this.store = store;
+  }
+
+  // Count one request. Returns { limited, limit, remaining, resetAt }, or null when
+  // the budget has no limit. A failing store lets the request through.
+  async consume(clientKey, budget, now = Date.now()) {
+    const limit = this.limits[budget];
+    if (!(limit > 0)) return null;
+
+    let window;
+    try {
+      window = await this.store.increment(`${budget}:${clientKey}`, this.windowMs, now);
+    } catch (error) {
+      logger.error(`Rate limit store failed for ${budget}:${clientKey}`, error);
+      return null;
+    }
+
+    return {
+      limited: window.count > limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  // Whether a budget is already spent, without counting a request. Returns
+  // { limited, limit, remaining, resetAt } or null, like consume().
+  async check(clientKey, budget, now = Date.now()) {
+    const limit = this.limits[budget];
+    if (!(limit > 0)) return null;
+
+    let window;
+    try {
+      window = await this.store.peek(`${budget}:${clientKey}`, now);
+    } catch (error) {
+      logger.error(`Rate limit store failed for ${budget}:${clientKey}`, error);
+      return null;
+    }
+
+    const count = window?.count || 0;
+    return {
+      limited: count >= limit,
+      limit,
+      remaining: Math.max(0, limit - count),
+      resetAt: window?.resetAt ?? now + this.windowMs
+    };
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.BUDGETS = BUDGETS;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
+module.exports.RedisRateLimitStore = RedisRateLimitStore;
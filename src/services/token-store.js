@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/hubspot');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// OAuth tokens per HubSpot portal, kept in one AES-256-GCM encrypted JSON file.
+// Other stores only need async get(portalId), set(tokens), list() and delete(portalId).
+class FileTokenStore {
+  constructor({ filePath = config.oauth.tokenStorePath, encryptionKey = config.oauth.encryptionKey } = {}) {
+    this.filePath = filePath;
+    // Any secret of 32+ characters, stretched to a 256-bit key
+    this.key = encryptionKey ? crypto.createHash('sha256').update(encryptionKey).digest() : null;
+
+    // Changes run one at a time so concurrent refreshes don't overwrite each other
+    this.pending = Promise.resolve();
+    // Decrypted contents, so every HubSpot call doesn't read the file
+    this.portals = null;
+  }
+
+  // Run a read-modify-write of the file after the ones already queued
+  serialize(change) {
+    const result = this.pending.then(change);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+      version: 1,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  requireKey() {
+    if (!this.key) {
+      throw new Error('HUBSPOT_TOKEN_ENCRYPTION_KEY must be set to store OAuth tokens');
+    }
+  }
+
+  // Every stored portal, keyed by portal id
+  async readAll() {
+    this.requireKey();
+    if (this.portals) return { ...this.portals };
+    if (!fs.existsSync(this.filePath)) return {};
+
+    try {
+      this.portals = this.decrypt(JSON.parse(await fs.promises.readFile(this.filePath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Unable to read OAuth token store ${this.filePath}: ${error.message}`);
+    }
+    return { ...this.portals };
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written store
+  async writeAll(portals) {
+    this.requireKey();
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(this.encrypt(portals)), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+    this.portals = portals;
+  }
+
+  async get(portalId) {
+    const portals = await this.readAll();
+    return portals[String(portalId)] || null;
+  }
+
+  async set(tokens) {
+    return this.serialize(async () => {
+      const portals = await this.readAll();
+      portals[String(tokens.portalId)] = tokens;
+      await this.writeAll(portals);
+      return tokens;
+    });
+  }
+
+  async list() {
+    return Object.values(await this.readAll());
+  }
+
+  async delete(portalId) {
+    return this.serialize(async () => {
+      const portals = await this.readAll();
+      delete portals[String(portalId)];
+      await this.writeAll(portals);
+    });
+  }
+}
+
+module.exports = FileTokenStore;
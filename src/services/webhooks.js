@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const config = require('../config/hubspot');
+const logger = require('../utils/logger');
+
+// HubSpot rejects v3 signatures older than five minutes; so do we
+const MAX_TIMESTAMP_AGE_MS = 5 * 60 * 1000;
+
+// Characters HubSpot decodes in the request URI before signing it
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+const normalizeUri = (uri) => uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, match => DECODED_URI_CHARACTERS[match.toUpperCase()]);
+
+let sharedService = null;
+
+class WebhookService {
+  constructor(clientSecret = config.clientSecret) {
+    this.clientSecret = clientSecret;
+    this.handlers = new Map();
+
+    // Signatures seen within the freshness window, used to reject replays
+    this.seenSignatures = new Map();
+  }
+
+  // Service shared by the webhook route and any module registering handlers
+  static shared() {
+    if (!sharedService) {
+      sharedService = new WebhookService();
+    }
+    return sharedService;
+  }
+
+  // Compute a v3 signature: base64 HMAC-SHA256 of method + URI + body + timestamp
+  static sign({ clientSecret, method, uri, body, timestamp }) {
+    return crypto
+      .createHmac('sha256', clientSecret)
+      .update(`${method.toUpperCase()}${normalizeUri(uri)}${body}${timestamp}`)
+      .digest('base64');
+  }
+
+  isConfigured() {
+    return Boolean(this.clientSecret);
+  }
+
+  // Verify an incoming request. Returns { valid: true } or { valid: false, reason }.
+  verifySignature({ method, uri, body, timestamp, signature }, now = Date.now()) {
+    if (!signature || !timestamp) {
+      return { valid: false, reason: 'Missing signature or timestamp header' };
+    }
+
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > MAX_TIMESTAMP_AGE_MS) {
+      return { valid: false, reason: 'Request timestamp is too old' };
+    }
+
+    const expected = Buffer.from(WebhookService.sign({ clientSecret: this.clientSecret, method, uri, body, timestamp }));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    this.pruneSeenSignatures(now);
+    if (this.seenSignatures.has(signature)) {
+      return { valid: false, reason: 'Replayed request' };
+    }
+    this.seenSignatures.set(signature, sentAt);
+
+    return { valid: true };
+  }
+
+  pruneSeenSignatures(now) {
+    for (const [signature, sentAt] of this.seenSignatures) {
+      if (now - sentAt > MAX_TIMESTAMP_AGE_MS) {
+        this.seenSignatures.delete(signature);
+      }
+    }
+  }
+
+  // Register a handler for an event type such as 'contact.propertyChange', or '*' for all
+  on(eventType, handler) {
+    if (!this.handlers.has(eventType)) {
+      this.handlers.set(eventType, []);
+    }
+    this.handlers.get(eventType).push(handler);
+
+    return () => {
+      this.handlers.set(eventType, this.handlers.get(eventType).filter(h => h !== handler));
+    };
+  }
+
+  // Normalize a raw HubSpot event
+  parseEvent(raw) {
+    return {
+      eventId: raw.eventId,
+      type: raw.subscriptionType,
+      objectId: raw.objectId !== undefined ? String(raw.objectId) : null,
+      propertyName: raw.propertyName,
+      propertyValue: raw.propertyValue,
+      changeSource: raw.changeSource,
+      portalId: raw.portalId,
+      occurredAt: raw.occurredAt ? new Date(raw.occurredAt).toISOString() : null,
+      attemptNumber: raw.attemptNumber,
+      raw
+    };
+  }
+
+  // Run the registered handlers for each event. Handler failures are logged
+  // and reported, but never stop the remaining events from being dispatched.
+  async dispatch(rawEvents) {
+    const results = [];
+
+    for (const raw of rawEvents) {
+      const event = this.parseEvent(raw);
+      const handlers = [...(this.handlers.get(event.type) || []), ...(this.handlers.get('*') || [])];
+      const errors = [];
+
+      for (const handler of handlers) {
+        try {
+          await handler(event);
+        } catch (error) {
+          logger.error(`Webhook handler failed for ${event.type} (${event.eventId})`, error);
+          errors.push(error.message);
+        }
+      }
+
+      results.push({
+        eventId: event.eventId,
+        type: event.type,
+        objectId: event.objectId,
+        handlers: handlers.length,
+        errors
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = WebhookService;
@@ -1,39 +1,130 @@
-const PropertiesService = require('./services/properties');
+const PortalRegistry = require('./services/portals');
 const logger = require('./utils/logger');
 
-async function setupCustomProperties() {
+// Parse command line flags: --plan, --allow-destructive, --schema <path>, --object <objectType>,
+// --portal <name>, --all-portals
+function parseArgs(argv) {
+  const options = {
+    planOnly: argv.includes('--plan'),
+    allowDestructive: argv.includes('--allow-destructive'),
+    allPortals: argv.includes('--all-portals'),
+    schemaPath: undefined,
+    objectType: undefined,
+    portal: undefined
+  };
+
+  const schemaIndex = argv.indexOf('--schema');
+  if (schemaIndex !== -1 && argv[schemaIndex + 1]) {
+    options.schemaPath = argv[schemaIndex + 1];
+  }
+
+  const objectIndex = argv.indexOf('--object');
+  if (objectIndex !== -1 && argv[objectIndex + 1]) {
+    options.objectType = argv[objectIndex + 1];
+  }
+
+  const portalIndex = argv.indexOf('--portal');
+  if (portalIndex !== -1 && argv[portalIndex + 1]) {
+    options.portal = argv[portalIndex + 1];
+  }
+
+  return options;
+}
+
+// Portals to run against: every registered one with --all-portals, the one
+// named by --portal, or the default portal
+function selectPortals({ portal, allPortals } = {}) {
+  const registry = PortalRegistry.shared();
+  if (allPortals) return registry.names().map(name => registry.get(name));
+
+  const selected = registry.get(portal);
+  if (!selected) {
+    throw new Error(`Unknown HubSpot portal "${portal}" (known portals: ${registry.names().join(', ')})`);
+  }
+  return [selected];
+}
+
+// Contacts use the main schema file; other object types default to
+// <HUBSPOT_OBJECT_SCHEMAS_DIR>/<objectType>.json
+function createPropertiesService(portal, { schemaPath, objectType } = {}) {
+  return portal.propertiesFor(objectType || 'contacts', schemaPath);
+}
+
+async function planCustomProperties(options = {}) {
   try {
-    logger.info('=== HubSpot Custom Properties Setup ===');
-    
-    const propertiesService = new PropertiesService();
-    
-    // First, check which properties already exist
-    logger.info('Checking existing properties...');
-    const existingProperties = await propertiesService.checkPropertiesExist();
-    
-    logger.info('Property status:', existingProperties);
-    
-    // Create all custom properties
-    const results = await propertiesService.createAllCustomProperties();
-    
+    logger.info('=== HubSpot Custom Properties Plan ===');
+
+    for (const portal of selectPortals(options)) {
+      const plan = await createPropertiesService(portal, options).planMigration();
+
+      plan.changes
+        .filter(change => change.action !== 'noop')
+        .forEach(change => logger.info(`[${portal.name}] ${change.action.toUpperCase()}: ${change.name}`, {
+          changes: change.changes,
+          destructive: change.destructive.length > 0 ? change.destructive : undefined
+        }));
+
+      logger.success(`Plan completed for portal ${portal.name}!`, plan.summary);
+    }
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('Plan failed', error);
+    process.exit(1);
+  }
+}
+
+// Apply the schema file to one portal: create missing properties and update
+// changed ones. Resolves with true when every change was applied.
+async function setupPortal(portal, options) {
+  try {
+    logger.info(`Portal: ${portal.name}`);
+
+    const result = await createPropertiesService(portal, options).applyMigration({
+      allowDestructive: options.allowDestructive
+    });
+
     // Summary
     const summary = {
-      total: results.length,
-      successful: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length,
-      details: results
+      version: result.version,
+      ...result.summary,
+      details: result.results
     };
-    
-    logger.success('Setup completed!', summary);
-    
-    if (summary.failed > 0) {
-      logger.error('Some properties failed to create. Please check the errors above.');
-      process.exit(1);
-    } else {
+
+    logger.success(`Setup completed for portal ${portal.name}!`, summary);
+
+    if (summary.failed > 0 || summary.blocked > 0) {
+      logger.error(`Some property changes were not applied to portal ${portal.name}. Please check the errors above.`);
+      if (summary.blocked > 0) {
+        logger.info('Re-run with --allow-destructive to apply destructive changes.');
+      }
+      return false;
+    }
+    return true;
+
+  } catch (error) {
+    logger.error(`Setup failed for portal ${portal.name}`, error);
+    return false;
+  }
+}
+
+async function setupCustomProperties(options = {}) {
+  try {
+    logger.info('=== HubSpot Custom Properties Setup ===');
+
+    // One portal failing doesn't stop the others
+    let ready = true;
+    for (const portal of selectPortals(options)) {
+      ready = await setupPortal(portal, options) && ready;
+    }
+
+    if (ready) {
       logger.success('All custom properties are ready!');
       process.exit(0);
+    } else {
+      process.exit(1);
     }
-    
+
   } catch (error) {
     logger.error('Setup failed', error);
     process.exit(1);
@@ -42,7 +133,12 @@ async function setupCustomProperties() {
 
 // Run setup if this file is executed directly
 if (require.main === module) {
-  setupCustomProperties();
+  const options = parseArgs(process.argv.slice(2));
+  if (options.planOnly) {
+    planCustomProperties(options);
+  } else {
+    setupCustomProperties(options);
+  }
 }
 
-module.exports = { setupCustomProperties };
\ No newline at end of file
+module.exports = { setupCustomProperties, planCustomProperties };
@@ -0,0 +1,55 @@
+const AuthService = require('../services/auth');
+const logger = require('./logger');
+const { currentContext } = require('./request-context');
+
+// Express middleware: identify the caller and set req.auth, or answer 401.
+// With no API keys or JWT keys configured, every caller is let through as admin.
+function authenticate(authService = AuthService.shared()) {
+  return (req, res, next) => {
+    if (!authService.isEnabled()) {
+      req.auth = { method: 'none', subject: null, role: 'admin' };
+      return next();
+    }
+
+    const { caller, error } = authService.authenticate({
+      apiKey: req.get('X-API-Key'),
+      authorization: req.get('Authorization')
+    });
+
+    if (!caller) {
+      logger.warn(`Authentication failed: ${error}`);
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error
+      });
+    }
+
+    req.auth = caller;
+    // Lets logs and anything else downstream know who made the request
+    const context = currentContext();
+    if (context) context.caller = caller;
+
+    next();
+  };
+}
+
+// Route middleware: 403 unless the caller has at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.auth && AuthService.hasRole(req.auth.role, role)) {
+      return next();
+    }
+
+    logger.warn(`Forbidden: ${req.method} ${req.originalUrl} requires the ${role} role`, {
+      subject: req.auth?.subject,
+      role: req.auth?.role
+    });
+    res.status(403).json({
+      success: false,
+      error: `This action requires the ${role} role`
+    });
+  };
+}
+
+module.exports = { authenticate, requireRole };
@@ -0,0 +1,369 @@
+// Search and batch request handling shared by the contacts routes and the
+// generic /api/objects routes. Each router describes its records once:
+//
+//   objectType       e.g. 'contacts', used in logs and audit entries
+//   auditAction      prefix of audit actions ('contact' -> contact.batch.create)
+//   idKey, recordKey where batch outcomes keep the id and record (see batchSuccess)
+//   resultsKey       name of the results list in search responses
+//   searchData       extra fields for search responses (optional)
+//   service()        the CrmObjectService to call
+//   definitions()    property definitions filters and rows are checked against
+//   properties()     properties to read when none are requested (optional)
+//   propertyFor(n)   HubSpot property for a name used in requests (optional)
+//   toFields(p, i)   HubSpot properties as responses and audit entries show them (optional)
+//   format(record)   a record as search responses return it
+//   changedValues(action, row)  values a batch row writes, keyed like toFields;
+//                    null records every property HubSpot returned
+//   batchActions     per action: { field, validate, options(req), run(items, options), successStatus, audited }
+//   startBatchJob(req, res, job)  runs async=true batches in the background (optional)
+
+const config = require('../config/hubspot');
+const AuditService = require('../services/audit');
+const logger = require('./logger');
+const { encodeCursor, decodeCursor } = require('./cursor');
+const { parseFilterQuery, parseSorts, validateSearch } = require('./search');
+
+const audit = AuditService.shared();
+
+// Largest number of items accepted by a single batch endpoint call
+const MAX_BATCH_ITEMS = 10000;
+
+// Search page sizes; HubSpot returns at most 200 records per page
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 200;
+
+const identity = value => value;
+const propertyFor = (records, name) => (records.propertyFor || identity)(name);
+const toFields = (records, properties, include) => (records.toFields ? records.toFields(properties, include) : properties);
+
+// ---- Search ----
+
+// Filters and sorts may name request fields; HubSpot needs the property names
+// (malformed groups are passed through for validateSearch to report)
+const toHubSpotFilterGroups = (records, filterGroups) => (Array.isArray(filterGroups)
+  ? filterGroups.map(group => (Array.isArray(group?.filters)
+    ? { ...group, filters: group.filters.map(filter => (filter && typeof filter === 'object' ? { ...filter, propertyName: propertyFor(records, filter.propertyName) } : filter)) }
+    : group))
+  : filterGroups);
+
+// Combine a compact `q` expression, JSON filter groups and the simple
+// equality `filters` (ANDed into every group), and validate the result.
+// Returns { search: { filterGroups, sorts }, errors }.
+const buildSearch = (records, { q, filterGroups = [], sorts, filters = {} }) => {
+  const errors = [];
+  let groups = filterGroups;
+
+  if (q) {
+    const parsed = parseFilterQuery(q);
+    errors.push(...parsed.errors);
+    groups = [...groups, ...parsed.filterGroups];
+  }
+
+  const equalityFilters = Object.entries(filters).map(([propertyName, value]) => ({ propertyName, operator: 'EQ', value }));
+  if (equalityFilters.length > 0) {
+    groups = groups.length > 0
+      ? groups.map(group => ({ filters: [...(group.filters || []), ...equalityFilters] }))
+      : [{ filters: equalityFilters }];
+  }
+
+  const parsedSorts = parseSorts(sorts).map(sort => ({ ...sort, propertyName: propertyFor(records, sort.propertyName) }));
+  const validation = validateSearch({ filterGroups: toHubSpotFilterGroups(records, groups), sorts: parsedSorts }, records.definitions());
+  errors.push(...validation.errors);
+
+  return { search: validation.search, errors };
+};
+
+// Build, validate and run a search, then send the page (or every page) back.
+// `limit` is taken as sent (query string or JSON) and checked here; `filters`
+// are echoed in the response when given. all=true walks every page, up to
+// SEARCH_ALL_MAX_RESULTS records.
+const runSearch = async (res, records, { q, filterGroups = [], sorts, filters, properties, limit: requestedLimit, cursor, all = false }) => {
+  const limit = requestedLimit === undefined || requestedLimit === '' ? DEFAULT_SEARCH_LIMIT : Number(requestedLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    return res.status(400).json({
+      success: false,
+      error: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`
+    });
+  }
+
+  const { search, errors } = buildSearch(records, { q, filterGroups, sorts, filters });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid search query',
+      details: errors
+    });
+  }
+
+  const service = records.service();
+  const searchOptions = { filterGroups: search.filterGroups, sorts: search.sorts, properties: properties || records.properties?.() };
+  const echoed = {
+    filterGroups: search.filterGroups,
+    sorts: search.sorts,
+    ...(filters !== undefined ? { filters } : {})
+  };
+
+  // all=true walks every page server-side. Past the cap the response says it
+  // was truncated; id-ordered results also get a cursor to carry on paging.
+  if (all) {
+    const results = [];
+    let last = null;
+    let truncated = false;
+    for await (const record of service.iterateObjects(searchOptions)) {
+      if (results.length === config.search.maxAllResults) {
+        truncated = true;
+        break;
+      }
+      results.push(records.format(record));
+      last = record;
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ...records.searchData,
+        [records.resultsKey]: results,
+        total: results.length,
+        truncated,
+        nextCursor: truncated && search.sorts.length === 0 ? encodeCursor({ afterId: last.id }) : null,
+        ...echoed
+      }
+    });
+  }
+
+  let cursorState = {};
+  if (cursor) {
+    cursorState = decodeCursor(cursor);
+    if (!cursorState) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+  }
+
+  // Without a custom sort, pages are ordered by id so cursors keep working past
+  // HubSpot's 10,000 result cap; custom sorts fall back to HubSpot's paging token
+  const keyset = search.sorts.length === 0;
+  const result = await service.searchObjects(keyset
+    ? { ...searchOptions, limit, afterId: cursorState.afterId, sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }] }
+    : { ...searchOptions, limit, after: cursorState.after });
+
+  const last = result.results[result.results.length - 1];
+  let nextCursor = null;
+  if (result.nextAfter && last) {
+    nextCursor = encodeCursor(keyset ? { afterId: last.id } : { after: result.nextAfter });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...records.searchData,
+      [records.resultsKey]: result.results.map(record => records.format(record)),
+      total: result.total,
+      limit,
+      cursor: cursor || null,
+      nextCursor,
+      ...echoed
+    }
+  });
+};
+
+// ---- Batch ----
+
+// Row validator for batch endpoints that take ids
+const validateBatchId = (id) => {
+  if (id === undefined || id === null || id === '' || typeof id === 'object') return { error: 'Invalid id' };
+  return { value: id };
+};
+
+// Validate every row. Failed rows get their result by input index right away;
+// the valid ones are returned for sending with the indexes they came from.
+const validateBatchItems = async (items, validate) => {
+  const results = [];
+  const validIndexes = [];
+  const validItems = [];
+
+  for (const [index, item] of items.entries()) {
+    const { value, error, details } = await validate(item);
+    if (error) {
+      results.push({ index, success: false, error, status: 400, details });
+    } else {
+      validIndexes.push(index);
+      validItems.push(value);
+    }
+  }
+
+  return { results, validIndexes, validItems };
+};
+
+// Current values of the records a batch update is about to change, keyed by id
+const readBeforeUpdate = async (records, updates) => {
+  const properties = records.properties
+    ? records.properties()
+    : [...new Set(updates.flatMap(update => Object.keys(records.changedValues('update', update))))];
+  const batch = await records.service().batchRead(updates.map(update => update.id), { properties });
+
+  return new Map(batch.results
+    .filter(result => result.success)
+    .map(result => [String(result[records.idKey]), toFields(records, result[records.recordKey].properties)]));
+};
+
+// One audit entry per record a batch changed, under the origin of the request
+// that sent it. Updates are diffed against the values read before them;
+// creates and upserts record the values written. `sent` maps input indexes to
+// the normalized rows sent to HubSpot.
+const auditBatch = async (origin, records, action, results, sent, before) => {
+  for (const result of results) {
+    if (!result.success) continue;
+
+    const id = result[records.idKey];
+    let changes;
+    if (action !== 'archive') {
+      const values = records.changedValues(action, sent.get(result.index));
+      const after = { ...values, ...toFields(records, result[records.recordKey]?.properties) };
+      const fields = values ? Object.keys(values) : undefined;
+      changes = action === 'update'
+        ? AuditService.diff(before.get(String(id)) || null, after, fields)
+        : AuditService.diff(action === 'create' || result.action === 'created' ? {} : null, after, fields);
+    }
+
+    await audit.record(origin, {
+      action: `${records.auditAction}.batch.${action}`,
+      objectType: records.objectType,
+      objectId: id,
+      ...(changes ? { changes } : {})
+    });
+  }
+};
+
+// Send valid rows to HubSpot from position `start`, sliceSize at a time, and
+// return their results. onSlice(next, results) runs after each slice; once
+// isCancelled() returns true, no further slice is sent.
+const sendBatchItems = async (origin, records, action, options, { validIndexes, validItems }, { start = 0, sliceSize = validItems.length, onSlice, isCancelled } = {}) => {
+  const { run, audited } = records.batchActions[action];
+  const results = [];
+
+  for (let begin = start; begin < validItems.length; begin += sliceSize) {
+    if (isCancelled?.()) break;
+
+    const items = validItems.slice(begin, begin + sliceSize);
+    const indexes = validIndexes.slice(begin, begin + sliceSize);
+    const before = audited && action === 'update' ? await readBeforeUpdate(records, items) : null;
+    const batch = await run(items, options);
+    const sliceResults = batch.results.map((outcome, position) => ({ ...outcome, index: indexes[position] }));
+
+    if (audited) {
+      const sent = new Map(indexes.map((index, position) => [index, items[position]]));
+      await auditBatch(origin, records, action, sliceResults, sent, before);
+    }
+
+    results.push(...sliceResults);
+    if (onSlice) await onSlice(begin + items.length, sliceResults);
+  }
+
+  return results;
+};
+
+// One batch result as the API returns it
+const formatBatchResult = (records, result, include) => ({
+  index: result.index,
+  success: result.success,
+  [records.idKey]: result[records.idKey],
+  action: result.action,
+  properties: result[records.recordKey] && toFields(records, result[records.recordKey].properties, include),
+  error: result.error,
+  status: result.status,
+  details: result.details
+});
+
+// Results in input order with their summary
+const batchData = (results) => {
+  const sorted = [...results].sort((a, b) => a.index - b.index);
+  return {
+    summary: {
+      total: sorted.length,
+      succeeded: sorted.filter(r => r.success).length,
+      failed: sorted.filter(r => !r.success).length
+    },
+    results: sorted
+  };
+};
+
+// A failed batch item as a job error
+const batchItemError = ({ index, error, status, details }) => ({ index, error, status, details });
+
+// Validate every row, send the valid ones to HubSpot and answer with one
+// result per input index. Any failed row turns the response into a 207.
+// With async=true (where records.startBatchJob exists) the rows are validated
+// now and sent by a background job.
+const runBatchRequest = async (req, res, records, action) => {
+  const { field, validate, successStatus = 200 } = records.batchActions[action];
+  const items = req.body?.[field];
+
+  logger.info(`API: Batch ${action} ${records.objectType}`, { count: items?.length });
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Request body must contain a non-empty "${field}" array`
+    });
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${MAX_BATCH_ITEMS} items can be sent in one request`
+    });
+  }
+
+  const options = records.batchActions[action].options?.(req) || {};
+  const { results: invalid, validIndexes, validItems } = await validateBatchItems(items, validate);
+  const include = options.properties;
+
+  if (records.startBatchJob && String(req.query.async) === 'true') {
+    const failed = invalid.map(result => formatBatchResult(records, result, include));
+    return records.startBatchJob(req, res, { action, options, invalid: failed, validIndexes, validItems, total: items.length });
+  }
+
+  const sent = await sendBatchItems(AuditService.origin(req), records, action, options, { validIndexes, validItems });
+  const data = batchData([...invalid, ...sent].map(result => formatBatchResult(records, result, include)));
+  const { failed } = data.summary;
+
+  res.status(failed > 0 ? 207 : successStatus).json({
+    success: failed === 0,
+    message: failed === 0
+      ? `Batch ${action} completed successfully`
+      : `Batch ${action} completed with ${failed} failed item(s)`,
+    data
+  });
+};
+
+// Route handler for one batch action with the shared error response.
+// recordsFor(req) returns the records description.
+const batchHandler = (recordsFor, action) => async (req, res) => {
+  const records = recordsFor(req);
+  try {
+    await runBatchRequest(req, res, records, action);
+  } catch (error) {
+    logger.error(`API: Failed to batch ${action} ${records.objectType}`, error);
+    res.status(500).json({
+      success: false,
+      error: error.error || error.message || 'Internal server error',
+      details: error.details || null
+    });
+  }
+};
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  buildSearch,
+  runSearch,
+  validateBatchId,
+  sendBatchItems,
+  formatBatchResult,
+  batchData,
+  batchItemError,
+  batchHandler
+};
@@ -0,0 +1,95 @@
+// Minimal RFC 4180 CSV helpers: quoted fields, escaped quotes, CRLF and BOM
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse CSV text with a header row into { headers, records }
+function parseCsvRecords(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  const trimmedHeaders = headers.map(header => header.trim());
+
+  const records = rows.map(row => {
+    const record = {};
+    trimmedHeaders.forEach((header, index) => {
+      record[header] = row[index] !== undefined ? row[index] : '';
+    });
+    return record;
+  });
+
+  return { headers: trimmedHeaders, records };
+}
+
+// Leading characters that make Excel and Sheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Signed numbers such as -5 or +1.5e3 start with - or + but are just numbers
+const PLAIN_NUMBER = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+// Quote a value if it contains a delimiter, quote or newline. Values that
+// would open as a formula get a leading ' and are quoted (CSV injection).
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format one CSV line (with trailing CRLF)
+function toCsvLine(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+// Format a header plus records into CSV text
+function toCsv(headers, records) {
+  return toCsvLine(headers) + records.map(record => toCsvLine(headers.map(header => record[header]))).join('');
+}
+
+module.exports = { parseCsv, parseCsvRecords, toCsvLine, toCsv };
@@ -0,0 +1,17 @@
+// Opaque pagination cursors: base64url-encoded JSON handed to API clients
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+// Returns the decoded state, or null if the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
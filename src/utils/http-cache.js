@@ -0,0 +1,9 @@
+// Let clients reuse a successful GET response for as long as we cache its data.
+// Express already adds an ETag to every body and answers a matching
+// If-None-Match with 304, so revalidation costs no HubSpot call while cached.
+function setCacheControl(res, maxAgeMs) {
+  const maxAge = Math.floor(maxAgeMs / 1000);
+  res.set('Cache-Control', maxAge > 0 ? `private, max-age=${maxAge}` : 'private, no-cache');
+}
+
+module.exports = { setCacheControl };
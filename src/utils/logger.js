@@ -1,23 +1,65 @@
-const logger = {
-  info: (message, data = null) => {
-    console.log(`[INFO] ${new Date().toISOString()}: ${message}`);
-    if (data) console.log(JSON.stringify(data, null, 2));
-  },
-  
-  error: (message, error = null) => {
-    console.error(`[ERROR] ${new Date().toISOString()}: ${message}`);
-    if (error) {
-      console.error('Error details:', error.message);
-      if (error.response?.data) {
-        console.error('API Error:', JSON.stringify(error.response.data, null, 2));
-      }
-    }
-  },
-  
-  success: (message, data = null) => {
-    console.log(`[SUCCESS] ${new Date().toISOString()}: ${message}`);
-    if (data) console.log(JSON.stringify(data, null, 2));
-  }
-};
-
-module.exports = logger;
\ No newline at end of file
+const { redact, redactText } = require('./redact');
+const { currentContext } = require('./request-context');
+
+// Lowest level written; success is logged at info level
+const LEVELS = { debug: 10, info: 20, success: 20, warn: 30, error: 40, silent: 100 };
+
+// Errors thrown by axios, by our services ({ success: false, error, details, status })
+// or anything else, reduced to the fields worth logging
+function describeError(error) {
+  if (!error || typeof error !== 'object') return { message: String(error) };
+
+  return {
+    message: error.message || error.error || null,
+    ...(error.code ? { code: error.code } : {}),
+    status: error.response?.status ?? error.status ?? null,
+    ...(error.attempts ? { attempts: error.attempts } : {}),
+    details: error.response?.data ?? error.details ?? null
+  };
+}
+
+// One log line: JSON by default, or "[LEVEL] time [requestId]: message {data}" with LOG_FORMAT=text
+function format(entry, outputFormat) {
+  if (outputFormat !== 'text') return JSON.stringify(entry);
+
+  const { time, level, message, requestId, ...rest } = entry;
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  return `[${level.toUpperCase()}] ${time}${requestId ? ` [${requestId}]` : ''}: ${message}${extra}`;
+}
+
+// Level and format come from LOG_LEVEL (debug, info, warn, error, silent) and
+// LOG_FORMAT (json, text). Every entry is redacted and tagged with the current request id.
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  outputFormat = process.env.LOG_FORMAT || 'json',
+  write = (line, entryLevel) => (LEVELS[entryLevel] >= LEVELS.warn ? console.error(line) : console.log(line))
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (entryLevel, message, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const context = currentContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      message: redactText(String(message)),
+      ...(context ? { requestId: context.requestId } : {}),
+      ...(context?.portal ? { portal: context.portal } : {}),
+      ...redact(fields)
+    };
+
+    write(format(entry, outputFormat), entryLevel);
+  };
+
+  return {
+    debug: (message, data = null) => log('debug', message, data ? { data } : {}),
+    info: (message, data = null) => log('info', message, data ? { data } : {}),
+    success: (message, data = null) => log('success', message, data ? { data } : {}),
+    warn: (message, data = null) => log('warn', message, data ? { data } : {}),
+    error: (message, error = null) => log('error', message, error ? { error: describeError(error) } : {})
+  };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
@@ -0,0 +1,42 @@
+const config = require('../config/hubspot');
+const PortalRegistry = require('../services/portals');
+const logger = require('./logger');
+const { currentContext } = require('./request-context');
+
+// Express middleware: pick the HubSpot portal from the /api/portals/:portal prefix
+// or the X-HubSpot-Portal header (the default portal if neither is given) and
+// run the rest of the request against it. Unknown portals get 404.
+function selectPortal(registry = PortalRegistry.shared()) {
+  return (req, res, next) => {
+    const fromPath = req.params.portal;
+    const fromHeader = req.get(config.portals.header);
+
+    if (fromPath && fromHeader && fromPath !== fromHeader) {
+      return res.status(400).json({
+        success: false,
+        error: `Portal "${fromPath}" in the path does not match the ${config.portals.header} header "${fromHeader}"`
+      });
+    }
+
+    const name = fromPath || fromHeader;
+    const portal = registry.get(name);
+    if (!portal) {
+      logger.warn(`Unknown HubSpot portal "${name}"`);
+      return res.status(404).json({
+        success: false,
+        error: `Unknown HubSpot portal "${name}"`,
+        details: { portals: registry.names() }
+      });
+    }
+
+    req.portal = portal;
+    // Services look the portal up through the context, and logs carry its name
+    const context = currentContext();
+    if (context) context.portal = portal.name;
+    res.set(config.portals.header, portal.name);
+
+    next();
+  };
+}
+
+module.exports = { selectPortal };
@@ -0,0 +1,75 @@
+const RateLimiter = require('../services/rate-limiter');
+const logger = require('./logger');
+
+// Routes that fan out into many HubSpot calls
+const BATCH_PATH = /\/(batch|import|export|duplicates)(\/|$)/;
+
+// Searches and property plans are POSTs that only read
+const READ_ONLY_POST_PATH = /\/(search|properties\/plan)$/;
+
+// Which budget a request spends. Searches with all=true walk every page, so
+// they count as batches.
+function budgetFor(req) {
+  if (BATCH_PATH.test(req.path)) return 'batch';
+  if (req.query?.all === 'true' || req.body?.all === true) return 'batch';
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || READ_ONLY_POST_PATH.test(req.path)) return 'read';
+  return 'write';
+}
+
+// Authenticated callers are limited per API key or token subject, anyone else per IP
+function clientKeyFor(req) {
+  if (req.auth?.subject && req.auth.method !== 'none') return `${req.auth.method}:${req.auth.subject}`;
+  return `ip:${req.ip}`;
+}
+
+// Set the RateLimit-* headers for a budget and, once it is spent, answer 429.
+// Returns whether the request was answered.
+function sendLimited(res, limiter, result, budget, clientKey) {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Policy': `${result.limit};w=${Math.ceil(limiter.windowMs / 1000)}`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+
+  if (!result.limited) return false;
+
+  logger.warn(`Rate limit exceeded for ${clientKey} (${budget})`);
+  res.set('Retry-After', String(resetSeconds));
+  res.status(429).json({
+    success: false,
+    error: 'Too many requests',
+    details: { budget, limit: result.limit, retryAfterSeconds: resetSeconds }
+  });
+  return true;
+}
+
+// Express middleware: count the request against its client's budget, set the
+// RateLimit-* headers and answer 429 once the budget for the window is spent
+function rateLimit(limiter = RateLimiter.shared()) {
+  return async (req, res, next) => {
+    const budget = budgetFor(req);
+    const clientKey = clientKeyFor(req);
+    const result = await limiter.consume(clientKey, budget);
+    if (!result || !sendLimited(res, limiter, result, budget, clientKey)) next();
+  };
+}
+
+// Express middleware, placed before authenticate(): count every 401 against
+// the caller's IP, and once an IP has spent its authFailures budget answer 429
+// without checking its credentials, so keys can't be guessed at full speed
+function limitFailedAuth(limiter = RateLimiter.shared()) {
+  return async (req, res, next) => {
+    const clientKey = `ip:${req.ip}`;
+    const result = await limiter.check(clientKey, 'authFailures');
+    if (result?.limited) return sendLimited(res, limiter, result, 'authFailures', clientKey);
+
+    res.on('finish', () => {
+      if (res.statusCode === 401) limiter.consume(clientKey, 'authFailures');
+    });
+    next();
+  };
+}
+
+module.exports = { rateLimit, limitFailedAuth, budgetFor };
@@ -0,0 +1,50 @@
+// Redaction policy for anything written to the logs: candidate PII and
+// credentials are masked by key, and emails and tokens wherever they appear in text.
+
+// Keys compared without case, underscores or dashes, so candidateName and candidate_name both match
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const PII_KEYS = ['email', 'owneremail', 'phone', 'mobilephone', 'firstname', 'lastname', 'fullname', 'candidatename', 'address', 'zip'];
+
+const SECRET_KEYS = ['authorization', 'accesstoken', 'refreshtoken', 'token', 'clientsecret', 'apikey', 'password', 'secret'];
+
+const REDACTED = '[REDACTED]';
+
+// Emails (also URL-encoded in paths), bearer tokens and HubSpot private app tokens
+const EMAIL_PATTERN = /([a-z0-9._%+-])[a-z0-9._%+-]*(@|%40)([a-z0-9.-]+\.[a-z]{2,})/gi;
+const BEARER_PATTERN = /Bearer\s+[^\s"',]+/gi;
+const HUBSPOT_TOKEN_PATTERN = /\bpat-[a-z0-9]+-[a-z0-9-]+/gi;
+
+// Extra keys to mask, e.g. LOG_REDACT_FIELDS=candidate_past_company,linkedin_url
+const extraKeys = (process.env.LOG_REDACT_FIELDS || '').split(',').map(key => key.trim()).filter(Boolean);
+const REDACTED_KEYS = new Set([...PII_KEYS, ...SECRET_KEYS, ...extraKeys].map(normalizeKey));
+
+// Mask emails (keeping the first character and the domain) and tokens inside a string
+function redactText(text) {
+  return text
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(HUBSPOT_TOKEN_PATTERN, REDACTED)
+    .replace(EMAIL_PATTERN, (match, first, at, domain) => `${first}***${at}${domain}`);
+}
+
+// Deep copy of a value with redacted keys masked and strings scrubbed
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    const masked = REDACTED_KEYS.has(normalizeKey(key)) && item !== null && item !== undefined && item !== '';
+    copy[key] = masked ? REDACTED : redact(item, seen);
+  });
+  return copy;
+}
+
+module.exports = { redact, redactText };
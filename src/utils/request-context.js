@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state (the correlation id) that follows the request through
+// every await, so logs written deep inside services can be tied back to it
+const storage = new AsyncLocalStorage();
+
+// Incoming X-Request-Id values we are willing to reuse as-is
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const currentContext = () => storage.getStore() || null;
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+// Express middleware: take the caller's X-Request-Id or generate one, echo it
+// back, and run the rest of the request inside its context
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    runWithContext({ requestId, startedAt: Date.now() }, next);
+  };
+}
+
+module.exports = { currentContext, runWithContext, requestContext };
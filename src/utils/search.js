@@ -0,0 +1,327 @@
+// Contact search language: parses the compact query-string syntax and the
+// JSON body format into HubSpot filter groups, and validates them against
+// known property types before anything is sent to HubSpot.
+//
+// Compact syntax (q=...):
+//   candidate_experience>=5 AND candidate_date_of_joining BETWEEN 2024-01-01,2024-12-31
+//   email CONTAINS_TOKEN example.com OR candidate_past_company IN Google,"Acme, Inc"
+//   phone HAS_PROPERTY
+// Conditions are joined with AND; OR starts a new filter group.
+
+const { parseDateValue } = require('./validation');
+
+const OPERATORS = [
+  'EQ', 'NEQ', 'GT', 'GTE', 'LT', 'LTE', 'BETWEEN', 'IN', 'NOT_IN',
+  'CONTAINS_TOKEN', 'NOT_CONTAINS_TOKEN', 'HAS_PROPERTY', 'NOT_HAS_PROPERTY'
+];
+
+const SYMBOL_OPERATORS = {
+  '>=': 'GTE',
+  '<=': 'LTE',
+  '!=': 'NEQ',
+  '=': 'EQ',
+  '>': 'GT',
+  '<': 'LT'
+};
+
+const RANGE_OPERATORS = ['GT', 'GTE', 'LT', 'LTE', 'BETWEEN'];
+const TEXT_OPERATORS = ['CONTAINS_TOKEN', 'NOT_CONTAINS_TOKEN'];
+const LIST_OPERATORS = ['IN', 'NOT_IN'];
+const PRESENCE_OPERATORS = ['HAS_PROPERTY', 'NOT_HAS_PROPERTY'];
+
+// HubSpot search limits. Keyset paging adds an hs_object_id filter to every
+// group (or a group of its own), so one filter per group is reserved for it,
+// both in the per-group and in the total limit.
+const MAX_FILTER_GROUPS = 5;
+const MAX_FILTERS_PER_GROUP = 5;
+const MAX_TOTAL_FILTERS = 18;
+const MAX_SORTS = 1;
+
+const PROPERTY_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Split on a keyword surrounded by whitespace, ignoring anything inside quotes
+function splitOutsideQuotes(input, keyword) {
+  const parts = [];
+  const pattern = new RegExp(`^\\s+${keyword}\\s+`, 'i');
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (char === '"') quoted = !quoted;
+
+    if (!quoted && /\s/.test(char)) {
+      const match = input.slice(i).match(pattern);
+      if (match) {
+        parts.push(current);
+        current = '';
+        i += match[0].length - 1;
+        continue;
+      }
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(part => part.length > 0);
+}
+
+// Split a comma separated list, honouring double quotes
+function splitList(input) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of input) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values.filter(value => value.length > 0);
+}
+
+const unquote = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+
+// Parse one condition such as `candidate_experience>=5` or `email HAS_PROPERTY`
+function parseCondition(condition) {
+  const symbolMatch = condition.match(/^([A-Za-z0-9_]+)\s*(>=|<=|!=|=|>|<)\s*(.+)$/);
+  if (symbolMatch) {
+    return {
+      propertyName: symbolMatch[1],
+      operator: SYMBOL_OPERATORS[symbolMatch[2]],
+      value: unquote(symbolMatch[3])
+    };
+  }
+
+  const wordMatch = condition.match(/^([A-Za-z0-9_]+)\s+([A-Za-z_]+)(?:\s+(.+))?$/);
+  if (!wordMatch) {
+    throw new Error(`Cannot parse condition "${condition}"`);
+  }
+
+  const [, propertyName, rawOperator, rawValue] = wordMatch;
+  const operator = rawOperator.toUpperCase();
+  const filter = { propertyName, operator };
+
+  if (LIST_OPERATORS.includes(operator)) {
+    filter.values = splitList(rawValue || '');
+  } else if (operator === 'BETWEEN') {
+    const [value, highValue] = splitList(rawValue || '');
+    filter.value = value;
+    filter.highValue = highValue;
+  } else if (rawValue !== undefined) {
+    filter.value = unquote(rawValue);
+  }
+
+  return filter;
+}
+
+// Parse the compact query-string syntax into HubSpot filter groups
+function parseFilterQuery(query) {
+  const errors = [];
+  const filterGroups = [];
+
+  for (const group of splitOutsideQuotes(query, 'OR')) {
+    const filters = [];
+    for (const condition of splitOutsideQuotes(group, 'AND')) {
+      try {
+        filters.push(parseCondition(condition));
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    if (filters.length > 0) filterGroups.push({ filters });
+  }
+
+  return { filterGroups, errors };
+}
+
+// Parse `sort=-candidate_experience` or an array of { propertyName, direction }
+function parseSorts(input) {
+  if (!input) return [];
+
+  const entries = Array.isArray(input) ? input : splitList(String(input));
+
+  return entries.map(entry => {
+    if (typeof entry === 'string') {
+      const descending = entry.startsWith('-');
+      return {
+        propertyName: descending ? entry.slice(1) : entry,
+        direction: descending ? 'DESCENDING' : 'ASCENDING'
+      };
+    }
+    return {
+      propertyName: entry.propertyName,
+      direction: (entry.direction || 'ASCENDING').toUpperCase()
+    };
+  });
+}
+
+// Check a single value against a property definition, returning the normalized value
+function normalizeValue(value, definition, label, errors) {
+  if (value === undefined || value === null || value === '') {
+    errors.push(`${label}: a value is required`);
+    return value;
+  }
+
+  if (!definition) return String(value);
+
+  switch (definition.type) {
+    case 'number':
+      if (!isFinite(Number(value))) {
+        errors.push(`${label}: "${value}" is not a number`);
+      }
+      return String(value);
+
+    case 'date':
+    case 'datetime': {
+      // Same rule as writes; HubSpot search takes epoch milliseconds
+      const { timestamp, error } = parseDateValue(value, definition.type);
+      if (error) {
+        errors.push(`${label}: ${error}`);
+        return String(value);
+      }
+      return String(timestamp);
+    }
+
+    case 'bool': {
+      const normalized = String(value).toLowerCase();
+      if (normalized !== 'true' && normalized !== 'false') {
+        errors.push(`${label}: "${value}" must be true or false`);
+      }
+      return normalized;
+    }
+
+    case 'enumeration':
+      if (definition.options && !definition.options.some(option => option.value === String(value))) {
+        errors.push(`${label}: "${value}" is not one of ${definition.options.map(option => option.value).join(', ')}`);
+      }
+      return String(value);
+
+    default:
+      return String(value);
+  }
+}
+
+// Validate a filter and return a copy with values normalized for HubSpot
+function validateFilter(filter, propertyDefinitions, label, errors) {
+  const { propertyName } = filter;
+  const operator = String(filter.operator || '').toUpperCase();
+
+  if (!propertyName || !PROPERTY_NAME_PATTERN.test(propertyName)) {
+    errors.push(`${label}: invalid property name "${propertyName}"`);
+    return null;
+  }
+
+  if (!OPERATORS.includes(operator)) {
+    errors.push(`${label}: unsupported operator "${filter.operator}"`);
+    return null;
+  }
+
+  const definition = propertyDefinitions[propertyName];
+  const type = definition?.type;
+  const normalized = { propertyName, operator };
+  const where = `${label} (${propertyName} ${operator})`;
+
+  if (RANGE_OPERATORS.includes(operator) && (type === 'bool' || type === 'enumeration')) {
+    errors.push(`${where}: range operators are not supported on ${type} properties`);
+    return null;
+  }
+
+  if (TEXT_OPERATORS.includes(operator) && type && type !== 'string') {
+    errors.push(`${where}: text operators are only supported on string properties`);
+    return null;
+  }
+
+  if (PRESENCE_OPERATORS.includes(operator)) {
+    return normalized;
+  }
+
+  if (LIST_OPERATORS.includes(operator)) {
+    if (!Array.isArray(filter.values) || filter.values.length === 0) {
+      errors.push(`${where}: a non-empty list of values is required`);
+      return null;
+    }
+    normalized.values = filter.values.map(value => normalizeValue(value, definition, where, errors));
+    return normalized;
+  }
+
+  normalized.value = normalizeValue(filter.value, definition, where, errors);
+
+  if (operator === 'BETWEEN') {
+    normalized.highValue = normalizeValue(filter.highValue, definition, `${where} upper bound`, errors);
+  }
+
+  return normalized;
+}
+
+// Validate filter groups and sorts against property definitions (name -> { type, options })
+function validateSearch({ filterGroups = [], sorts = [] }, propertyDefinitions = {}) {
+  const errors = [];
+
+  if (!Array.isArray(filterGroups)) {
+    return { errors: ['filterGroups must be an array'] };
+  }
+
+  if (filterGroups.length > MAX_FILTER_GROUPS) {
+    errors.push(`At most ${MAX_FILTER_GROUPS} filter groups are allowed`);
+  }
+
+  let totalFilters = 0;
+  const normalizedGroups = filterGroups.map((group, groupIndex) => {
+    const filters = Array.isArray(group?.filters) ? group.filters : [];
+    totalFilters += filters.length;
+
+    if (filters.length === 0) {
+      errors.push(`Filter group ${groupIndex} has no filters`);
+    }
+    if (filters.length > MAX_FILTERS_PER_GROUP) {
+      errors.push(`Filter group ${groupIndex} has more than ${MAX_FILTERS_PER_GROUP} filters`);
+    }
+
+    return {
+      filters: filters
+        .map((filter, filterIndex) => validateFilter(filter, propertyDefinitions, `Filter ${groupIndex}.${filterIndex}`, errors))
+        .filter(Boolean)
+    };
+  });
+
+  const allowedFilters = MAX_TOTAL_FILTERS - Math.max(1, filterGroups.length);
+  if (totalFilters > allowedFilters) {
+    errors.push(`At most ${allowedFilters} filters are allowed in total across ${filterGroups.length} filter group(s)`);
+  }
+
+  if (!Array.isArray(sorts)) {
+    errors.push('sorts must be an array');
+  } else {
+    if (sorts.length > MAX_SORTS) {
+      errors.push(`At most ${MAX_SORTS} sort is allowed`);
+    }
+    sorts.forEach((sort, index) => {
+      if (!sort.propertyName || !PROPERTY_NAME_PATTERN.test(sort.propertyName)) {
+        errors.push(`Sort ${index}: invalid property name "${sort.propertyName}"`);
+      }
+      if (!['ASCENDING', 'DESCENDING'].includes(sort.direction)) {
+        errors.push(`Sort ${index}: direction must be ASCENDING or DESCENDING`);
+      }
+    });
+  }
+
+  return {
+    errors,
+    search: { filterGroups: normalizedGroups, sorts: Array.isArray(sorts) ? sorts : [] }
+  };
+}
+
+module.exports = {
+  OPERATORS,
+  parseFilterQuery,
+  parseSorts,
+  validateSearch
+};
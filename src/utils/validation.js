@@ -0,0 +1,199 @@
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// HubSpot rejects single-line and multi-line text values longer than this
+const MAX_STRING_LENGTH = 65536;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EPOCH_PATTERN = /^-?\d+$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Parse a date, ISO datetime or epoch-millisecond value. Returns a timestamp or NaN.
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value !== 'string') return NaN;
+
+  const text = value.trim();
+  if (EPOCH_PATTERN.test(text)) return Number(text);
+  if (DATE_ONLY_PATTERN.test(text)) return Date.parse(`${text}T00:00:00Z`);
+  // Reject loose formats such as "March 5" that Date.parse would guess at
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(text)) return NaN;
+  return Date.parse(text);
+}
+
+// Parse a date or datetime property value; writes and search filters share
+// this rule. Date properties are stored at midnight UTC, so a date with a time
+// of day is rejected rather than silently moved. Returns { timestamp } or { error }.
+function parseDateValue(value, type) {
+  const display = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+  const timestamp = parseTimestamp(value);
+
+  if (Number.isNaN(timestamp)) {
+    return { error: type === 'date' ? `${display} is not a valid date; use YYYY-MM-DD` : `${display} is not a valid datetime; use ISO 8601 or epoch milliseconds` };
+  }
+  if (type === 'date' && timestamp % MS_PER_DAY !== 0) {
+    return { error: `${display} must be a date at midnight UTC; use YYYY-MM-DD` };
+  }
+  return { timestamp };
+}
+
+// Whether a normalized value (as normalizePropertyValue returns it) equals the
+// value HubSpot holds, which reads back dates as YYYY-MM-DD and numbers as text
+function samePropertyValue(definition, value, current) {
+  if (isEmpty(current)) return isEmpty(value);
+
+  switch (definition?.type) {
+    case 'number':
+      return Number(value) === Number(current);
+    case 'date':
+    case 'datetime':
+      return parseTimestamp(value) === parseTimestamp(current);
+    default:
+      return String(value) === String(current);
+  }
+}
+
+// Check a value against a property definition and convert it to the form
+// HubSpot expects. Returns { value } or { error }.
+function normalizePropertyValue(definition, value) {
+  const type = definition?.type || 'string';
+  const display = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `${display} is not a valid number` };
+      }
+      return { value: number };
+    }
+
+    case 'date':
+    case 'datetime': {
+      const { timestamp, error } = parseDateValue(value, type);
+      if (error) return { error };
+      // Dates go to HubSpot as epoch milliseconds, datetimes as ISO 8601
+      return { value: type === 'date' ? String(timestamp) : new Date(timestamp).toISOString() };
+    }
+
+    case 'bool':
+    case 'boolean': {
+      const text = String(value).toLowerCase();
+      if (!['true', 'false'].includes(text)) {
+        return { error: `${display} is not a valid boolean; use true or false` };
+      }
+      return { value: text };
+    }
+
+    case 'enumeration': {
+      // Multiple checkboxes take an array or a semicolon separated list
+      const multiple = definition.fieldType === 'checkbox';
+      let values;
+      if (Array.isArray(value) && multiple) values = value.map(String);
+      else if (['string', 'number'].includes(typeof value)) values = multiple ? String(value).split(';') : [String(value)];
+      else return { error: `${display} is not a valid option` };
+
+      const options = (definition.options || []).map(option => option.value);
+      if (options.length > 0) {
+        const invalid = values.filter(option => !options.includes(option));
+        if (invalid.length > 0) {
+          return { error: `${invalid.map(option => `"${option}"`).join(', ')} is not one of: ${options.join(', ')}` };
+        }
+      }
+      return { value: values.join(';') };
+    }
+
+    default: {
+      if (!['string', 'number'].includes(typeof value)) {
+        return { error: `${display} must be a string` };
+      }
+      const text = String(value);
+      if (text.length > MAX_STRING_LENGTH) {
+        return { error: `must be at most ${MAX_STRING_LENGTH} characters` };
+      }
+      return { value: text };
+    }
+  }
+}
+
+// Validate contact data against the field mapping entries ([{ field, property,
+// required }]) and the property definitions (keyed by HubSpot property name).
+// Every invalid field is reported, not just the first. With partial, required
+// fields are not enforced (updates). Empty values pass through untouched so
+// updates can clear a property.
+// Returns { data, errors: [{ field, property, message }] }.
+function validateContact(contactData, fields, definitions = {}, { partial = false } = {}) {
+  const data = {};
+  const errors = [];
+  const input = contactData && typeof contactData === 'object' ? contactData : {};
+
+  if (!partial) {
+    fields.filter(entry => entry.required).forEach(({ field, property }) => {
+      if (isEmpty(input[field])) {
+        errors.push({ field, property, message: 'is required' });
+      }
+    });
+  }
+
+  fields.forEach(({ field, property }) => {
+    const value = input[field];
+    if (value === undefined) return;
+    if (isEmpty(value)) {
+      data[field] = value;
+      return;
+    }
+
+    const result = normalizePropertyValue(definitions[property], value);
+    if (result.error) {
+      errors.push({ field, property, message: result.error });
+    } else if (property === 'email' && !EMAIL_REGEX.test(result.value)) {
+      errors.push({ field, property, message: `"${result.value}" is not a valid email address` });
+    } else {
+      data[field] = result.value;
+    }
+  });
+
+  return { data, errors };
+}
+
+// Check a map of raw HubSpot properties (as sent for companies, deals and
+// other objects) against the definitions. Properties without a definition are
+// checked as text. Returns { data, errors } with errors as [{ property, message }].
+function validateProperties(properties, definitions = {}) {
+  const data = {};
+  const errors = [];
+
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return { data, errors: [{ property: null, message: 'properties must be an object' }] };
+  }
+
+  Object.entries(properties).forEach(([property, value]) => {
+    if (isEmpty(value)) {
+      data[property] = value;
+      return;
+    }
+
+    const result = normalizePropertyValue(definitions[property], value);
+    if (result.error) {
+      errors.push({ property, message: result.error });
+    } else {
+      data[property] = result.value;
+    }
+  });
+
+  return { data, errors };
+}
+
+// Readable messages for validateContact errors, e.g. for CSV error reports
+const formatValidationErrors = (errors) => errors.map(error => `${error.field}: ${error.message}`);
+
+module.exports = {
+  EMAIL_REGEX,
+  normalizePropertyValue,
+  parseDateValue,
+  samePropertyValue,
+  validateContact,
+  validateProperties,
+  formatValidationErrors
+};
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const schema = require('../src/config/contact-properties.json');
+
+const candidate = (overrides = {}) => ({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane.doe@example.com',
+  ...overrides
+});
+
+describe('contact associations', () => {
+  let server;
+  let request;
+  let mock;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addProperties(schema.properties);
+  });
+
+  it('reads domains and URLs as a domain and anything else as a name', () => {
+    // Loaded here rather than at the top so the config sees the mock's base URL
+    const { parseCompanyReference } = require('../src/services/companies');
+
+    assert.deepEqual(parseCompanyReference('Acme.com'), { domain: 'acme.com' });
+    assert.deepEqual(parseCompanyReference('https://www.acme.co.uk/careers'), { domain: 'acme.co.uk' });
+    assert.deepEqual(parseCompanyReference(' Acme Inc. '), { name: 'Acme Inc.' });
+    assert.equal(parseCompanyReference('  '), null);
+  });
+
+  const companiesOf = (contactId) => [...mock.state.associations.get(`contacts:${contactId}`)?.keys() || []];
+
+  describe('/api/contacts/:id/associations', () => {
+    it('associates, lists, checks and removes a company', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+      const company = mock.addObject('companies', { name: 'Acme' });
+      const path = `/api/contacts/${contact.id}/associations/companies`;
+
+      const put = await request('PUT', `${path}/${company.id}`);
+      const list = await request('GET', path);
+      const single = await request('GET', `${path}/${company.id}`);
+
+      assert.equal(put.status, 200);
+      assert.equal(list.body.data.total, 1);
+      assert.equal(list.body.data.associations[0].toObjectId, company.id);
+      assert.equal(single.body.data.types[0].typeId, 279);
+
+      const removed = await request('DELETE', `${path}/${company.id}`);
+      const missing = await request('GET', `${path}/${company.id}`);
+
+      assert.equal(removed.status, 200);
+      assert.equal(missing.status, 404);
+    });
+
+    it('returns 404 when the record does not exist', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+
+      const res = await request('PUT', `/api/contacts/${contact.id}/associations/deals/999`);
+
+      assert.equal(res.status, 404);
+    });
+
+    it('rejects unsupported object types', async () => {
+      const res = await request('GET', '/api/contacts/1/associations/widgets');
+
+      assert.equal(res.status, 400);
+      assert.equal(mock.state.requests.length, 0);
+    });
+  });
+
+  describe('?associateCompany=true', () => {
+    it('creates a company from the past company name on create', async () => {
+      const res = await request('POST', '/api/contacts?associateCompany=true', {
+        body: candidate({ candidatePastCompany: 'Acme Inc' })
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.company.action, 'created');
+      assert.equal(res.body.data.company.name, 'Acme Inc');
+      assert.deepEqual(companiesOf(res.body.data.contactId), [`companies:${res.body.data.company.companyId}`]);
+    });
+
+    it('reuses an existing company matched by domain on update', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+      const company = mock.addObject('companies', { name: 'Acme', domain: 'acme.com' });
+
+      const res = await request('PATCH', `/api/contacts/${contact.id}?associateCompany=true`, {
+        body: { candidatePastCompany: 'www.Acme.com' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.company, { companyId: company.id, name: 'Acme', domain: 'acme.com', action: 'found' });
+      assert.equal(mock.state.objects.get('companies').size, 1);
+    });
+
+    it('keeps the contact when the association fails', async () => {
+      mock.fail(400, { match: req => req.path.startsWith('/crm/v3/objects/companies') });
+
+      const res = await request('POST', '/api/contacts?associateCompany=true', {
+        body: candidate({ candidatePastCompany: 'Acme' })
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.company.success, false);
+      assert.equal(mock.state.contacts.size, 1);
+    });
+
+    it('does nothing without the option', async () => {
+      const res = await request('POST', '/api/contacts', { body: candidate({ candidatePastCompany: 'Acme' }) });
+
+      assert.equal(res.body.data.company, undefined);
+      assert.equal(mock.state.objects.size, 0);
+    });
+  });
+});
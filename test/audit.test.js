@@ -0,0 +1,156 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const dealsSchema = require('../src/config/object-properties/deals.json');
+
+// Callers with API keys, so entries name who made each change
+process.env.API_KEYS = 'ats:recruiter:recruiter-key-0123456789,ops:admin:admin-key-0123456789';
+
+const { startTestServer } = require('./helpers');
+
+const RECRUITER = { 'X-API-Key': 'recruiter-key-0123456789' };
+const ADMIN = { 'X-API-Key': 'admin-key-0123456789' };
+
+describe('audit log', () => {
+  let server;
+  let request;
+  let mock;
+  let audit;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+    audit = require('../src/services/audit').shared();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    fs.rmSync(process.env.AUDIT_LOG_PATH, { force: true });
+  });
+
+  const auditLog = async (query = '') => {
+    const res = await request('GET', `/api/audit${query}`, { headers: ADMIN });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  it('records who updated a contact with a field-level diff', async () => {
+    const contact = mock.addContact({ email: 'jane@example.com', firstname: 'Jane', lastname: 'Doe' });
+
+    const res = await request('PATCH', `/api/contacts/${contact.id}`, {
+      headers: RECRUITER,
+      body: { firstName: 'Janet', lastName: 'Doe' }
+    });
+    const { entries } = await auditLog(`?contactId=${contact.id}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].action, 'contact.update');
+    assert.deepEqual(entries[0].actor, { method: 'api-key', subject: 'ats', role: 'recruiter' });
+    assert.equal(entries[0].route, 'PATCH /api/contacts/:id');
+    assert.equal(entries[0].portal, 'default');
+    assert.ok(entries[0].requestId);
+    // Only the field whose value changed is listed
+    assert.deepEqual(entries[0].changes, [{ field: 'firstName', before: 'Jane', after: 'Janet' }]);
+  });
+
+  it('records creates, deletes and batch changes per contact', async () => {
+    const created = await request('POST', '/api/contacts', { headers: RECRUITER, body: { email: 'new@example.com', firstName: 'New', lastName: 'Hire' } });
+    await request('DELETE', `/api/contacts/${created.body.data.contactId}`, { headers: ADMIN });
+    const existing = mock.addContact({ email: 'old@example.com', firstname: 'Old' });
+    await request('POST', '/api/contacts/batch/update', {
+      headers: RECRUITER,
+      body: { contacts: [{ id: existing.id, firstName: 'Older' }] }
+    });
+
+    const { entries } = await auditLog();
+    const actions = entries.map(entry => `${entry.action} ${entry.objectId}`);
+
+    assert.deepEqual(actions, [
+      `contact.batch.update ${existing.id}`,
+      `contact.delete ${created.body.data.contactId}`,
+      `contact.create ${created.body.data.contactId}`
+    ]);
+    assert.ok(entries[2].changes.some(change => change.field === 'email' && change.before === null && change.after === 'new@example.com'));
+    assert.deepEqual(entries[0].changes, [{ field: 'firstName', before: 'Old', after: 'Older' }]);
+    assert.equal(entries[1].actor.subject, 'ops');
+  });
+
+  it('records one entry per contact an import created', async () => {
+    const csv = ['First Name,Last Name,Email', 'Ann,Lee,ann@example.com', 'Bob,,bob@example.com', 'Cat,Kim,cat@example.com'].join('\n');
+
+    const res = await request('POST', '/api/contacts/import', { headers: { ...RECRUITER, 'Content-Type': 'text/csv' }, raw: csv });
+    const ann = res.body.data.rows.find(row => row.row === 2);
+    const { entries } = await auditLog('?action=contact.import');
+    const forAnn = await auditLog(`?contactId=${ann.contactId}`);
+
+    assert.equal(entries.length, 2);
+    assert.equal(forAnn.entries.length, 1);
+    assert.equal(forAnn.entries[0].route, 'POST /api/contacts/import');
+    assert.deepEqual(forAnn.entries[0].details, { row: 2, action: 'created' });
+    assert.ok(forAnn.entries[0].changes.some(change => change.field === 'email' && change.after === 'ann@example.com'));
+  });
+
+  it('records changes to other objects and to properties', async () => {
+    mock.addProperties(dealsSchema.properties, 'deals');
+    const deal = mock.addObject('deals', { dealname: 'Engineer', job_openings: '1' });
+    mock.state.properties.set('candidate_name', { name: 'candidate_name', label: 'Old Label', description: 'Full name of the candidate', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+
+    await request('PATCH', `/api/objects/deals/${deal.id}`, { headers: RECRUITER, body: { properties: { job_openings: 2 } } });
+    await request('POST', '/api/properties/apply', { headers: ADMIN });
+
+    const deals = await auditLog('?objectType=deals');
+    const label = (await auditLog('?action=property.update')).entries.find(entry => entry.property === 'candidate_name');
+
+    assert.equal(deals.entries[0].action, 'deals.update');
+    assert.deepEqual(deals.entries[0].changes, [{ field: 'job_openings', before: '1', after: '2' }]);
+    assert.deepEqual(label.changes.find(change => change.field === 'label'), { field: 'label', before: 'Old Label', after: 'Candidate Name' });
+  });
+
+  it('filters by actor and time range', async () => {
+    const contact = mock.addContact({ email: 'jane@example.com' });
+    await request('PATCH', `/api/contacts/${contact.id}`, { headers: RECRUITER, body: { firstName: 'A' } });
+    const between = new Date().toISOString();
+    await request('PATCH', `/api/contacts/${contact.id}`, { headers: ADMIN, body: { firstName: 'B' } });
+
+    const byRecruiter = await auditLog('?actor=ats');
+    const later = await auditLog(`?from=${encodeURIComponent(between)}`);
+    const limited = await auditLog('?limit=1');
+    const badDate = await request('GET', '/api/audit?from=yesterday', { headers: ADMIN });
+
+    assert.deepEqual(byRecruiter.entries.map(entry => entry.changes[0].after), ['A']);
+    assert.deepEqual(later.entries.map(entry => entry.actor.subject), ['ops']);
+    assert.equal(limited.entries.length, 1);
+    assert.equal(limited.hasMore, true);
+    assert.equal(badDate.status, 400);
+  });
+
+  it('is only readable by admins', async () => {
+    const res = await request('GET', '/api/audit', { headers: RECRUITER });
+
+    assert.equal(res.status, 403);
+  });
+
+  it('writes to a pluggable store and never fails the request when the store does', async () => {
+    const original = audit.store;
+    const appended = [];
+    audit.useStore({ append: async (entry) => { appended.push(entry); }, async *entries() { yield* appended; } });
+
+    try {
+      const contact = mock.addContact({ email: 'jane@example.com' });
+      await request('DELETE', `/api/contacts/${contact.id}`, { headers: ADMIN });
+      assert.equal(appended.length, 1);
+      assert.equal((await auditLog()).total, 1);
+
+      audit.useStore({ append: async () => { throw new Error('disk full'); }, async *entries() {} });
+      const res = await request('DELETE', `/api/contacts/${mock.addContact({ email: 'b@example.com' }).id}`, { headers: ADMIN });
+      assert.equal(res.status, 200);
+    } finally {
+      audit.useStore(original);
+    }
+  });
+});
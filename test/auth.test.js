@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const KEY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const PUBLIC_KEY_PATH = path.join(KEY_DIR, 'jwt.pem');
+const JWT_SECRET = 'test-secret-that-is-at-least-32-characters';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+fs.writeFileSync(PUBLIC_KEY_PATH, publicKey.export({ type: 'spki', format: 'pem' }));
+
+// Auth settings are read when the config loads, so set them before the helpers start the app
+process.env.API_KEYS = 'dashboard:reader:reader-key-0123456789,ats:recruiter:recruiter-key-0123456789,ops:admin:admin-key-0123456789';
+process.env.JWT_SECRET = JWT_SECRET;
+process.env.JWT_PUBLIC_KEY_PATH = PUBLIC_KEY_PATH;
+process.env.JWT_AUDIENCE = 'hubspot-api';
+process.env.CORS_ORIGINS = 'https://app.example.com';
+
+const { startTestServer } = require('./helpers');
+
+// Sign a compact JWT with HS256 (the shared secret) or RS256 (the test private key)
+const signJwt = (claims, alg = 'HS256') => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = alg === 'HS256'
+    ? crypto.createHmac('sha256', JWT_SECRET).update(input).digest()
+    : crypto.sign('sha256', Buffer.from(input), privateKey);
+  return `${input}.${signature.toString('base64url')}`;
+};
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('authentication', () => {
+  let server;
+  let request;
+  let mock;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(KEY_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  const asKey = (key) => ({ headers: { 'X-API-Key': key } });
+  const asJwt = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  it('rejects requests without credentials but leaves /health open', async () => {
+    const api = await request('GET', '/api/owners');
+    const health = await request('GET', '/health');
+
+    assert.equal(api.status, 401);
+    assert.deepEqual(api.body, { success: false, error: 'Authentication required' });
+    assert.equal(api.headers.get('www-authenticate'), 'Bearer');
+    assert.equal(health.status, 200);
+  });
+
+  it('rejects an unknown API key', async () => {
+    const res = await request('GET', '/api/owners', asKey('not-a-key'));
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Invalid API key');
+  });
+
+  describe('roles', () => {
+    it('lets readers read but not write', async () => {
+      const read = await request('GET', '/api/owners', asKey('reader-key-0123456789'));
+      const write = await request('POST', '/api/objects/deals', { ...asKey('reader-key-0123456789'), body: { properties: { dealname: 'x' } } });
+
+      assert.equal(read.status, 200);
+      assert.equal(write.status, 403);
+      assert.deepEqual(write.body, { success: false, error: 'This action requires the recruiter role' });
+      assert.equal(mock.state.requests.filter(r => r.method === 'POST').length, 0);
+    });
+
+    it('keeps deletes and property management admin-only', async () => {
+      const recruiter = asKey('recruiter-key-0123456789');
+      const admin = asKey('admin-key-0123456789');
+
+      const recruiterDelete = await request('DELETE', '/api/contacts/1', recruiter);
+      const recruiterSetup = await request('POST', '/api/properties/setup', recruiter);
+      const adminSetup = await request('POST', '/api/properties/setup', admin);
+
+      assert.equal(recruiterDelete.status, 403);
+      assert.equal(recruiterSetup.status, 403);
+      assert.equal(adminSetup.status, 201);
+    });
+  });
+
+  describe('JWT', () => {
+    it('accepts HS256 and RS256 tokens and reads the role claim', async () => {
+      const hs = await request('POST', '/api/objects/deals', {
+        ...asJwt(signJwt({ sub: 'u1', role: 'recruiter', aud: 'hubspot-api', exp: inOneHour() })),
+        body: { properties: { dealname: 'Engineer' } }
+      });
+      const rs = await request('DELETE', `/api/objects/deals/${hs.body.data.id}`,
+        asJwt(signJwt({ sub: 'u2', role: ['reader', 'admin'], aud: ['hubspot-api'], exp: inOneHour() }, 'RS256')));
+
+      assert.equal(hs.status, 201);
+      assert.equal(rs.status, 200);
+    });
+
+    it('rejects expired, tampered, wrong-audience, unsigned and non-numeric time tokens', async () => {
+      const expired = signJwt({ role: 'admin', aud: 'hubspot-api', exp: Math.floor(Date.now() / 1000) - 3600 });
+      const valid = signJwt({ role: 'reader', aud: 'hubspot-api' });
+      const [header, , signature] = valid.split('.');
+      const tampered = `${header}.${Buffer.from(JSON.stringify({ role: 'admin', aud: 'hubspot-api' })).toString('base64url')}.${signature}`;
+      const wrongAudience = signJwt({ role: 'admin', aud: 'other' });
+      const unsigned = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from('{"role":"admin"}').toString('base64url')}.`;
+      const textExpiry = signJwt({ role: 'admin', aud: 'hubspot-api', exp: 'abc' });
+      const textNotBefore = signJwt({ role: 'admin', aud: 'hubspot-api', nbf: '0' });
+
+      const errors = [];
+      for (const token of [expired, tampered, wrongAudience, unsigned, textExpiry, textNotBefore]) {
+        const res = await request('GET', '/api/owners', asJwt(token));
+        assert.equal(res.status, 401);
+        errors.push(res.body.error);
+      }
+
+      assert.deepEqual(errors, ['Token expired', 'Invalid token signature', 'Invalid token audience', 'Unsupported token algorithm "none"', 'Invalid token exp claim', 'Invalid token nbf claim']);
+    });
+
+    it('forbids tokens without a known role', async () => {
+      const res = await request('GET', '/api/owners', asJwt(signJwt({ sub: 'u1', aud: 'hubspot-api' })));
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('CORS', () => {
+    it('only allows listed origins', async () => {
+      const allowed = await request('GET', '/health', { headers: { Origin: 'https://app.example.com' } });
+      const other = await request('GET', '/health', { headers: { Origin: 'https://evil.example.com' } });
+
+      assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com');
+      assert.equal(other.headers.get('access-control-allow-origin'), null);
+    });
+  });
+});
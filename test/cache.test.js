@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const schema = require('../src/config/contact-properties.json');
+
+describe('cache', () => {
+  let server;
+  let request;
+  let mock;
+  let CacheService;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+    // Loaded after the helpers so the config points at the mock
+    CacheService = require('../src/services/cache');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addProperties(schema.properties);
+  });
+
+  const hubspotCalls = (pathPrefix) => mock.state.requests.filter(r => r.method === 'GET' && r.path.startsWith(pathPrefix)).length;
+
+  describe('CacheService', () => {
+    it('evicts the least recently used entry and expires entries after their TTL', async () => {
+      const adapter = new CacheService.MemoryCacheAdapter({ maxEntries: 2 });
+
+      await adapter.set('a', 1, 60000);
+      await adapter.set('b', 2, 60000);
+      await adapter.get('a');
+      await adapter.set('c', 3, 60000);
+
+      assert.equal(await adapter.get('a'), 1);
+      assert.equal(await adapter.get('b'), undefined);
+
+      await adapter.set('d', 4, -1);
+      assert.equal(await adapter.get('d'), undefined);
+    });
+
+    it('reads through, counts hits and misses and does not cache empty results', async () => {
+      const cache = new CacheService(new CacheService.MemoryCacheAdapter());
+      let loads = 0;
+      const load = async () => ++loads;
+
+      await cache.remember('key', 60000, load);
+      await cache.remember('key', 60000, load);
+      await cache.remember('missing', 60000, async () => null);
+      await cache.remember('missing', 60000, async () => null);
+
+      assert.equal(loads, 1);
+      assert.deepEqual(
+        { hits: cache.stats().hits, misses: cache.stats().misses, hitRate: cache.stats().hitRate },
+        { hits: 1, misses: 3, hitRate: 0.25 }
+      );
+    });
+
+    it('treats a failing store as a miss', async () => {
+      const broken = { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } };
+      const cache = new CacheService(broken);
+
+      const value = await cache.remember('key', 60000, async () => 'loaded');
+
+      assert.equal(value, 'loaded');
+      assert.equal(cache.stats().errors, 2);
+    });
+
+    it('stores JSON in a Redis-like client', async () => {
+      const store = new Map();
+      const client = {
+        get: async (key) => (store.has(key) ? store.get(key) : null),
+        set: async (key, value) => store.set(key, value),
+        del: async (...keys) => keys.forEach(key => store.delete(key)),
+        keys: async () => [...store.keys()]
+      };
+      const adapter = new CacheService.RedisCacheAdapter(client);
+
+      await adapter.set('contacts:1', { id: '1' }, 1000);
+
+      assert.equal(store.get('hubspot-api:contacts:1'), '{"id":"1"}');
+      assert.deepEqual(await adapter.get('contacts:1'), { id: '1' });
+      await adapter.clear();
+      assert.equal(store.size, 0);
+    });
+  });
+
+  describe('contacts', () => {
+    it('serves repeated reads from the cache with Cache-Control and ETag', async () => {
+      const contact = mock.addObject('contacts', { email: 'jane@example.com', firstname: 'Jane' });
+
+      const first = await request('GET', `/api/contacts/${contact.id}`);
+      // fetch sends "Cache-Control: no-cache" with conditional requests unless told otherwise
+      const second = await request('GET', `/api/contacts/${contact.id}`, {
+        headers: { 'If-None-Match': first.headers.get('etag'), 'Cache-Control': 'max-age=0' }
+      });
+
+      assert.equal(first.status, 200);
+      assert.match(first.headers.get('cache-control'), /^private, max-age=\d+$/);
+      assert.equal(second.status, 304);
+      assert.equal(hubspotCalls('/crm/v3/objects/contacts/'), 1);
+    });
+
+    it('invalidates a contact after our own update', async () => {
+      const contact = mock.addObject('contacts', { email: 'jane@example.com', firstname: 'Jane' });
+
+      await request('GET', `/api/contacts/${contact.id}`);
+      await request('PATCH', `/api/contacts/${contact.id}`, { body: { firstName: 'Janet' } });
+      const res = await request('GET', `/api/contacts/${contact.id}`);
+
+      assert.equal(res.body.data.properties.firstName, 'Janet');
+    });
+
+    it('invalidates a contact on a webhook event', async () => {
+      const contact = mock.addObject('contacts', { email: 'jane@example.com', firstname: 'Jane' });
+      const WebhookService = require('../src/services/webhooks');
+
+      await request('GET', `/api/contacts/${contact.id}`);
+      mock.state.contacts.get(contact.id).properties.firstname = 'Janet';
+      await WebhookService.shared().dispatch([
+        { eventId: 1, subscriptionType: 'contact.propertyChange', objectId: Number(contact.id), propertyName: 'firstname' }
+      ]);
+      const res = await request('GET', `/api/contacts/${contact.id}`);
+
+      assert.equal(res.body.data.properties.firstName, 'Janet');
+    });
+
+    it('does not cache missing contacts', async () => {
+      await request('GET', '/api/contacts/404');
+      await request('GET', '/api/contacts/404');
+
+      assert.equal(hubspotCalls('/crm/v3/objects/contacts/'), 2);
+    });
+  });
+
+  describe('properties', () => {
+    it('checks every schema property with one cached list request', async () => {
+      await request('GET', '/api/properties');
+      const res = await request('GET', '/api/properties');
+
+      assert.equal(res.body.data.summary.existing, schema.properties.length);
+      assert.equal(hubspotCalls('/crm/v3/properties/contacts'), 1);
+    });
+
+    it('invalidates definitions when a property is created', async () => {
+      await request('GET', '/api/properties/candidate_notice_period');
+      await request('POST', '/api/properties', { body: { name: 'candidate_notice_period', label: 'Notice Period', type: 'string' } });
+      const res = await request('GET', '/api/properties/candidate_notice_period');
+
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('GET /api/cache', () => {
+    it('reports hit and miss statistics', async () => {
+      const contact = mock.addObject('contacts', { email: 'jane@example.com' });
+      await request('GET', `/api/contacts/${contact.id}`);
+      await request('GET', `/api/contacts/${contact.id}`);
+
+      const res = await request('GET', '/api/cache');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.adapter, 'memory');
+      assert.equal(res.body.data.hits, 1);
+      assert.equal(res.body.data.misses, 1);
+    });
+  });
+});
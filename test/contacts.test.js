@@ -0,0 +1,532 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the config loads; low enough for the paging tests to reach
+process.env.SEARCH_ALL_MAX_RESULTS = '20';
+
+const { startTestServer } = require('./helpers');
+
+const candidate = (overrides = {}) => ({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane.doe@example.com',
+  phone: '+1234567890',
+  candidateExperience: 5,
+  candidateDateOfJoining: '2024-03-15',
+  candidateName: 'Jane Doe',
+  candidatePastCompany: 'Acme',
+  ...overrides
+});
+
+describe('contacts routes', () => {
+  let server;
+  let request;
+  let mock;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    for (const name of ['candidate_experience', 'candidate_date_of_joining', 'candidate_name', 'candidate_past_company']) {
+      mock.state.properties.set(name, {
+        name,
+        label: name,
+        type: name === 'candidate_experience' ? 'number' : name === 'candidate_date_of_joining' ? 'date' : 'string',
+        fieldType: 'text',
+        groupName: 'contactinformation'
+      });
+    }
+  });
+
+  describe('POST /api/contacts', () => {
+    it('creates a contact with custom properties', async () => {
+      const res = await request('POST', '/api/contacts', { body: candidate() });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.data.properties.candidateExperience, '5');
+      assert.equal(mock.state.contacts.size, 1);
+    });
+
+    it('rejects missing required fields', async () => {
+      const res = await request('POST', '/api/contacts', { body: { firstName: 'Jane' } });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.success, false);
+    });
+
+    it('rejects an invalid email', async () => {
+      const res = await request('POST', '/api/contacts', { body: candidate({ email: 'not-an-email' }) });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Invalid contact data');
+      assert.deepEqual(res.body.details.map(d => d.field), ['email']);
+    });
+
+    it('lists every field that does not match its property type', async () => {
+      const res = await request('POST', '/api/contacts', {
+        body: candidate({ lastName: '', candidateExperience: 'lots', candidateDateOfJoining: 'next spring' })
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.details.map(d => d.property), ['lastname', 'candidate_experience', 'candidate_date_of_joining']);
+      assert.equal(mock.state.requests.length, 0);
+    });
+
+    it('sends dates to HubSpot as midnight UTC', async () => {
+      const res = await request('POST', '/api/contacts', { body: candidate({ candidateExperience: '4.5' }) });
+
+      assert.equal(res.status, 201);
+      const sent = mock.state.requests.find(r => r.method === 'POST').body.properties;
+      assert.equal(sent.candidate_date_of_joining, String(Date.UTC(2024, 2, 15)));
+      assert.equal(sent.candidate_experience, 4.5);
+      assert.equal(res.body.data.properties.candidateDateOfJoining, '2024-03-15');
+    });
+
+    it('returns 409 when the contact already exists', async () => {
+      mock.addContact({ email: 'jane.doe@example.com' });
+
+      const res = await request('POST', '/api/contacts', { body: candidate() });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error, 'Contact already exists');
+    });
+
+    it('updates only changed fields with upsert=true', async () => {
+      const existing = mock.addContact({ email: 'jane.doe@example.com', firstname: 'Jane', lastname: 'Doe', candidate_experience: '3' });
+
+      const res = await request('POST', '/api/contacts?upsert=true', { body: { firstName: 'Jane', lastName: 'Doe', email: 'jane.doe@example.com', candidateExperience: 7 } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.action, 'updated');
+      assert.deepEqual(res.body.data.updatedProperties, ['candidateExperience']);
+      assert.equal(mock.state.contacts.get(existing.id).properties.candidate_experience, '7');
+    });
+
+    it('retries when HubSpot rate limits the request', async () => {
+      mock.fail(429, { headers: { 'Retry-After': '0' } });
+
+      const res = await request('POST', '/api/contacts', { body: candidate() });
+
+      assert.equal(res.status, 201);
+      assert.equal(mock.state.contacts.size, 1);
+    });
+  });
+
+  describe('PUT /api/contacts/by-email/:email', () => {
+    it('creates, then reports unchanged on an identical re-send', async () => {
+      const body = { firstName: 'Jane', lastName: 'Doe', candidateExperience: 5, candidateDateOfJoining: '2024-03-01' };
+
+      const first = await request('PUT', '/api/contacts/by-email/jane%40example.com', { body });
+      const second = await request('PUT', '/api/contacts/by-email/jane%40example.com', { body });
+      const recased = await request('PUT', '/api/contacts/by-email/Jane%40Example.com', { body });
+
+      assert.equal(first.status, 201);
+      assert.equal(first.body.data.action, 'created');
+      assert.equal(second.status, 200);
+      assert.equal(second.body.data.action, 'unchanged');
+      assert.deepEqual(second.body.data.updatedProperties, []);
+      assert.equal(recased.body.data.action, 'unchanged');
+      assert.equal(mock.state.contacts.size, 1);
+      assert.equal(mock.state.requests.filter(r => r.method === 'PATCH').length, 0);
+    });
+
+    it('answers 409 when a create conflict leaves no contact to update', async () => {
+      mock.fail(409, { match: req => req.method === 'POST' && req.path === '/crm/v3/objects/contacts' });
+
+      const res = await request('PUT', '/api/contacts/by-email/jane%40example.com', { body: { firstName: 'Jane', lastName: 'Doe' } });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.success, false);
+    });
+  });
+
+  describe('GET /api/contacts/:id', () => {
+    it('returns the contact', async () => {
+      const contact = mock.addContact({ email: 'a@example.com', candidate_name: 'A' });
+
+      const res = await request('GET', `/api/contacts/${contact.id}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.contactId, contact.id);
+      assert.equal(res.body.data.properties.candidateName, 'A');
+    });
+
+    it('returns 404 for an unknown contact', async () => {
+      const res = await request('GET', '/api/contacts/999');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, 'Contact not found');
+    });
+  });
+
+  describe('PATCH /api/contacts/:id', () => {
+    it('updates the given fields', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+
+      const res = await request('PATCH', `/api/contacts/${contact.id}`, { body: { candidatePastCompany: 'Globex' } });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.updatedProperties, ['candidatePastCompany']);
+      assert.equal(mock.state.contacts.get(contact.id).properties.candidate_past_company, 'Globex');
+    });
+
+    it('rejects values of the wrong type', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+
+      const res = await request('PATCH', `/api/contacts/${contact.id}`, { body: { candidateDateOfJoining: '2024-03-15T10:30:00Z' } });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.details[0].field, 'candidateDateOfJoining');
+      assert.match(res.body.details[0].message, /midnight UTC/);
+    });
+
+    it('rejects an empty update', async () => {
+      const res = await request('PATCH', '/api/contacts/1', { body: {} });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /api/contacts/:id/history', () => {
+    it('merges the value changes of the requested properties into one timeline, newest first', async () => {
+      const contact = mock.addContact({ email: 'a@example.com', candidate_date_of_joining: '2024-03-15' });
+      mock.state.contacts.get(contact.id).history.hubspot_owner_id = [
+        { value: '2', timestamp: '2023-02-01T00:00:00.000Z', sourceType: 'CRM_UI', sourceId: 'userId:7', updatedByUserId: 7 },
+        { value: '1', timestamp: '2023-01-01T00:00:00.000Z', sourceType: 'IMPORT', sourceId: 'import-1' }
+      ];
+      await request('PATCH', `/api/contacts/${contact.id}`, { body: { candidateDateOfJoining: '2024-04-01' } });
+
+      const res = await request('GET', `/api/contacts/${contact.id}/history?properties=candidateDateOfJoining,hubspot_owner_id`);
+      const timeline = res.body.data.history.map(change => [change.field, change.value, change.previousValue]);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(timeline, [
+        ['candidateDateOfJoining', '2024-04-01', '2024-03-15'],
+        ['candidateDateOfJoining', '2024-03-15', null],
+        ['ownerId', '2', '1'],
+        ['ownerId', '1', null]
+      ]);
+      assert.equal(res.body.data.history[2].sourceType, 'CRM_UI');
+      assert.equal(res.body.data.history[2].updatedByUserId, 7);
+      assert.equal(res.body.data.history[0].property, 'candidate_date_of_joining');
+    });
+
+    it('returns 404 for an unknown contact', async () => {
+      const res = await request('GET', '/api/contacts/999/history');
+
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /api/contacts', () => {
+    beforeEach(() => {
+      for (let i = 1; i <= 25; i++) {
+        mock.addContact({ email: `c${i}@example.com`, firstname: `C${i}`, candidate_experience: String(i % 10) });
+      }
+    });
+
+    it('pages through results with cursors', async () => {
+      const seen = [];
+      let cursor = null;
+
+      do {
+        const res = await request('GET', `/api/contacts?limit=10${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.equal(res.status, 200);
+        seen.push(...res.body.data.contacts.map(c => c.contactId));
+        cursor = res.body.data.nextCursor;
+      } while (cursor);
+
+      assert.equal(seen.length, 25);
+      assert.equal(new Set(seen).size, 25);
+    });
+
+    it('returns every match with all=true, up to the cap', async () => {
+      const capped = await request('GET', '/api/contacts?all=true');
+      const rest = await request('GET', `/api/contacts?limit=200&cursor=${capped.body.data.nextCursor}`);
+      const small = await request('GET', '/api/contacts?all=true&candidateExperience=3');
+
+      assert.equal(capped.status, 200);
+      assert.equal(capped.body.data.total, 20);
+      assert.equal(capped.body.data.truncated, true);
+      assert.equal(rest.body.data.contacts.length, 5);
+      assert.equal(small.body.data.total, 3);
+      assert.equal(small.body.data.truncated, false);
+      assert.equal(small.body.data.nextCursor, null);
+    });
+
+    it('answers 400 for a limit outside 1 to 200', async () => {
+      for (const limit of ['0', '201', 'ten', '2.5']) {
+        const res = await request('GET', `/api/contacts?limit=${limit}`);
+        assert.equal(res.status, 400, `limit=${limit}`);
+        assert.match(res.body.error, /between 1 and 200/);
+      }
+
+      const search = await request('POST', '/api/contacts/search', { body: { limit: 500 } });
+      assert.equal(search.status, 400);
+      assert.equal(mock.state.requests.length, 0);
+    });
+
+    it('filters with simple query params', async () => {
+      const res = await request('GET', '/api/contacts?candidateExperience=3');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.total, 3);
+    });
+
+    it('filters with a compact expression and sorts', async () => {
+      const res = await request('GET', `/api/contacts?q=${encodeURIComponent('candidate_experience>=8 OR email=c1@example.com')}&sort=-candidate_experience&limit=100`);
+
+      assert.equal(res.status, 200);
+      const experience = res.body.data.contacts.map(c => Number(c.properties.candidateExperience));
+      assert.equal(experience.length, 5);
+      assert.deepEqual(experience, [...experience].sort((a, b) => b - a));
+    });
+
+    it('accepts API field names in filters and sorts', async () => {
+      const res = await request('GET', `/api/contacts?q=${encodeURIComponent('candidateExperience>=8')}&sort=candidateExperience&limit=100`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.filterGroups[0].filters[0].propertyName, 'candidate_experience');
+      assert.deepEqual(res.body.data.contacts.map(c => c.properties.candidateExperience), ['8', '8', '9', '9']);
+    });
+
+    it('rejects invalid filter values before calling HubSpot', async () => {
+      const before = mock.state.requests.length;
+
+      const res = await request('GET', `/api/contacts?q=${encodeURIComponent('candidate_experience>=lots')}`);
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Invalid search query');
+      assert.equal(mock.state.requests.length, before);
+    });
+
+    it('rejects a malformed cursor', async () => {
+      const res = await request('GET', '/api/contacts?cursor=garbage');
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /api/contacts/search', () => {
+    it('accepts HubSpot-style filter groups', async () => {
+      mock.addContact({ email: 'old@example.com', candidate_date_of_joining: '2023-06-01' });
+      mock.addContact({ email: 'new@example.com', candidate_date_of_joining: '2024-06-01' });
+
+      const res = await request('POST', '/api/contacts/search', {
+        body: {
+          filterGroups: [{ filters: [{ propertyName: 'candidate_date_of_joining', operator: 'BETWEEN', value: '2024-01-01', highValue: '2024-12-31' }] }]
+        }
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.contacts.map(c => c.properties.email), ['new@example.com']);
+    });
+
+    it('keeps room in the filter total for the paging filter added to every group', async () => {
+      const group = (size) => ({
+        filters: Array.from({ length: size }, (_, i) => ({ propertyName: 'candidate_experience', operator: 'GTE', value: String(i) }))
+      });
+
+      // 18 filters in 4 groups plus a paging filter in each would send 22, over HubSpot's 18
+      const tooMany = await request('POST', '/api/contacts/search', { body: { filterGroups: [group(5), group(5), group(4), group(4)] } });
+      const fits = await request('POST', '/api/contacts/search', { body: { filterGroups: [group(4), group(4), group(3), group(3)] } });
+
+      assert.equal(tooMany.status, 400);
+      assert.match(tooMany.body.details.join(' '), /At most 14 filters are allowed in total across 4 filter group/);
+      assert.equal(fits.status, 200);
+    });
+  });
+
+  describe('DELETE /api/contacts/:id', () => {
+    it('deletes the contact', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+
+      const res = await request('DELETE', `/api/contacts/${contact.id}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(mock.state.contacts.size, 0);
+    });
+  });
+
+  describe('batch routes', () => {
+    it('creates in chunks of 100 and reports failed rows by index', async () => {
+      mock.addContact({ email: 'taken@example.com' });
+      const contacts = Array.from({ length: 150 }, (_, i) => candidate({ email: `b${i}@example.com` }));
+      contacts[3] = { firstName: 'Missing' };
+      contacts[60] = candidate({ email: 'taken@example.com' });
+      contacts[120] = candidate({ email: 'b120@example', candidateExperience: 'lots' });
+
+      const res = await request('POST', '/api/contacts/batch', { body: { contacts } });
+
+      assert.equal(res.status, 207);
+      assert.equal(res.body.data.summary.succeeded, 147);
+      assert.deepEqual(res.body.data.results.filter(r => !r.success).map(r => r.index), [3, 60, 120]);
+      assert.deepEqual(res.body.data.results[120].details.map(d => d.field), ['email', 'candidateExperience']);
+      assert.equal(res.body.data.results[60].status, 409);
+      assert.equal(mock.state.contacts.size, 148);
+      assert.ok(mock.state.requests.filter(r => r.path.endsWith('/batch/create')).every(r => r.body.inputs.length <= 100));
+    });
+
+    it('fails a whole chunk rejected for its credentials without splitting it', async () => {
+      mock.fail(403, { match: req => req.path.endsWith('/batch/create') });
+      const contacts = Array.from({ length: 4 }, (_, i) => candidate({ email: `b${i}@example.com` }));
+
+      const res = await request('POST', '/api/contacts/batch', { body: { contacts } });
+
+      assert.deepEqual(res.body.data.results.map(r => r.status), [403, 403, 403, 403]);
+      assert.equal(res.body.data.summary.failed, 4);
+      assert.equal(mock.state.requests.filter(r => r.path.endsWith('/batch/create')).length, 1);
+    });
+
+    it('reads contacts and reports missing ids', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+
+      const res = await request('POST', '/api/contacts/batch/read', { body: { ids: [contact.id, '999'] } });
+
+      assert.equal(res.status, 207);
+      assert.equal(res.body.data.results[0].contactId, contact.id);
+      assert.equal(res.body.data.results[1].success, false);
+      assert.equal(res.body.data.results[1].status, 404);
+    });
+
+    it('updates contacts', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+
+      const res = await request('POST', '/api/contacts/batch/update', { body: { contacts: [{ id: contact.id, candidateName: 'Updated' }] } });
+
+      assert.equal(res.status, 200);
+      assert.equal(mock.state.contacts.get(contact.id).properties.candidate_name, 'Updated');
+    });
+
+    it('upserts contacts by email', async () => {
+      mock.addContact({ email: 'b0@example.com', firstname: 'Old' });
+
+      const res = await request('POST', '/api/contacts/batch/upsert', {
+        body: { contacts: [candidate({ email: 'b0@example.com' }), candidate({ email: 'b1@example.com' })] }
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.results.map(r => r.action), ['updated', 'created']);
+      assert.equal(mock.state.contacts.size, 2);
+    });
+
+    it('archives contacts', async () => {
+      const first = mock.addContact({ email: 'a@example.com' });
+      const second = mock.addContact({ email: 'b@example.com' });
+
+      const res = await request('POST', '/api/contacts/batch/archive', { body: { ids: [first.id, second.id] } });
+
+      assert.equal(res.status, 200);
+      assert.equal(mock.state.contacts.size, 0);
+    });
+
+    it('requires a non-empty array', async () => {
+      const res = await request('POST', '/api/contacts/batch', { body: {} });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /api/contacts/import', () => {
+    const csv = [
+      'First Name,Last Name,E-mail,Experience',
+      'Ann,Lee,ann@example.com,4',
+      'Bob,,bob@example.com,2',
+      'Cat,Kim,cat@example.com,9'
+    ].join('\n');
+    const mapping = encodeURIComponent(JSON.stringify({ 'E-mail': 'email', Experience: 'candidateExperience' }));
+
+    it('reports row-by-row validation on a dry run without calling HubSpot', async () => {
+      const res = await request('POST', `/api/contacts/import?dryRun=true&mapping=${mapping}`, {
+        raw: csv,
+        headers: { 'Content-Type': 'text/csv' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.summary, { total: 3, valid: 2, invalid: 1, created: 0, updated: 0, failed: 0 });
+      assert.equal(res.body.data.rows[1].row, 3);
+      assert.equal(mock.state.requests.length, 0);
+    });
+
+    it('imports valid rows from a multipart upload and returns an error CSV', async () => {
+      const form = new FormData();
+      form.append('file', new Blob([csv]), 'candidates.csv');
+      form.append('mapping', JSON.stringify({ 'E-mail': 'email', Experience: 'candidateExperience' }));
+
+      const res = await request('POST', '/api/contacts/import', { raw: form });
+
+      assert.equal(res.status, 207);
+      assert.equal(res.body.data.summary.created, 2);
+      assert.equal(mock.state.contacts.size, 2);
+      assert.match(res.body.data.errorCsv, /^row,First Name,Last Name,E-mail,Experience,error\r\n3,Bob,,bob@example.com,2,/);
+    });
+
+    it('keeps uploaded row and error columns in the error CSV', async () => {
+      // A fixed-up error CSV sent back in, still carrying its row and error columns
+      const resent = ['row,First Name,Last Name,Email,error', '3,Bob,,bob@example.com,lastName is required'].join('\n');
+
+      const res = await request('POST', '/api/contacts/import', { headers: { 'Content-Type': 'text/csv' }, raw: resent });
+
+      assert.match(res.body.data.errorCsv, /^_row,row,First Name,Last Name,Email,error,_error\r\n2,3,Bob,,bob@example.com,lastName is required,/);
+    });
+  });
+
+  describe('GET /api/contacts/export', () => {
+    beforeEach(() => {
+      for (let i = 1; i <= 120; i++) {
+        mock.addContact({ email: `e${i}@example.com`, candidate_past_company: i === 1 ? 'Acme, Inc' : 'Globex' });
+      }
+    });
+
+    it('streams every contact as CSV', async () => {
+      const res = await request('GET', '/api/contacts/export?properties=email,candidate_past_company');
+      const lines = res.text.trim().split('\r\n');
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/csv/);
+      assert.equal(lines[0], 'id,email,candidate_past_company,createdAt,updatedAt');
+      assert.equal(lines.length, 121);
+      assert.match(lines[1], /^1,e1@example.com,"Acme, Inc",/);
+    });
+
+    it('neutralizes values that spreadsheets would run as formulas', async () => {
+      mock.reset();
+      mock.addContact({ email: 'e1@example.com', candidate_past_company: '=HYPERLINK("http://evil.example","x")' });
+      mock.addContact({ email: 'e2@example.com', candidate_past_company: '@SUM(A1)' });
+      mock.addContact({ email: 'e3@example.com', candidate_past_company: '-1+2', candidate_experience: '-5' });
+
+      const res = await request('GET', '/api/contacts/export?properties=email,candidate_past_company,candidate_experience');
+      const lines = res.text.trim().split('\r\n');
+
+      assert.match(lines[1], /,"'=HYPERLINK\(""http:\/\/evil.example"",""x""\)",/);
+      assert.match(lines[2], /,"'@SUM\(A1\)",/);
+      // Negative numbers stay numbers; only formulas are neutralized
+      assert.match(lines[3], /,"'-1\+2",-5,/);
+    });
+
+    it('names the default columns after API fields', async () => {
+      const res = await request('GET', '/api/contacts/export?candidatePastCompany=Globex');
+      const lines = res.text.trim().split('\r\n');
+
+      assert.equal(lines[0], 'id,firstName,lastName,email,phone,ownerId,candidateExperience,candidateDateOfJoining,candidateName,candidatePastCompany,createdAt,updatedAt');
+      assert.equal(lines.length, 120);
+    });
+
+    it('streams NDJSON with the same filters as search', async () => {
+      const res = await request('GET', `/api/contacts/export?format=ndjson&q=${encodeURIComponent('candidate_past_company="Acme, Inc"')}`);
+      const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+
+      assert.equal(res.status, 200);
+      assert.equal(lines.length, 1);
+      assert.equal(lines[0].properties.email, 'e1@example.com');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('duplicate contacts', () => {
+  let server;
+  let request;
+  let mock;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    mock.state.properties.set('candidate_name', { name: 'candidate_name', label: 'Candidate Name', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+  });
+
+  describe('GET /api/contacts/duplicates', () => {
+    it('scores pairs by normalized email, phone and similar names, best first', async () => {
+      const jane = mock.addContact({ email: 'jane.doe@gmail.com', firstname: 'Jane', lastname: 'Doe', phone: '+1 (555) 010-0000' });
+      const janePlus = mock.addContact({ email: 'janedoe+jobs@gmail.com', firstname: 'Jane', lastname: 'Doe' });
+      const janeByPhone = mock.addContact({ email: 'jd@work.example.com', firstname: 'Janet', lastname: 'Doe', phone: '555.010.0000' });
+      const jose = mock.addContact({ email: 'jose@example.com', firstname: 'José', lastname: 'Álvarez' });
+      const joseTypo = mock.addContact({ email: 'j.alvarez@example.org', candidate_name: 'Jose Alvarez' });
+      const john = mock.addContact({ email: 'john@example.com', firstname: 'John', lastname: 'Smith', phone: '555-999-1234' });
+
+      const res = await request('GET', '/api/contacts/duplicates');
+      const pairs = res.body.data.duplicates.map(duplicate => duplicate.contacts.map(contact => contact.contactId).join('-'));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.scanned, 6);
+      assert.deepEqual(pairs.slice(0, 2).sort(), [`${jane.id}-${janePlus.id}`, `${jane.id}-${janeByPhone.id}`].sort());
+      assert.ok(pairs.includes(`${jose.id}-${joseTypo.id}`));
+      assert.ok(!pairs.some(pair => pair.split('-').includes(john.id)));
+
+      const [best] = res.body.data.duplicates;
+      assert.ok(best.score > 0.9);
+      assert.deepEqual(res.body.data.duplicates.map(d => d.score), [...res.body.data.duplicates.map(d => d.score)].sort((a, b) => b - a));
+      const byEmail = res.body.data.duplicates.find(d => d.reasons.some(reason => reason.signal === 'email'));
+      assert.equal(byEmail.reasons[0].value, 'janedoe@gmail.com');
+    });
+
+    it('leaves out pairs below minScore and rejects bad parameters', async () => {
+      mock.addContact({ email: 'a@example.com', firstname: 'Jane', lastname: 'Doe' });
+      mock.addContact({ email: 'b@example.com', firstname: 'Jane', lastname: 'Doe' });
+
+      const loose = await request('GET', '/api/contacts/duplicates');
+      const strict = await request('GET', '/api/contacts/duplicates?minScore=0.8');
+      const bad = await request('GET', '/api/contacts/duplicates?minScore=2');
+
+      // A matching name alone is a weak signal
+      assert.equal(loose.body.data.total, 1);
+      assert.equal(strict.body.data.total, 0);
+      assert.equal(bad.status, 400);
+    });
+  });
+
+  describe('POST /api/contacts/merge', () => {
+    // Pretend a property last changed at the given time
+    const changedAt = (record, property, timestamp) => {
+      record.history[property][0].timestamp = timestamp;
+    };
+
+    it('previews the surviving values without merging on dryRun', async () => {
+      const primary = mock.addContact({ email: 'jane@example.com', firstname: 'Jane', lastname: 'Doe' });
+      const other = mock.addContact({ email: 'jane.doe@example.org', firstname: 'Janet', lastname: 'Doe', phone: '5550100000' });
+      changedAt(primary, 'firstname', '2024-02-01T00:00:00.000Z');
+      changedAt(other, 'firstname', '2024-01-01T00:00:00.000Z');
+
+      const res = await request('POST', '/api/contacts/merge', {
+        body: { primaryContactId: primary.id, contactIdToMerge: other.id, dryRun: true }
+      });
+      const survivor = (field) => res.body.data.preview.properties.find(property => property.field === field);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual([survivor('firstName').value, survivor('firstName').source], ['Jane', 'primary']);
+      assert.deepEqual([survivor('phone').value, survivor('phone').source], ['5550100000', 'merged']);
+      assert.deepEqual(res.body.data.preview.additionalEmails, ['jane.doe@example.org']);
+      assert.equal(res.body.data.preview.approximate, false);
+      assert.equal(mock.state.contacts.size, 2);
+    });
+
+    it('keeps the merged contact\'s value when it changed more recently', async () => {
+      const primary = mock.addContact({ email: 'jane@example.com', firstname: 'Jane', lastname: 'Doe' });
+      const other = mock.addContact({ email: 'jane.doe@example.org', firstname: 'Janet', lastname: 'Doe' });
+      changedAt(primary, 'firstname', '2024-01-01T00:00:00.000Z');
+      changedAt(other, 'firstname', '2024-02-01T00:00:00.000Z');
+
+      const preview = await request('POST', '/api/contacts/merge', { body: { primaryContactId: primary.id, contactIdToMerge: other.id, dryRun: true } });
+      const survivor = preview.body.data.preview.properties.find(property => property.field === 'firstName');
+      const res = await request('POST', '/api/contacts/merge', { body: { primaryContactId: primary.id, contactIdToMerge: other.id } });
+
+      assert.deepEqual([survivor.value, survivor.source], ['Janet', 'merged']);
+      assert.equal(res.body.data.contact.properties.firstName, 'Janet');
+      assert.equal(res.body.data.contact.properties.email, 'jane@example.com');
+    });
+
+    it('marks the preview approximate when HubSpot returns no change times', async () => {
+      const primary = mock.addContact({ email: 'jane@example.com', firstname: 'Jane' });
+      const other = mock.addContact({ email: 'jane.doe@example.org', firstname: 'Janet' });
+      other.history = {};
+
+      const res = await request('POST', '/api/contacts/merge', { body: { primaryContactId: primary.id, contactIdToMerge: other.id, dryRun: true } });
+      const survivor = res.body.data.preview.properties.find(property => property.field === 'firstName');
+
+      assert.deepEqual([survivor.value, survivor.source, survivor.approximate], ['Jane', 'primary', true]);
+      assert.equal(res.body.data.preview.approximate, true);
+    });
+
+    it('merges through HubSpot and returns the merged contact', async () => {
+      const primary = mock.addContact({ email: 'jane@example.com', firstname: 'Jane', lastname: 'Doe' });
+      const other = mock.addContact({ email: 'jane.doe@example.org', firstname: 'Janet', phone: '5550100000' });
+
+      const res = await request('POST', '/api/contacts/merge', { body: { primaryContactId: primary.id, contactIdToMerge: other.id } });
+      const mergeCall = mock.state.requests.find(call => call.path === '/crm/v3/objects/contacts/merge');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(mergeCall.body, { primaryObjectId: primary.id, objectIdToMerge: other.id });
+      assert.equal(res.body.data.contactId, primary.id);
+      assert.equal(res.body.data.contact.properties.phone, '5550100000');
+      assert.equal(mock.state.contacts.has(other.id), false);
+    });
+
+    it('rejects merging a contact into itself and answers 404 for unknown contacts', async () => {
+      const contact = mock.addContact({ email: 'jane@example.com' });
+
+      const self = await request('POST', '/api/contacts/merge', { body: { primaryContactId: contact.id, contactIdToMerge: contact.id } });
+      const unknown = await request('POST', '/api/contacts/merge', { body: { primaryContactId: contact.id, contactIdToMerge: '999' } });
+
+      assert.equal(self.status, 400);
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.contactId, '999');
+    });
+  });
+});
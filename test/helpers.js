@@ -0,0 +1,91 @@
+// Shared test setup: starts the mock HubSpot server, points the config at it
+// and serves the Express app on a random port. Require this before anything
+// from src/, since the config is read once when it is first loaded.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockHubSpot } = require('./mock/hubspot');
+
+const TEST_TOKEN = 'pat-na1-00000000-0000-0000-0000-000000000000';
+
+// Suites that set HUBSPOT_CLIENT_ID run as an OAuth app, without a private app token
+process.env.HUBSPOT_ACCESS_TOKEN = process.env.HUBSPOT_CLIENT_ID ? '' : TEST_TOKEN;
+process.env.HUBSPOT_RETRY_BASE_DELAY_MS = '1';
+process.env.HUBSPOT_PROPERTIES_SCHEMA = path.join(__dirname, '..', 'src', 'config', 'contact-properties.json');
+
+// Each test file gets its own audit log, removed when its server closes
+process.env.AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(os.tmpdir(), `hubspot-audit-${process.pid}.jsonl`);
+// ...and its own jobs directory
+process.env.JOBS_DIR = process.env.JOBS_DIR || path.join(os.tmpdir(), `hubspot-jobs-${process.pid}`);
+
+// Keep test output readable: the services log every call
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+// Suites send far more requests per minute than a real client; rate limits are tested on their own
+for (const budget of ['READ', 'WRITE', 'BATCH']) {
+  process.env[`RATE_LIMIT_${budget}`] = process.env[`RATE_LIMIT_${budget}`] || '0';
+}
+
+// Start the mock and the app. Resolves with helpers for making requests.
+async function startTestServer() {
+  const mock = createMockHubSpot({ accessToken: TEST_TOKEN });
+  const mockUrl = await mock.listen();
+  process.env.HUBSPOT_BASE_URL = mockUrl;
+
+  const originalLog = console.log;
+  console.log = () => {};
+  const app = require('../src/index');
+  console.log = originalLog;
+
+  // The app's cache outlives the mock's state, so empty it with every reset
+  const cache = require('../src/services/cache').shared();
+  const resetMock = mock.reset.bind(mock);
+  mock.reset = () => {
+    resetMock();
+    cache.clear();
+    cache.resetStats();
+  };
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON request helper: resolves with { status, headers, body, text }
+  const request = async (method, url, { body, headers = {}, raw } = {}) => {
+    const options = { method, headers: { ...headers } };
+    if (raw !== undefined) {
+      options.body = raw;
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${url}`, options);
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      parsed = null;
+    }
+
+    return { status: response.status, headers: response.headers, body: parsed, text };
+  };
+
+  return {
+    mock,
+    mockUrl,
+    baseUrl,
+    request,
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await mock.close();
+      fs.rmSync(process.env.AUDIT_LOG_PATH, { force: true });
+      fs.rmSync(process.env.JOBS_DIR, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { TEST_TOKEN, startTestServer };
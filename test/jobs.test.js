@@ -0,0 +1,289 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Two callers, so job visibility can be checked
+process.env.API_KEYS = 'ats:recruiter:recruiter-key-0123456789,sourcing:recruiter:sourcing-key-0123456789,ops:admin:admin-key-0123456789';
+
+const { startTestServer } = require('./helpers');
+
+const RECRUITER = { 'X-API-Key': 'recruiter-key-0123456789' };
+const OTHER_RECRUITER = { 'X-API-Key': 'sourcing-key-0123456789' };
+const ADMIN = { 'X-API-Key': 'admin-key-0123456789' };
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+describe('background jobs', () => {
+  let server;
+  let request;
+  let mock;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  // Poll a job until it finishes
+  const waitForJob = async (statusUrl, headers = RECRUITER) => {
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const res = await request('GET', statusUrl, { headers });
+      assert.equal(res.status, 200);
+      if (FINISHED.includes(res.body.data.status)) return res.body.data;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${statusUrl} did not finish`);
+  };
+
+  it('runs an async batch create and reports progress and per-item errors', async () => {
+    const res = await request('POST', '/api/contacts/batch?async=true', {
+      headers: RECRUITER,
+      body: {
+        contacts: [
+          { email: 'ann@example.com', firstName: 'Ann', lastName: 'Lee' },
+          { email: 'not-an-email', lastName: 'Nobody' },
+          { email: 'bob@example.com', firstName: 'Bob', lastName: 'Ray' }
+        ]
+      }
+    });
+
+    assert.equal(res.status, 202);
+    assert.equal(res.headers.get('location'), res.body.data.statusUrl);
+    assert.equal(res.body.data.statusUrl, `/api/jobs/${res.body.data.jobId}`);
+
+    const job = await waitForJob(res.body.data.statusUrl);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.type, 'contacts.batch');
+    assert.deepEqual(job.progress, { total: 3, processed: 3, succeeded: 2, failed: 1 });
+    assert.deepEqual(job.errors.map(error => [error.index, error.status]), [[1, 400]]);
+    assert.deepEqual(job.result.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.deepEqual(job.result.results.map(result => result.index), [0, 1, 2]);
+    assert.equal(job.createdBy.subject, 'ats');
+    assert.equal(job.origin, undefined);
+    assert.equal(mock.state.contacts.size, 2);
+
+    // Changes are audited under the request that queued the job
+    const audit = await request('GET', '/api/audit?action=contact.batch.create', { headers: ADMIN });
+    assert.equal(audit.body.data.entries.length, 2);
+    assert.equal(audit.body.data.entries[0].route, 'POST /api/contacts/batch');
+    assert.equal(audit.body.data.entries[0].actor.subject, 'ats');
+  });
+
+  it('imports a CSV in a job and offers the error CSV as its download', async () => {
+    const csv = ['First Name,Last Name,Email', 'Ann,Lee,ann@example.com', 'Bob,,bob@example.com'].join('\n');
+
+    const res = await request('POST', '/api/contacts/import?async=true', {
+      headers: { ...RECRUITER, 'Content-Type': 'text/csv' },
+      raw: csv
+    });
+    const job = await waitForJob(res.body.data.statusUrl);
+    const download = await request('GET', job.downloadUrl, { headers: RECRUITER });
+
+    assert.equal(res.status, 202);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.progress, { total: 2, processed: 2, succeeded: 1, failed: 1 });
+    assert.deepEqual(job.errors.map(error => error.row), [3]);
+    assert.equal(job.result.summary.created, 1);
+    assert.equal(download.status, 200);
+    assert.match(download.text, /^row,First Name,Last Name,Email,error\r\n3,Bob,,bob@example.com,/);
+  });
+
+  it('fails an import job whose CSV cannot be used', async () => {
+    const res = await request('POST', '/api/contacts/import?async=true', {
+      headers: { ...RECRUITER, 'Content-Type': 'text/csv' },
+      raw: 'Name\nAnn'
+    });
+    const job = await waitForJob(res.body.data.statusUrl);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Invalid column mapping');
+    assert.deepEqual(job.details, ['No column is mapped to email']);
+  });
+
+  it('writes an async export to a file served by the job', async () => {
+    for (let i = 1; i <= 120; i++) {
+      mock.addContact({ email: `e${i}@example.com` });
+    }
+
+    const res = await request('GET', '/api/contacts/export?async=true&properties=email', { headers: RECRUITER });
+    const job = await waitForJob(res.body.data.statusUrl);
+    const download = await request('GET', `/api/jobs/${job.id}/download`, { headers: RECRUITER });
+    const lines = download.text.trim().split('\r\n');
+
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result, { format: 'csv', exported: 120 });
+    assert.equal(job.progress.processed, 120);
+    assert.match(download.headers.get('content-type'), /text\/csv/);
+    assert.match(download.headers.get('content-disposition'), /contacts-\d{4}-\d{2}-\d{2}\.csv/);
+    assert.equal(lines[0], 'id,email,createdAt,updatedAt');
+    assert.equal(lines.length, 121);
+  });
+
+  it('shows jobs only to the caller that started them and to admins', async () => {
+    const res = await request('POST', '/api/contacts/batch/archive?async=true', { headers: ADMIN, body: { ids: ['1'] } });
+    const { jobId, statusUrl } = res.body.data;
+    await waitForJob(statusUrl, ADMIN);
+
+    const other = await request('GET', statusUrl, { headers: OTHER_RECRUITER });
+    const otherList = await request('GET', '/api/jobs', { headers: OTHER_RECRUITER });
+    const adminList = await request('GET', '/api/jobs', { headers: ADMIN });
+    const unknown = await request('GET', '/api/jobs/not-a-job', { headers: ADMIN });
+
+    assert.equal(other.status, 404);
+    assert.ok(!otherList.body.data.jobs.some(job => job.id === jobId));
+    assert.ok(adminList.body.data.jobs.some(job => job.id === jobId));
+    assert.equal(unknown.status, 404);
+  });
+
+  it('fails a batch create interrupted by a restart instead of sending its rows again', async () => {
+    const queue = require('../src/services/jobs').shared();
+    const res = await request('POST', '/api/contacts/batch?async=true', {
+      headers: RECRUITER,
+      body: { contacts: [{ email: 'ann@example.com', firstName: 'Ann', lastName: 'Lee' }, { email: 'bob@example.com', firstName: 'Bob', lastName: 'Ray' }] }
+    });
+    const job = await waitForJob(res.body.data.statusUrl);
+    mock.reset();
+
+    // Saved as a server would leave it when stopped while the first slice was in flight
+    await queue.store.save({ ...job, origin: null, status: 'running', finishedAt: null, result: null, checkpoint: null });
+    await queue.start();
+    const interrupted = await waitForJob(res.body.data.statusUrl);
+
+    assert.equal(interrupted.status, 'failed');
+    assert.deepEqual(interrupted.details, { unconfirmedIndexes: { from: 0, to: 1 }, unsentIndexes: null });
+    assert.deepEqual(interrupted.result.summary, { total: 0, succeeded: 0, failed: 0 });
+    assert.equal(mock.state.requests.length, 0);
+  });
+
+  it('answers 409 when cancelling a finished job', async () => {
+    const res = await request('POST', '/api/contacts/batch/archive?async=true', { headers: ADMIN, body: { ids: ['1'] } });
+    await waitForJob(res.body.data.statusUrl, ADMIN);
+
+    const cancel = await request('POST', `${res.body.data.statusUrl}/cancel`, { headers: ADMIN });
+
+    assert.equal(cancel.status, 409);
+  });
+});
+
+describe('JobQueue', () => {
+  let JobQueue;
+  let dir;
+
+  before(() => {
+    JobQueue = require('../src/services/jobs');
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hubspot-job-queue-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createQueue = (options = {}) => new JobQueue({ store: new JobQueue.FileJobStore({ dir }), concurrency: 1, ...options });
+
+  it('runs one job at a time and cancels queued and running jobs', async () => {
+    const queue = createQueue();
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const runs = [];
+
+    queue.register('test.slices', async ({ slices }, job) => {
+      runs.push(job.id);
+      for (let slice = 1; slice <= slices; slice++) {
+        await released;
+        if (job.isCancelled()) break;
+        await job.update({ processed: slice });
+      }
+      return { slices };
+    });
+
+    const running = await queue.enqueue('test.slices', { slices: 3 });
+    const queued = await queue.enqueue('test.slices', { slices: 1 });
+    while (runs.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal((await queue.get(running.id)).status, 'running');
+    assert.equal((await queue.get(queued.id)).status, 'queued');
+
+    assert.equal((await queue.cancel(queued.id)).status, 'cancelled');
+    assert.equal((await queue.cancel(running.id)).cancelRequested, true);
+    release();
+    await queue.idle();
+
+    const finished = await queue.get(running.id);
+    assert.equal(finished.status, 'cancelled');
+    assert.equal(finished.progress.processed, 0);
+    assert.deepEqual(runs, [running.id]);
+  });
+
+  it('resumes interrupted resumable jobs from their checkpoint after a restart', async () => {
+    const first = createQueue();
+    first.register('test.resumable', async () => {}, { resumable: true });
+    first.register('test.once', async () => {});
+
+    const resumable = await first.enqueue('test.resumable', { items: 4 });
+    const once = await first.enqueue('test.once', {});
+    await first.idle();
+
+    // Saved as a server would leave them when stopped mid-run
+    for (const job of [resumable, once]) {
+      await first.store.save({ ...job, status: 'running', attempts: 1, checkpoint: { next: 2 } });
+    }
+
+    const restarted = createQueue();
+    const seen = [];
+    restarted.register('test.resumable', async ({ items }, job) => {
+      seen.push(job.checkpoint);
+      return { resumedAt: job.checkpoint.next, items };
+    }, { resumable: true });
+    restarted.register('test.once', async () => {});
+
+    await restarted.start();
+    await restarted.idle();
+
+    const resumed = await restarted.get(resumable.id);
+    const interrupted = await restarted.get(once.id);
+    assert.deepEqual(seen, [{ next: 2 }]);
+    assert.equal(resumed.status, 'completed');
+    assert.deepEqual(resumed.result, { resumedAt: 2, items: 4 });
+    assert.equal(resumed.attempts, 2);
+    assert.equal(interrupted.status, 'failed');
+    assert.match(interrupted.error, /restart/);
+  });
+
+  it('matches a job to the caller that started it only when both have a subject', () => {
+    const job = { createdBy: { method: 'api-key', subject: 'ats' } };
+    const anonymous = { createdBy: { method: 'none', subject: null } };
+
+    assert.equal(JobQueue.startedBy(job, { method: 'api-key', subject: 'ats' }), true);
+    assert.equal(JobQueue.startedBy(job, { method: 'jwt', subject: 'ats' }), false);
+    assert.equal(JobQueue.startedBy(anonymous, { method: 'none', subject: null }), false);
+    assert.equal(JobQueue.startedBy(anonymous, { method: 'none' }), false);
+    assert.equal(JobQueue.startedBy({ createdBy: null }, { method: 'api-key', subject: 'ats' }), false);
+  });
+
+  it('removes finished jobs past their retention on start', async () => {
+    const queue = createQueue({ retentionMs: 1000 });
+    queue.register('test.noop', async () => 'done');
+
+    const job = await queue.enqueue('test.noop', {});
+    await queue.idle();
+    await queue.store.save({ ...(await queue.get(job.id)), finishedAt: new Date(Date.now() - 5000).toISOString() });
+
+    await queue.start();
+
+    assert.equal(await queue.get(job.id), null);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TEST_TOKEN } = require('./helpers');
+const { createLogger } = require('../src/utils/logger');
+const { redact } = require('../src/utils/redact');
+const { runWithContext } = require('../src/utils/request-context');
+
+// Logger writing parsed JSON entries into an array
+const capture = (options = {}) => {
+  const entries = [];
+  const logger = createLogger({ level: 'info', outputFormat: 'json', write: line => entries.push(JSON.parse(line)), ...options });
+  return { logger, entries };
+};
+
+describe('logging', () => {
+  describe('logger', () => {
+    it('writes one JSON object per line and drops entries below the level', () => {
+      const { logger, entries } = capture({ level: 'warn' });
+
+      logger.info('ignored');
+      logger.warn('Slow response', { durationMs: 1200 });
+
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].level, 'warn');
+      assert.equal(entries[0].message, 'Slow response');
+      assert.deepEqual(entries[0].data, { durationMs: 1200 });
+    });
+
+    it('tags entries with the current request id', () => {
+      const { logger, entries } = capture();
+
+      runWithContext({ requestId: 'req-1' }, () => logger.info('inside'));
+      logger.info('outside');
+
+      assert.equal(entries[0].requestId, 'req-1');
+      assert.equal(entries[1].requestId, undefined);
+    });
+
+    it('logs service errors with their status and details', () => {
+      const { logger, entries } = capture();
+
+      logger.error('Failed', { success: false, error: 'Conflict', status: 409, details: { message: 'exists' } });
+
+      assert.deepEqual(entries[0].error, { message: 'Conflict', status: 409, details: { message: 'exists' } });
+    });
+
+    it('supports a text format', () => {
+      const lines = [];
+      const logger = createLogger({ level: 'info', outputFormat: 'text', write: line => lines.push(line) });
+
+      runWithContext({ requestId: 'req-1' }, () => logger.success('Done', { total: 2 }));
+
+      assert.match(lines[0], /^\[SUCCESS\] \S+ \[req-1\]: Done {"data":{"total":2}}$/);
+    });
+  });
+
+  describe('redaction', () => {
+    it('masks PII fields, credentials and emails or tokens in text', () => {
+      const redacted = redact({
+        properties: { email: 'jane@example.com', firstname: 'Jane', candidate_name: 'Jane Doe', candidate_experience: '5' },
+        candidateName: 'Jane Doe',
+        headers: { Authorization: `Bearer ${TEST_TOKEN}` },
+        message: `Contact jane.doe@example.com rejected token ${TEST_TOKEN}`
+      });
+
+      assert.deepEqual(redacted.properties, {
+        email: '[REDACTED]',
+        firstname: '[REDACTED]',
+        candidate_name: '[REDACTED]',
+        candidate_experience: '5'
+      });
+      assert.equal(redacted.candidateName, '[REDACTED]');
+      assert.equal(redacted.headers.Authorization, '[REDACTED]');
+      assert.equal(redacted.message, 'Contact j***@example.com rejected token [REDACTED]');
+    });
+
+    it('redacts messages written by the logger', () => {
+      const { logger, entries } = capture();
+
+      logger.info('Upserting jane@example.com', { contact: { phone: '+1234567890' } });
+
+      assert.equal(entries[0].message, 'Upserting j***@example.com');
+      assert.equal(entries[0].data.contact.phone, '[REDACTED]');
+    });
+  });
+
+  describe('request ids', () => {
+    let server;
+
+    before(async () => {
+      server = await startTestServer();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('echoes X-Request-Id or generates one', async () => {
+      const given = await server.request('GET', '/health', { headers: { 'X-Request-Id': 'client-42' } });
+      const generated = await server.request('GET', '/health');
+      const invalid = await server.request('GET', '/health', { headers: { 'X-Request-Id': 'has spaces' } });
+
+      assert.equal(given.headers.get('x-request-id'), 'client-42');
+      assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+      assert.notEqual(invalid.headers.get('x-request-id'), 'has spaces');
+    });
+  });
+});
@@ -0,0 +1,710 @@
+// In-process HubSpot stand-in for offline tests and local development.
+// Point HUBSPOT_BASE_URL at it to run the API without a portal or token:
+//   node test/mock/hubspot.js        (listens on MOCK_HUBSPOT_PORT, default 4010)
+const crypto = require('crypto');
+const express = require('express');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// HubSpot refuses to page search results past this offset
+const SEARCH_RESULT_CAP = 10000;
+
+// Standard contact properties every portal has
+const STANDARD_PROPERTIES = [
+  { name: 'email', label: 'Email', type: 'string', fieldType: 'text', groupName: 'contactinformation' },
+  { name: 'firstname', label: 'First Name', type: 'string', fieldType: 'text', groupName: 'contactinformation' },
+  { name: 'lastname', label: 'Last Name', type: 'string', fieldType: 'text', groupName: 'contactinformation' },
+  { name: 'phone', label: 'Phone Number', type: 'string', fieldType: 'phonenumber', groupName: 'contactinformation' },
+  { name: 'hubspot_owner_id', label: 'Contact owner', type: 'enumeration', fieldType: 'select', groupName: 'contactinformation', options: [] },
+  { name: 'hs_object_id', label: 'Record ID', type: 'number', fieldType: 'number', groupName: 'contactinformation' },
+  { name: 'createdate', label: 'Create Date', type: 'datetime', fieldType: 'date', groupName: 'contactinformation' },
+  { name: 'lastmodifieddate', label: 'Last Modified Date', type: 'datetime', fieldType: 'date', groupName: 'contactinformation' }
+];
+
+// Standard properties of the other object types the API works with
+const STANDARD_OBJECT_PROPERTIES = {
+  companies: [
+    { name: 'name', label: 'Company name', type: 'string', fieldType: 'text', groupName: 'companyinformation' },
+    { name: 'domain', label: 'Company Domain Name', type: 'string', fieldType: 'text', groupName: 'companyinformation' }
+  ],
+  deals: [
+    { name: 'dealname', label: 'Deal Name', type: 'string', fieldType: 'text', groupName: 'dealinformation' },
+    { name: 'amount', label: 'Amount', type: 'number', fieldType: 'number', groupName: 'dealinformation' },
+    { name: 'dealstage', label: 'Deal Stage', type: 'enumeration', fieldType: 'select', groupName: 'dealinformation', options: [] },
+    { name: 'pipeline', label: 'Pipeline', type: 'enumeration', fieldType: 'select', groupName: 'dealinformation', options: [] },
+    { name: 'closedate', label: 'Close Date', type: 'datetime', fieldType: 'date', groupName: 'dealinformation' }
+  ],
+  tickets: [
+    { name: 'subject', label: 'Ticket name', type: 'string', fieldType: 'text', groupName: 'ticketinformation' },
+    { name: 'content', label: 'Ticket description', type: 'string', fieldType: 'textarea', groupName: 'ticketinformation' }
+  ]
+};
+
+// Properties every record of any object type has
+const COMMON_PROPERTIES = [
+  { name: 'hs_object_id', label: 'Record ID', type: 'number', fieldType: 'number', groupName: 'objectinformation' },
+  { name: 'createdate', label: 'Create Date', type: 'datetime', fieldType: 'date', groupName: 'objectinformation' },
+  { name: 'hs_lastmodifieddate', label: 'Last Modified Date', type: 'datetime', fieldType: 'date', groupName: 'objectinformation' }
+];
+
+// Contacts name their last modified date differently from every other object
+const lastModifiedProperty = (objectType) => (objectType === 'contacts' ? 'lastmodifieddate' : 'hs_lastmodifieddate');
+
+// Properties returned on every record regardless of the requested list
+const alwaysReturned = (objectType) => ['hs_object_id', 'createdate', lastModifiedProperty(objectType)];
+
+// Properties returned when a request names none
+const DEFAULT_RETURNED = {
+  contacts: ['email', 'firstname', 'lastname'],
+  companies: ['name', 'domain'],
+  deals: ['dealname', 'amount', 'dealstage', 'pipeline', 'closedate'],
+  tickets: ['subject', 'content']
+};
+
+const hubspotError = (category, message, extra = {}) => ({
+  status: 'error',
+  message,
+  correlationId: 'mock-correlation-id',
+  category,
+  ...extra
+});
+
+function createMockHubSpot({ accessToken } = {}) {
+  const state = {
+    contacts: new Map(),
+    // Records of other object types (companies, deals, ...), keyed by type then id
+    objects: new Map(),
+    // Property definitions of other object types, keyed by type then name
+    objectProperties: new Map(),
+    // Associations keyed by "type:id", each a Map of "toType:toId" -> association types
+    associations: new Map(),
+    owners: new Map(),
+    properties: new Map(STANDARD_PROPERTIES.map(property => [property.name, { ...property }])),
+    nextId: 1,
+    requests: [],
+    // Queued failures: { status, headers, body, match } consumed by the next matching request
+    failures: [],
+    // OAuth app installs: authorization codes, issued access tokens and refresh tokens
+    oauth: {
+      codes: new Map(),
+      accessTokens: new Map(),
+      refreshTokens: new Map(),
+      expiresIn: 1800
+    }
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: false }));
+
+  const send = (res, status, body) => (body === undefined ? res.status(status).end() : res.status(status).json(body));
+
+  // Request log, auth check and failure injection
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+
+    // The OAuth endpoints authenticate with the client secret; CRM calls take
+    // the private app token or an unexpired OAuth access token
+    const bearer = (req.get('authorization') || '').replace(/^Bearer /, '');
+    const oauthToken = state.oauth.accessTokens.get(bearer);
+    const authorized = bearer === accessToken || (oauthToken && oauthToken.expiresAt > Date.now());
+    if (accessToken && !req.path.startsWith('/oauth/') && !authorized) {
+      return send(res, 401, hubspotError('INVALID_AUTHENTICATION', 'Authentication credentials not found.'));
+    }
+
+    const failureIndex = state.failures.findIndex(failure => !failure.match || failure.match(req));
+    if (failureIndex !== -1) {
+      const [failure] = state.failures.splice(failureIndex, 1);
+      res.set(failure.headers || {});
+      return res.status(failure.status).json(failure.body || hubspotError('MOCK_FAILURE', `Injected ${failure.status}`));
+    }
+
+    res.set({
+      'X-HubSpot-RateLimit-Max': '100',
+      'X-HubSpot-RateLimit-Remaining': '99',
+      'X-HubSpot-RateLimit-Interval-Milliseconds': '10000'
+    });
+    next();
+  });
+
+  // ---- OAuth ----
+
+  // Issue an access/refresh token pair for an install
+  const issueTokens = (install) => {
+    const access = `oauth-access-${crypto.randomBytes(8).toString('hex')}`;
+    const refresh = `oauth-refresh-${crypto.randomBytes(8).toString('hex')}`;
+    state.oauth.accessTokens.set(access, { ...install, expiresAt: Date.now() + state.oauth.expiresIn * 1000 });
+    state.oauth.refreshTokens.set(refresh, install);
+    return { token_type: 'bearer', access_token: access, refresh_token: refresh, expires_in: state.oauth.expiresIn };
+  };
+
+  app.post('/oauth/v1/token', (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret, code, refresh_token: refreshToken } = req.body || {};
+    if (!clientId || !clientSecret) {
+      return send(res, 400, { status: 'BAD_CLIENT_ID', message: 'missing or unknown client id' });
+    }
+
+    if (grantType === 'authorization_code') {
+      const install = state.oauth.codes.get(code);
+      if (!install) return send(res, 400, { status: 'BAD_AUTH_CODE', message: 'missing or unknown auth code' });
+      state.oauth.codes.delete(code);
+      return send(res, 200, issueTokens(install));
+    }
+
+    if (grantType === 'refresh_token') {
+      const install = state.oauth.refreshTokens.get(refreshToken);
+      if (!install) return send(res, 400, { status: 'BAD_REFRESH_TOKEN', message: 'missing or unknown refresh token' });
+      // HubSpot keeps the refresh token and only rotates the access token
+      const { access_token: access, expires_in: expiresIn, token_type: tokenType } = issueTokens(install);
+      return send(res, 200, { token_type: tokenType, access_token: access, refresh_token: refreshToken, expires_in: expiresIn });
+    }
+
+    send(res, 400, { status: 'BAD_GRANT_TYPE', message: `unknown grant type ${grantType}` });
+  });
+
+  app.get('/oauth/v1/access-tokens/:token', (req, res) => {
+    const install = state.oauth.accessTokens.get(req.params.token);
+    if (!install || install.expiresAt <= Date.now()) {
+      return send(res, 404, { status: 'error', message: 'Token not found or expired' });
+    }
+    send(res, 200, {
+      token: req.params.token,
+      hub_domain: install.hubDomain,
+      scopes: install.scopes,
+      hub_id: install.hubId,
+      app_id: 1,
+      expires_in: Math.round((install.expiresAt - Date.now()) / 1000),
+      token_type: 'access'
+    });
+  });
+
+  // ---- Helpers ----
+
+  const now = () => new Date().toISOString();
+
+  // Records of one object type; contacts live in state.contacts
+  const storeOf = (objectType) => {
+    if (objectType === 'contacts') return state.contacts;
+    if (!state.objects.has(objectType)) state.objects.set(objectType, new Map());
+    return state.objects.get(objectType);
+  };
+
+  // Property definitions of one object type; contacts use state.properties
+  const propertiesOf = (objectType) => {
+    if (objectType === 'contacts') return state.properties;
+    if (!state.objectProperties.has(objectType)) {
+      const definitions = [...COMMON_PROPERTIES, ...(STANDARD_OBJECT_PROPERTIES[objectType] || [])];
+      state.objectProperties.set(objectType, new Map(definitions.map(property => [property.name, { ...property }])));
+    }
+    return state.objectProperties.get(objectType);
+  };
+
+  const findByProperty = (idProperty, value, objectType = 'contacts') => {
+    for (const record of storeOf(objectType).values()) {
+      const current = record.properties[idProperty];
+      if (current !== undefined && current !== null && String(current).toLowerCase() === String(value).toLowerCase()) {
+        return record;
+      }
+    }
+    return null;
+  };
+
+  const findRecord = (id, idProperty, objectType = 'contacts') => (idProperty && idProperty !== 'hs_object_id'
+    ? findByProperty(idProperty, id, objectType)
+    : storeOf(objectType).get(String(id)) || null);
+
+  // Validate property values the way HubSpot does; returns an error message or null
+  const validateProperties = (properties = {}, objectType = 'contacts') => {
+    for (const [name, value] of Object.entries(properties)) {
+      if (value === null || value === '') continue;
+      const definition = propertiesOf(objectType).get(name);
+      if (!definition) return `Property "${name}" does not exist`;
+      if (name === 'email' && !EMAIL_REGEX.test(String(value))) return `Email address ${value} is invalid`;
+      if (definition.type === 'number' && !isFinite(Number(value))) return `${value} was not a valid number.`;
+      if (definition.type === 'date' && isNaN(Date.parse(value)) && !/^\d+$/.test(String(value))) return `${value} was not a valid date.`;
+      if (definition.type === 'date' && /^\d+$/.test(String(value)) && Number(value) % 86400000 !== 0) return `${value} is not at midnight UTC.`;
+    }
+    return null;
+  };
+
+  // Store values as strings; date properties come back as YYYY-MM-DD like HubSpot returns them
+  const stringify = (properties = {}, objectType = 'contacts') => {
+    const result = {};
+    Object.entries(properties).forEach(([name, value]) => {
+      if (value === null || value === undefined) {
+        result[name] = '';
+      } else if (propertiesOf(objectType).get(name)?.type === 'date' && /^\d+$/.test(String(value))) {
+        result[name] = new Date(Number(value)).toISOString().slice(0, 10);
+      } else {
+        result[name] = String(value);
+      }
+    });
+    return result;
+  };
+
+  // Past values per property, newest first like propertiesWithHistory returns them
+  const recordHistory = (record, properties, timestamp) => {
+    Object.entries(properties).forEach(([name, value]) => {
+      const versions = record.history[name] || (record.history[name] = []);
+      if (versions[0]?.value === value) return;
+      versions.unshift({ value, timestamp, sourceType: 'INTEGRATION', sourceId: 'mock-app' });
+    });
+  };
+
+  const createRecord = (properties, objectType = 'contacts') => {
+    const id = String(state.nextId++);
+    const timestamp = now();
+    const record = {
+      id,
+      properties: { ...stringify(properties, objectType), hs_object_id: id, createdate: timestamp, [lastModifiedProperty(objectType)]: timestamp },
+      history: {},
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      archived: false
+    };
+    recordHistory(record, stringify(properties, objectType), timestamp);
+    storeOf(objectType).set(id, record);
+    return record;
+  };
+
+  const updateRecord = (record, properties, objectType = 'contacts') => {
+    const values = stringify(properties, objectType);
+    Object.assign(record.properties, values);
+    record.updatedAt = now();
+    record.properties[lastModifiedProperty(objectType)] = record.updatedAt;
+    recordHistory(record, values, record.updatedAt);
+    return record;
+  };
+
+  const associationsOf = (objectType, id) => {
+    const key = `${objectType}:${id}`;
+    if (!state.associations.has(key)) state.associations.set(key, new Map());
+    return state.associations.get(key);
+  };
+
+  // HubSpot's default (unlabeled) association type ids, by direction
+  const DEFAULT_ASSOCIATION_TYPES = {
+    'contacts:companies': 279, 'companies:contacts': 280,
+    'contacts:deals': 4, 'deals:contacts': 3,
+    'contacts:tickets': 15, 'tickets:contacts': 16
+  };
+
+  const defaultAssociationType = (fromType, toType) => ({
+    category: 'HUBSPOT_DEFINED',
+    typeId: DEFAULT_ASSOCIATION_TYPES[`${fromType}:${toType}`] ?? 1,
+    label: null
+  });
+
+  const parsePropertyList = (value) => {
+    if (!value) return null;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(name => name.trim()).filter(Boolean);
+  };
+
+  // Shape a record for a response, keeping only the requested properties
+  const present = (record, requested, objectType = 'contacts') => {
+    const names = requested || DEFAULT_RETURNED[objectType] || [];
+    const properties = {};
+    [...names, ...alwaysReturned(objectType)].forEach(name => {
+      properties[name] = record.properties[name] ?? null;
+    });
+    return { id: record.id, properties, createdAt: record.createdAt, updatedAt: record.updatedAt, archived: false };
+  };
+
+  // Comparable form of a stored value: numbers and dates compare numerically
+  const comparable = (name, value, objectType = 'contacts') => {
+    if (value === undefined || value === null || value === '') return null;
+    const type = propertiesOf(objectType).get(name)?.type;
+    if (type === 'number') return Number(value);
+    if (type === 'date' || type === 'datetime') {
+      return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    }
+    return String(value).toLowerCase();
+  };
+
+  const matchesFilter = (record, filter, objectType = 'contacts') => {
+    const raw = record.properties[filter.propertyName];
+    const value = comparable(filter.propertyName, raw, objectType);
+    const target = comparable(filter.propertyName, filter.value, objectType);
+
+    switch (filter.operator) {
+      case 'EQ': return value !== null && value === target;
+      case 'NEQ': return value !== target;
+      case 'GT': return value !== null && value > target;
+      case 'GTE': return value !== null && value >= target;
+      case 'LT': return value !== null && value < target;
+      case 'LTE': return value !== null && value <= target;
+      case 'BETWEEN': return value !== null && value >= target && value <= comparable(filter.propertyName, filter.highValue, objectType);
+      case 'IN': return value !== null && filter.values.map(v => comparable(filter.propertyName, v, objectType)).includes(value);
+      case 'NOT_IN': return !filter.values.map(v => comparable(filter.propertyName, v, objectType)).includes(value);
+      case 'HAS_PROPERTY': return value !== null;
+      case 'NOT_HAS_PROPERTY': return value === null;
+      case 'CONTAINS_TOKEN': return value !== null && String(value).split(/[\s@.,]+/).includes(String(filter.value).toLowerCase().replace(/\*/g, ''));
+      case 'NOT_CONTAINS_TOKEN': return value === null || !String(value).split(/[\s@.,]+/).includes(String(filter.value).toLowerCase());
+      default: return false;
+    }
+  };
+
+  // ---- Properties API ----
+
+  app.get('/crm/v3/properties/:objectType', (req, res) => {
+    send(res, 200, { results: [...propertiesOf(req.params.objectType).values()] });
+  });
+
+  app.get('/crm/v3/properties/:objectType/:name', (req, res) => {
+    const property = propertiesOf(req.params.objectType).get(req.params.name);
+    if (!property) return send(res, 404, hubspotError('OBJECT_NOT_FOUND', `Unable to find property ${req.params.name}`));
+    send(res, 200, property);
+  });
+
+  app.post('/crm/v3/properties/:objectType', (req, res) => {
+    const { name, label, type, fieldType, groupName } = req.body || {};
+    if (!name || !label || !type || !fieldType || !groupName) {
+      return send(res, 400, hubspotError('VALIDATION_ERROR', 'Property definition is missing required fields'));
+    }
+    const definitions = propertiesOf(req.params.objectType);
+    if (definitions.has(name)) {
+      return send(res, 409, hubspotError('OBJECT_ALREADY_EXISTS', `A property named '${name}' already exists.`));
+    }
+    const property = { description: '', ...req.body };
+    definitions.set(name, property);
+    send(res, 201, property);
+  });
+
+  app.patch('/crm/v3/properties/:objectType/:name', (req, res) => {
+    const property = propertiesOf(req.params.objectType).get(req.params.name);
+    if (!property) return send(res, 404, hubspotError('OBJECT_NOT_FOUND', `Unable to find property ${req.params.name}`));
+    Object.assign(property, req.body);
+    send(res, 200, property);
+  });
+
+  // ---- Owners API ----
+
+  // Owners, paged by id
+  app.get('/crm/v3/owners', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const archived = req.query.archived === 'true';
+    const owners = [...state.owners.values()]
+      .filter(owner => owner.archived === archived)
+      .filter(owner => !req.query.email || owner.email === req.query.email);
+    const start = req.query.after ? owners.findIndex(owner => owner.id === req.query.after) + 1 : 0;
+    const page = owners.slice(start, start + limit);
+    const next = start + limit < owners.length ? { next: { after: page[page.length - 1].id } } : undefined;
+
+    send(res, 200, { results: page, paging: next });
+  });
+
+  // ---- CRM Objects API (contacts and every other object type) ----
+
+  app.post('/crm/v3/objects/:objectType/search', (req, res) => {
+    const { objectType } = req.params;
+    const { filterGroups = [], sorts = [], limit = 10, after = 0, properties } = req.body || {};
+    const offset = Number(after) || 0;
+
+    if (offset >= SEARCH_RESULT_CAP) {
+      return send(res, 400, hubspotError('VALIDATION_ERROR', `Paging beyond ${SEARCH_RESULT_CAP} results is not supported`));
+    }
+
+    let results = [...storeOf(objectType).values()].filter(record => filterGroups.length === 0 ||
+      filterGroups.some(group => group.filters.every(filter => matchesFilter(record, filter, objectType))));
+
+    const sort = sorts[0] || { propertyName: 'hs_object_id', direction: 'ASCENDING' };
+    const direction = sort.direction === 'DESCENDING' ? -1 : 1;
+    results.sort((a, b) => {
+      const left = comparable(sort.propertyName, a.properties[sort.propertyName], objectType);
+      const right = comparable(sort.propertyName, b.properties[sort.propertyName], objectType);
+      if (left === right) return Number(a.id) - Number(b.id);
+      if (left === null) return 1;
+      if (right === null) return -1;
+      return (left < right ? -1 : 1) * direction;
+    });
+
+    const page = results.slice(offset, offset + limit);
+    const body = {
+      total: results.length,
+      results: page.map(record => present(record, parsePropertyList(properties), objectType))
+    };
+    if (offset + limit < results.length) {
+      body.paging = { next: { after: String(offset + limit) } };
+    }
+    send(res, 200, body);
+  });
+
+  app.post('/crm/v3/objects/:objectType/batch/:action', (req, res) => {
+    const { objectType } = req.params;
+    const inputs = req.body?.inputs || [];
+    if (inputs.length > 100) {
+      return send(res, 400, hubspotError('VALIDATION_ERROR', 'Batch inputs are limited to 100'));
+    }
+
+    const requested = parsePropertyList(req.body?.properties);
+
+    switch (req.params.action) {
+      case 'create': {
+        for (const input of inputs) {
+          const error = validateProperties(input.properties, objectType);
+          if (error) return send(res, 400, hubspotError('VALIDATION_ERROR', error));
+          if (objectType === 'contacts' && input.properties?.email && findByProperty('email', input.properties.email)) {
+            return send(res, 409, hubspotError('CONFLICT', `Contact already exists. Existing ID: ${findByProperty('email', input.properties.email).id}`));
+          }
+        }
+        const results = inputs.map(input => present(createRecord(input.properties, objectType), Object.keys(input.properties || {}), objectType));
+        return send(res, 201, { status: 'COMPLETE', results });
+      }
+
+      case 'read': {
+        const found = [];
+        const missing = [];
+        inputs.forEach(input => {
+          const record = findRecord(input.id, req.body.idProperty, objectType);
+          if (record) found.push(present(record, requested, objectType));
+          else missing.push(String(input.id));
+        });
+        const body = { status: 'COMPLETE', results: found };
+        if (missing.length > 0) {
+          body.errors = [{ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Could not get some CONTACT objects, they may be deleted or not exist.', context: { ids: missing } }];
+        }
+        return send(res, missing.length > 0 ? 207 : 200, body);
+      }
+
+      case 'update': {
+        for (const input of inputs) {
+          if (!storeOf(objectType).has(String(input.id))) {
+            return send(res, 404, hubspotError('OBJECT_NOT_FOUND', `Object ${input.id} not found`));
+          }
+          const error = validateProperties(input.properties, objectType);
+          if (error) return send(res, 400, hubspotError('VALIDATION_ERROR', error));
+        }
+        const results = inputs.map(input => present(updateRecord(storeOf(objectType).get(String(input.id)), input.properties, objectType), Object.keys(input.properties || {}), objectType));
+        return send(res, 200, { status: 'COMPLETE', results });
+      }
+
+      case 'upsert': {
+        for (const input of inputs) {
+          const error = validateProperties(input.properties, objectType);
+          if (error) return send(res, 400, hubspotError('VALIDATION_ERROR', error));
+        }
+        const results = inputs.map(input => {
+          const existing = findRecord(input.id, input.idProperty, objectType);
+          const properties = { ...input.properties, [input.idProperty]: input.id };
+          const record = existing ? updateRecord(existing, properties, objectType) : createRecord(properties, objectType);
+          return { ...present(record, Object.keys(properties), objectType), new: !existing };
+        });
+        return send(res, 200, { status: 'COMPLETE', results });
+      }
+
+      case 'archive':
+        inputs.forEach(input => storeOf(objectType).delete(String(input.id)));
+        return send(res, 204);
+
+      default:
+        return send(res, 404, hubspotError('OBJECT_NOT_FOUND', 'Unknown batch action'));
+    }
+  });
+
+  app.post('/crm/v3/objects/:objectType', (req, res) => {
+    const { objectType } = req.params;
+    const properties = req.body?.properties || {};
+    const error = validateProperties(properties, objectType);
+    if (error) return send(res, 400, hubspotError('VALIDATION_ERROR', error));
+
+    const existing = objectType === 'contacts' && properties.email && findByProperty('email', properties.email);
+    if (existing) {
+      return send(res, 409, hubspotError('CONFLICT', `Contact already exists. Existing ID: ${existing.id}`));
+    }
+
+    send(res, 201, present(createRecord(properties, objectType), Object.keys(properties), objectType));
+  });
+
+  // Merge keeps the most recently changed value of each property (the primary's
+  // on a tie) and the primary's email and ids, then archives the other record
+  app.post('/crm/v3/objects/:objectType/merge', (req, res) => {
+    const { objectType } = req.params;
+    const { primaryObjectId, objectIdToMerge } = req.body || {};
+    const primary = storeOf(objectType).get(String(primaryObjectId));
+    const merged = storeOf(objectType).get(String(objectIdToMerge));
+    if (!primary || !merged) return send(res, 404, hubspotError('OBJECT_NOT_FOUND', 'Object not found'));
+
+    const changedAt = (record, name) => Date.parse(record.history[name]?.[0]?.timestamp || 0);
+    const kept = ['email', 'hs_object_id', 'createdate', lastModifiedProperty(objectType)];
+    const fill = {};
+    Object.entries(merged.properties).forEach(([name, value]) => {
+      if (kept.includes(name) || value === '') return;
+      if ((primary.properties[name] ?? '') === '' || changedAt(merged, name) > changedAt(primary, name)) fill[name] = value;
+    });
+    if (objectType === 'contacts' && merged.properties.email && merged.properties.email !== primary.properties.email) {
+      fill.hs_additional_emails = [primary.properties.hs_additional_emails, merged.properties.email].filter(Boolean).join(';');
+    }
+    updateRecord(primary, fill, objectType);
+    storeOf(objectType).delete(merged.id);
+
+    send(res, 200, present(primary, Object.keys(primary.properties), objectType));
+  });
+
+  app.get('/crm/v3/objects/:objectType/:id', (req, res) => {
+    const { objectType } = req.params;
+    const record = findRecord(req.params.id, req.query.idProperty, objectType);
+    if (!record) return send(res, 404, hubspotError('OBJECT_NOT_FOUND', 'Object not found'));
+
+    const body = present(record, parsePropertyList(req.query.properties), objectType);
+    if (req.query.propertiesWithHistory) {
+      body.propertiesWithHistory = Object.fromEntries(parsePropertyList(req.query.propertiesWithHistory)
+        .map(name => [name, record.history[name] || []]));
+    }
+    send(res, 200, body);
+  });
+
+  app.patch('/crm/v3/objects/:objectType/:id', (req, res) => {
+    const { objectType } = req.params;
+    const record = findRecord(req.params.id, req.query.idProperty, objectType);
+    if (!record) return send(res, 404, hubspotError('OBJECT_NOT_FOUND', 'Object not found'));
+
+    const properties = req.body?.properties || {};
+    const error = validateProperties(properties, objectType);
+    if (error) return send(res, 400, hubspotError('VALIDATION_ERROR', error));
+
+    updateRecord(record, properties, objectType);
+    send(res, 200, present(record, Object.keys(record.properties), objectType));
+  });
+
+  app.delete('/crm/v3/objects/:objectType/:id', (req, res) => {
+    storeOf(req.params.objectType).delete(req.params.id);
+    send(res, 204);
+  });
+
+  // ---- Associations API (v4) ----
+
+  app.get('/crm/v4/objects/:fromType/:fromId/associations/:toType', (req, res) => {
+    const { fromType, fromId, toType } = req.params;
+    if (!findRecord(fromId, null, fromType)) return send(res, 404, hubspotError('OBJECT_NOT_FOUND', 'Object not found'));
+
+    const limit = Math.min(parseInt(req.query.limit) || 500, 500);
+    const offset = Number(req.query.after) || 0;
+    const results = [...associationsOf(fromType, fromId).entries()]
+      .filter(([key]) => key.startsWith(`${toType}:`))
+      .map(([key, associationTypes]) => ({ toObjectId: Number(key.slice(toType.length + 1)), associationTypes }));
+
+    send(res, 200, {
+      results: results.slice(offset, offset + limit),
+      ...(offset + limit < results.length ? { paging: { next: { after: String(offset + limit) } } } : {})
+    });
+  });
+
+  app.put('/crm/v4/objects/:fromType/:fromId/associations/default/:toType/:toId', (req, res) => {
+    const { fromType, fromId, toType, toId } = req.params;
+    if (!findRecord(fromId, null, fromType) || !findRecord(toId, null, toType)) {
+      return send(res, 404, hubspotError('OBJECT_NOT_FOUND', 'One or more objects do not exist'));
+    }
+
+    associationsOf(fromType, fromId).set(`${toType}:${toId}`, [defaultAssociationType(fromType, toType)]);
+    associationsOf(toType, toId).set(`${fromType}:${fromId}`, [defaultAssociationType(toType, fromType)]);
+
+    send(res, 200, {
+      status: 'COMPLETE',
+      results: [{ from: { id: fromId }, to: { id: toId }, associationSpec: defaultAssociationType(fromType, toType) }]
+    });
+  });
+
+  app.delete('/crm/v4/objects/:fromType/:fromId/associations/:toType/:toId', (req, res) => {
+    const { fromType, fromId, toType, toId } = req.params;
+    associationsOf(fromType, fromId).delete(`${toType}:${toId}`);
+    associationsOf(toType, toId).delete(`${fromType}:${fromId}`);
+    send(res, 204);
+  });
+
+  app.use((req, res) => {
+    send(res, 404, hubspotError('OBJECT_NOT_FOUND', `No mock route for ${req.method} ${req.path}`));
+  });
+
+  return {
+    app,
+    state,
+
+    // Queue a failure for the next request (optionally only ones matching `match(req)`)
+    fail(status, { headers, body, match, times = 1 } = {}) {
+      for (let i = 0; i < times; i++) {
+        state.failures.push({ status, headers, body, match });
+      }
+    },
+
+    // Seed a contact directly, bypassing validation
+    addContact(properties) {
+      return createRecord(properties);
+    },
+
+    // Seed a record of another object type, e.g. addObject('companies', { name, domain })
+    addObject(objectType, properties) {
+      return createRecord(properties, objectType);
+    },
+
+    // Seed property definitions, e.g. the custom properties from the schema file
+    addProperties(definitions, objectType = 'contacts') {
+      definitions.forEach(definition => propertiesOf(objectType).set(definition.name, { ...definition }));
+    },
+
+    // Seed an owner: { email, firstName?, lastName?, archived? }
+    addOwner({ email, firstName = 'Owner', lastName = String(state.owners.size + 1), archived = false }) {
+      const id = String(100 + state.owners.size);
+      const timestamp = now();
+      const owner = { id, email, firstName, lastName, userId: Number(id) + 1000, archived, teams: [], createdAt: timestamp, updatedAt: timestamp };
+      state.owners.set(id, owner);
+      return owner;
+    },
+
+    // Simulate a user installing the app in a portal; returns the code HubSpot
+    // would send to the redirect URI
+    authorize({ hubId = 12345, hubDomain = `portal-${hubId}.hubspot.com`, scopes = [] } = {}) {
+      const code = `oauth-code-${crypto.randomBytes(8).toString('hex')}`;
+      state.oauth.codes.set(code, { hubId, hubDomain, scopes });
+      return code;
+    },
+
+    // Expire every OAuth access token issued so far (refresh tokens keep working)
+    expireAccessTokens() {
+      state.oauth.accessTokens.forEach(token => { token.expiresAt = 0; });
+    },
+
+    reset() {
+      state.oauth.codes.clear();
+      state.oauth.accessTokens.clear();
+      state.oauth.refreshTokens.clear();
+      state.oauth.expiresIn = 1800;
+      state.contacts.clear();
+      state.objects.clear();
+      state.objectProperties.clear();
+      state.associations.clear();
+      state.owners.clear();
+      state.properties = new Map(STANDARD_PROPERTIES.map(property => [property.name, { ...property }]));
+      state.nextId = 1;
+      state.requests.length = 0;
+      state.failures.length = 0;
+    },
+
+    // Start listening; resolves with the base URL
+    listen(port = 0) {
+      return new Promise(resolve => {
+        this.server = app.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${this.server.address().port}`);
+        });
+      });
+    },
+
+    close() {
+      if (!this.server) return Promise.resolve();
+      this.server.closeAllConnections();
+      return new Promise(resolve => this.server.close(resolve));
+    }
+  };
+}
+
+// Run standalone for local development
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_HUBSPOT_PORT) || 4010;
+  const mock = createMockHubSpot();
+  mock.listen(port).then(url => {
+    console.log(`Mock HubSpot listening on ${url}`);
+    console.log(`Set HUBSPOT_BASE_URL=${url} to use it`);
+  });
+}
+
+module.exports = { createMockHubSpot };
@@ -0,0 +1,160 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run as a public app: no private app token, tokens come from the install flow
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hubspot-oauth-'));
+process.env.HUBSPOT_CLIENT_ID = 'test-client-id';
+process.env.HUBSPOT_CLIENT_SECRET = 'test-client-secret';
+process.env.HUBSPOT_TOKEN_ENCRYPTION_KEY = 'test-encryption-key-0123456789abcdef';
+process.env.HUBSPOT_TOKEN_STORE_PATH = path.join(storeDir, 'tokens.json');
+process.env.HUBSPOT_REDIRECT_URI = 'http://localhost:3000/oauth/callback';
+// Installing needs an admin; the API calls below read as a reader
+process.env.API_KEYS = 'dashboard:reader:reader-key-0123456789,ops:admin:admin-key-0123456789';
+
+const { startTestServer } = require('./helpers');
+
+const READER = { 'X-API-Key': 'reader-key-0123456789' };
+const ADMIN = { 'X-API-Key': 'admin-key-0123456789' };
+
+const ALL_SCOPES = [
+  'crm.objects.contacts.read',
+  'crm.objects.contacts.write',
+  'crm.schemas.contacts.read',
+  'crm.schemas.contacts.write'
+];
+
+describe('OAuth app install', () => {
+  let server;
+  let request;
+  let mock;
+  let oauth;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+    oauth = require('../src/services/oauth').shared();
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await oauth.store.delete('12345');
+    await oauth.store.delete('67890');
+  });
+
+  // Walk through the install: fetch the install link, then return to the callback with a code
+  const install = async (scopes = ALL_SCOPES, hubId = 12345) => {
+    const response = await fetch(`${server.baseUrl}/oauth/install`, { redirect: 'manual', headers: ADMIN });
+    const state = new URL(response.headers.get('location')).searchParams.get('state');
+    const code = mock.authorize({ hubId, scopes });
+    return request('GET', `/oauth/callback?code=${code}&state=${state}`);
+  };
+
+  it('redirects to HubSpot with the client id, redirect URI, scopes and a state', async () => {
+    const response = await fetch(`${server.baseUrl}/oauth/install`, { redirect: 'manual', headers: ADMIN });
+    const location = new URL(response.headers.get('location'));
+
+    assert.equal(response.status, 302);
+    assert.equal(location.origin + location.pathname, 'https://app.hubspot.com/oauth/authorize');
+    assert.equal(location.searchParams.get('client_id'), 'test-client-id');
+    assert.equal(location.searchParams.get('redirect_uri'), 'http://localhost:3000/oauth/callback');
+    assert.deepEqual(location.searchParams.get('scope').split(' '), ALL_SCOPES);
+    assert.match(location.searchParams.get('state'), /^[0-9a-f]{32}$/);
+  });
+
+  it('only hands the install link to admins', async () => {
+    const anonymous = await fetch(`${server.baseUrl}/oauth/install`, { redirect: 'manual' });
+    const reader = await fetch(`${server.baseUrl}/oauth/install`, { redirect: 'manual', headers: READER });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(reader.status, 403);
+  });
+
+  it('keeps the first install as the default portal when another portal installs the app', async () => {
+    await install();
+    const second = await install(ALL_SCOPES, 67890);
+
+    assert.equal(second.status, 200);
+    assert.equal(await oauth.defaultPortalId(), '12345');
+  });
+
+  it('exchanges the code, stores the tokens encrypted and uses them for HubSpot calls', async () => {
+    const res = await install();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.portalId, '12345');
+    assert.deepEqual(res.body.data.scopes, ALL_SCOPES);
+
+    const stored = await oauth.store.get('12345');
+    const file = fs.readFileSync(process.env.HUBSPOT_TOKEN_STORE_PATH, 'utf8');
+    assert.ok(stored.accessToken.startsWith('oauth-access-'));
+    assert.ok(!file.includes(stored.accessToken));
+    assert.ok(!file.includes(stored.refreshToken));
+
+    const contact = mock.addContact({ email: 'jane@example.com' });
+    const lookup = await request('GET', `/api/contacts/${contact.id}`, { headers: READER });
+    assert.equal(lookup.status, 200);
+  });
+
+  it('refuses an install that is missing required scopes', async () => {
+    const res = await install(ALL_SCOPES.slice(0, 2));
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body.details.missingScopes, ['crm.schemas.contacts.read', 'crm.schemas.contacts.write']);
+    assert.equal(await oauth.store.get('12345'), null);
+  });
+
+  it('rejects callbacks with an unknown state or without a code', async () => {
+    const code = mock.authorize({ hubId: 12345, scopes: ALL_SCOPES });
+    const badState = await request('GET', `/oauth/callback?code=${code}&state=forged`);
+    const noCode = await request('GET', '/oauth/callback?state=forged');
+    const denied = await request('GET', '/oauth/callback?error=access_denied&error_description=User%20denied');
+
+    assert.equal(badState.status, 400);
+    assert.equal(noCode.status, 400);
+    assert.equal(denied.status, 400);
+    assert.equal(denied.body.error, 'User denied');
+    assert.equal(mock.state.requests.length, 0);
+  });
+
+  it('refreshes the access token before it expires', async () => {
+    // Tokens that expire within the refresh margin are refreshed on the next call
+    mock.state.oauth.expiresIn = 60;
+    await install();
+    const first = (await oauth.store.get('12345')).accessToken;
+
+    const contact = mock.addContact({ email: 'jane@example.com' });
+    const res = await request('GET', `/api/contacts/${contact.id}`, { headers: READER });
+    const refreshed = await oauth.store.get('12345');
+
+    assert.equal(res.status, 200);
+    assert.notEqual(refreshed.accessToken, first);
+    assert.ok(mock.state.requests.some(req => req.path === '/oauth/v1/token' && req.body.grant_type === 'refresh_token'));
+  });
+
+  it('refreshes and retries once when HubSpot rejects the access token', async () => {
+    await install();
+    mock.expireAccessTokens();
+
+    const contact = mock.addContact({ email: 'jane@example.com' });
+    const res = await request('GET', `/api/contacts/${contact.id}`, { headers: READER });
+    const contactCalls = mock.state.requests.filter(req => req.path === `/crm/v3/objects/contacts/${contact.id}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(contactCalls.length, 2);
+  });
+
+  it('explains how to install the app when no portal has installed it', async () => {
+    const res = await request('GET', '/api/contacts/1', { headers: READER });
+
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /open \/oauth\/install/);
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const dealsSchema = require('../src/config/object-properties/deals.json');
+
+describe('object routes', () => {
+  let server;
+  let request;
+  let mock;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addProperties(dealsSchema.properties, 'deals');
+  });
+
+  const deals = () => mock.state.objects.get('deals') || new Map();
+
+  const addDeals = (count) => Array.from({ length: count }, (_, i) => mock.addObject('deals', {
+    dealname: `Engineer ${i}`,
+    job_openings: String(i % 3)
+  }));
+
+  it('rejects contacts and unknown object types', async () => {
+    const contacts = await request('GET', '/api/objects/contacts');
+    const unknown = await request('GET', '/api/objects/widgets');
+    const custom = await request('GET', '/api/objects/p1234_job_opening/1');
+
+    assert.equal(contacts.status, 400);
+    assert.equal(unknown.status, 400);
+    assert.equal(custom.status, 404);
+  });
+
+  describe('records', () => {
+    it('creates, reads, updates and deletes a deal', async () => {
+      const created = await request('POST', '/api/objects/deals', {
+        body: { properties: { dealname: 'Senior Engineer', job_openings: '2', job_employment_type: 'full_time' } }
+      });
+      const id = created.body.data.id;
+
+      assert.equal(created.status, 201);
+      assert.equal(deals().get(id).properties.job_openings, '2');
+
+      const read = await request('GET', `/api/objects/deals/${id}?properties=dealname,job_openings`);
+      assert.deepEqual(
+        { dealname: read.body.data.properties.dealname, job_openings: read.body.data.properties.job_openings },
+        { dealname: 'Senior Engineer', job_openings: '2' }
+      );
+
+      const updated = await request('PATCH', `/api/objects/deals/${id}`, { body: { properties: { job_openings: 3 } } });
+      assert.equal(updated.status, 200);
+      assert.deepEqual(updated.body.data.updatedProperties, ['job_openings']);
+      assert.equal(deals().get(id).properties.job_openings, '3');
+
+      const deleted = await request('DELETE', `/api/objects/deals/${id}`);
+      const missing = await request('GET', `/api/objects/deals/${id}`);
+      assert.equal(deleted.status, 200);
+      assert.equal(missing.status, 404);
+    });
+
+    it('type-checks properties against the object schema before calling HubSpot', async () => {
+      const res = await request('POST', '/api/objects/deals', {
+        body: { properties: { dealname: 'Engineer', job_openings: 'lots', job_employment_type: 'freelance' } }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.details.map(detail => detail.property), ['job_openings', 'job_employment_type']);
+      assert.equal(mock.state.requests.length, 0);
+    });
+
+    it('passes HubSpot validation errors through', async () => {
+      const res = await request('POST', '/api/objects/companies', { body: { properties: { nonexistent: 'x' } } });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('search', () => {
+    it('filters with q and pages with a cursor', async () => {
+      addDeals(9);
+
+      const first = await request('GET', '/api/objects/deals?q=job_openings>=1&limit=4&properties=dealname');
+      const second = await request('GET', `/api/objects/deals?q=job_openings>=1&limit=4&cursor=${first.body.data.nextCursor}`);
+
+      assert.equal(first.status, 200);
+      assert.equal(first.body.data.total, 6);
+      assert.equal(first.body.data.results.length, 4);
+      assert.equal(second.body.data.results.length, 2);
+      assert.equal(second.body.data.nextCursor, null);
+    });
+
+    it('validates filters against property types', async () => {
+      const res = await request('POST', '/api/objects/deals/search', {
+        body: { filterGroups: [{ filters: [{ propertyName: 'job_openings', operator: 'GT', value: 'many' }] }] }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Invalid search query');
+    });
+
+    it('returns every match with all=true', async () => {
+      addDeals(5);
+
+      const res = await request('POST', '/api/objects/deals/search', { body: { all: true, sorts: ['-job_openings'] } });
+
+      assert.equal(res.body.data.total, 5);
+      assert.equal(res.body.data.results[0].properties.dealname, 'Engineer 2');
+    });
+  });
+
+  describe('batch', () => {
+    it('creates, upserts and archives records with one result per input', async () => {
+      const created = await request('POST', '/api/objects/deals/batch', {
+        body: { inputs: [{ properties: { dealname: 'A' } }, { properties: { job_openings: 'x' } }, { properties: { dealname: 'C' } }] }
+      });
+
+      assert.equal(created.status, 207);
+      assert.deepEqual(created.body.data.results.map(result => result.success), [true, false, true]);
+
+      const upserted = await request('POST', '/api/objects/deals/batch/upsert?idProperty=dealname', {
+        body: { inputs: [{ properties: { dealname: 'A', job_openings: 4 } }, { properties: { dealname: 'D' } }] }
+      });
+
+      assert.equal(upserted.status, 200);
+      assert.deepEqual(upserted.body.data.results.map(result => result.action), ['updated', 'created']);
+      assert.equal(deals().size, 3);
+
+      const ids = [...deals().keys()];
+      const archived = await request('POST', '/api/objects/deals/batch/archive', { body: { ids } });
+
+      assert.equal(archived.status, 200);
+      assert.equal(deals().size, 0);
+    });
+
+    it('matches created records to inputs on idProperty, or sends each one alone without it', async () => {
+      const keyed = await request('POST', '/api/objects/deals/batch?idProperty=dealname', {
+        body: { inputs: [{ properties: { dealname: 'A' } }, { properties: { dealname: 'B' } }, { properties: { amount: 5 } }] }
+      });
+      const creates = () => mock.state.requests.filter(r => r.path.endsWith('/batch/create'));
+
+      assert.deepEqual(keyed.body.data.results.map(result => result.properties?.dealname), ['A', 'B', undefined]);
+      assert.match(keyed.body.data.results[2].error, /dealname/);
+      assert.deepEqual(creates().map(r => r.body.inputs.length), [2]);
+
+      const unkeyed = await request('POST', '/api/objects/deals/batch', {
+        body: { inputs: [{ properties: { dealname: 'C' } }, { properties: { dealname: 'D' } }] }
+      });
+
+      assert.deepEqual(unkeyed.body.data.results.map(result => result.properties.dealname), ['C', 'D']);
+      assert.deepEqual(creates().slice(1).map(r => r.body.inputs.length), [1, 1]);
+    });
+
+    it('requires idProperty for upserts', async () => {
+      const res = await request('POST', '/api/objects/deals/batch/upsert', { body: { inputs: [{ properties: { dealname: 'A' } }] } });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('properties', () => {
+    it('creates a property in the default group for the object type', async () => {
+      const res = await request('POST', '/api/objects/companies/properties', {
+        body: { name: 'hiring_tier', label: 'Hiring Tier', type: 'string' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.groupName, 'companyinformation');
+    });
+
+    it('plans and applies the object schema file', async () => {
+      mock.reset();
+
+      const plan = await request('POST', '/api/objects/deals/properties/plan');
+      assert.equal(plan.body.data.summary.create, dealsSchema.properties.length);
+
+      const applied = await request('POST', '/api/objects/deals/properties/apply');
+      const property = await request('GET', '/api/objects/deals/properties/job_openings');
+
+      assert.equal(applied.status, 200);
+      assert.equal(property.body.data.type, 'number');
+    });
+
+    it('returns 404 for plans without a schema file', async () => {
+      const res = await request('POST', '/api/objects/tickets/properties/plan');
+
+      assert.equal(res.status, 404);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Assignment rules are re-read on every assignment, so each test rewrites this file
+const RULES_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'owner-rules-')), 'owner-assignment.json');
+process.env.HUBSPOT_OWNER_ASSIGNMENT = RULES_PATH;
+
+const { startTestServer } = require('./helpers');
+const schema = require('../src/config/contact-properties.json');
+
+const writeRules = (rules) => fs.writeFileSync(RULES_PATH, JSON.stringify(rules));
+
+const candidate = (overrides = {}) => ({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane.doe@example.com',
+  ...overrides
+});
+
+describe('owners', () => {
+  let server;
+  let request;
+  let mock;
+  let alice;
+  let bob;
+  let carol;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(path.dirname(RULES_PATH), { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    mock.addProperties(schema.properties);
+    alice = mock.addOwner({ email: 'alice@example.com' });
+    bob = mock.addOwner({ email: 'bob@example.com' });
+    carol = mock.addOwner({ email: 'carol@example.com', archived: true });
+    writeRules({ strategy: 'rules', rules: [] });
+
+    // Owner ids restart with every reset, so drop the cached list
+    await request('GET', '/api/owners?refresh=true');
+    mock.state.requests.length = 0;
+  });
+
+  const ownerOf = (contactId) => mock.state.contacts.get(String(contactId)).properties.hubspot_owner_id;
+
+  describe('GET /api/owners', () => {
+    it('lists active owners from the cache', async () => {
+      const res = await request('GET', '/api/owners');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.owners.map(owner => owner.email), ['alice@example.com', 'bob@example.com']);
+      assert.equal(mock.state.requests.length, 0);
+    });
+
+    it('pages through every owner on refresh', async () => {
+      for (let i = 0; i < 150; i++) mock.addOwner({ email: `owner${i}@example.com` });
+
+      const res = await request('GET', '/api/owners?refresh=true');
+
+      assert.equal(res.body.data.total, 152);
+      assert.equal(mock.state.requests.filter(r => r.path === '/crm/v3/owners').length, 2);
+    });
+
+    it('filters by email', async () => {
+      const res = await request('GET', '/api/owners?email=BOB@example.com');
+
+      assert.deepEqual(res.body.data.owners.map(owner => owner.ownerId), [bob.id]);
+    });
+
+    it('returns 404 for an archived owner', async () => {
+      const res = await request('GET', `/api/owners/${carol.id}`);
+
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('owner validation', () => {
+    it('rejects an ownerId that is not an active owner', async () => {
+      const res = await request('POST', '/api/contacts', { body: candidate({ ownerId: carol.id }) });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.details.map(d => d.field), ['ownerId']);
+      assert.equal(mock.state.contacts.size, 0);
+    });
+
+    it('assigns by owner email', async () => {
+      const res = await request('POST', '/api/contacts', { body: candidate({ ownerEmail: 'Bob@Example.com' }) });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.properties.ownerId, bob.id);
+    });
+
+    it('rejects an unknown owner email on update', async () => {
+      const contact = mock.addContact({ email: 'a@example.com' });
+
+      const res = await request('PATCH', `/api/contacts/${contact.id}`, { body: { ownerEmail: 'nobody@example.com' } });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.details[0].field, 'ownerEmail');
+    });
+
+    it('reports invalid owners per batch row', async () => {
+      const res = await request('POST', '/api/contacts/batch', {
+        body: { contacts: [candidate({ email: 'a@example.com', ownerId: alice.id }), candidate({ email: 'b@example.com', ownerId: '999' })] }
+      });
+
+      assert.equal(res.status, 207);
+      assert.equal(res.body.data.results[1].details[0].field, 'ownerId');
+    });
+  });
+
+  describe('automatic assignment', () => {
+    it('rotates through the pool', async () => {
+      writeRules({ strategy: 'round-robin', pool: ['alice@example.com', bob.id] });
+
+      const res = await request('POST', '/api/contacts/batch', {
+        body: { contacts: [1, 2, 3].map(i => candidate({ email: `c${i}@example.com` })) }
+      });
+      const owners = res.body.data.results.map(result => ownerOf(result.contactId));
+
+      assert.equal(res.status, 201);
+      assert.notEqual(owners[0], owners[1]);
+      assert.equal(owners[0], owners[2]);
+      assert.deepEqual([...new Set(owners)].sort(), [alice.id, bob.id]);
+    });
+
+    it('applies the first matching rule', async () => {
+      writeRules({
+        strategy: 'rules',
+        rules: [
+          { when: { candidatePastCompany: ['Google', 'Meta'] }, ownerEmail: 'alice@example.com' },
+          { when: { candidateExperience: { gte: 8 } }, ownerId: bob.id }
+        ]
+      });
+
+      const google = await request('POST', '/api/contacts', { body: candidate({ email: 'g@example.com', candidatePastCompany: 'google', candidateExperience: 10 }) });
+      const senior = await request('POST', '/api/contacts', { body: candidate({ email: 's@example.com', candidateExperience: 9 }) });
+      const junior = await request('POST', '/api/contacts', { body: candidate({ email: 'j@example.com', candidateExperience: 1 }) });
+
+      assert.equal(ownerOf(google.body.data.contactId), alice.id);
+      assert.equal(ownerOf(senior.body.data.contactId), bob.id);
+      assert.equal(ownerOf(junior.body.data.contactId), undefined);
+    });
+
+    it('keeps an explicit owner and leaves existing contacts alone on upsert', async () => {
+      writeRules({ strategy: 'round-robin' });
+      const existing = mock.addContact({ email: 'old@example.com', firstname: 'Jane', lastname: 'Doe' });
+
+      const explicit = await request('POST', '/api/contacts', { body: candidate({ ownerId: bob.id }) });
+      await request('PUT', '/api/contacts/by-email/old@example.com', { body: { firstName: 'Janet', lastName: 'Doe' } });
+
+      assert.equal(ownerOf(explicit.body.data.contactId), bob.id);
+      assert.equal(ownerOf(existing.id), undefined);
+    });
+
+    it('reads the rules file again only once it changes', () => {
+      const owners = require('../src/services/owners').shared();
+      writeRules({ strategy: 'round-robin', pool: [alice.id] });
+
+      const first = owners.loadAssignmentRules();
+      assert.equal(owners.loadAssignmentRules(), first);
+
+      writeRules({ strategy: 'round-robin', pool: [alice.id, bob.id] });
+      assert.deepEqual(owners.loadAssignmentRules().pool, [alice.id, bob.id]);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// A second portal next to the one from HUBSPOT_ACCESS_TOKEN. Its URL is only
+// known once its mock listens, so the registry reads it from the environment.
+const SANDBOX_TOKEN = 'pat-na1-11111111-1111-1111-1111-111111111111';
+const registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hubspot-portals-'));
+const registryPath = path.join(registryDir, 'portals.json');
+fs.writeFileSync(registryPath, JSON.stringify({
+  portals: {
+    sandbox: { accessToken: '${TEST_SANDBOX_TOKEN}', baseUrl: '${TEST_SANDBOX_URL}', hubId: 999 }
+  }
+}));
+process.env.HUBSPOT_PORTALS = registryPath;
+process.env.TEST_SANDBOX_TOKEN = SANDBOX_TOKEN;
+
+const { startTestServer, TEST_TOKEN } = require('./helpers');
+const { createMockHubSpot } = require('./mock/hubspot');
+
+describe('multiple portals', () => {
+  let server;
+  let request;
+  let mock;
+  let sandbox;
+  let PortalRegistry;
+
+  before(async () => {
+    sandbox = createMockHubSpot({ accessToken: SANDBOX_TOKEN });
+    process.env.TEST_SANDBOX_URL = await sandbox.listen();
+    server = await startTestServer();
+    ({ request, mock } = server);
+    PortalRegistry = require('../src/services/portals');
+  });
+
+  after(async () => {
+    await server.close();
+    await sandbox.close();
+    fs.rmSync(registryDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    sandbox.reset();
+  });
+
+  it('uses the default portal unless the request picks another', async () => {
+    const production = mock.addContact({ email: 'prod@example.com' });
+    const staging = sandbox.addContact({ email: 'sandbox@example.com' });
+
+    const byDefault = await request('GET', `/api/contacts/${production.id}`);
+    const byHeader = await request('GET', `/api/contacts/${staging.id}`, { headers: { 'X-HubSpot-Portal': 'sandbox' } });
+    const byPath = await request('GET', `/api/portals/sandbox/contacts/${staging.id}`);
+
+    assert.equal(byDefault.headers.get('x-hubspot-portal'), 'default');
+    assert.equal(byHeader.headers.get('x-hubspot-portal'), 'sandbox');
+    assert.equal(byHeader.body.data.properties.email, 'sandbox@example.com');
+    assert.equal(byPath.body.data.properties.email, 'sandbox@example.com');
+    assert.equal(mock.state.requests.length, 1);
+    // The second sandbox read comes from the sandbox's cache
+    assert.equal(sandbox.state.requests.length, 1);
+  });
+
+  it('keeps each portal\'s cache apart', async () => {
+    // Both portals have a contact 1
+    mock.addContact({ email: 'prod@example.com' });
+    sandbox.addContact({ email: 'sandbox@example.com' });
+
+    await request('GET', '/api/contacts/1');
+    const res = await request('GET', '/api/portals/sandbox/contacts/1');
+
+    assert.equal(res.body.data.properties.email, 'sandbox@example.com');
+  });
+
+  it('drops cached contacts of the portal a webhook event came from', async () => {
+    const contact = sandbox.addContact({ email: 'sandbox@example.com', firstname: 'Jane' });
+    const WebhookService = require('../src/services/webhooks');
+
+    await request('GET', `/api/portals/sandbox/contacts/${contact.id}`);
+    sandbox.state.contacts.get(contact.id).properties.firstname = 'Janet';
+    await WebhookService.shared().dispatch([
+      { eventId: 1, portalId: 999, subscriptionType: 'contact.propertyChange', objectId: Number(contact.id), propertyName: 'firstname' }
+    ]);
+    const res = await request('GET', `/api/portals/sandbox/contacts/${contact.id}`);
+
+    assert.equal(res.body.data.properties.firstName, 'Janet');
+  });
+
+  it('answers 404 for unknown portals and 400 when path and header disagree', async () => {
+    const unknown = await request('GET', '/api/contacts/1', { headers: { 'X-HubSpot-Portal': 'emea' } });
+    const conflict = await request('GET', '/api/portals/sandbox/contacts/1', { headers: { 'X-HubSpot-Portal': 'default' } });
+
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(unknown.body.details.portals, ['default', 'sandbox']);
+    assert.equal(conflict.status, 400);
+    assert.equal(mock.state.requests.length + sandbox.state.requests.length, 0);
+  });
+
+  it('lists the portals without their tokens', async () => {
+    const res = await request('GET', '/api/portals');
+
+    assert.equal(res.body.data.default, 'default');
+    assert.deepEqual(res.body.data.portals.map(portal => portal.name), ['default', 'sandbox']);
+    assert.equal(res.body.data.portals[1].hubId, '999');
+    assert.ok(!res.text.includes(SANDBOX_TOKEN));
+  });
+
+  it('rejects registry entries without a token', () => {
+    const badPath = path.join(registryDir, 'bad.json');
+    fs.writeFileSync(badPath, JSON.stringify({ portals: { eu: { accessToken: '${TEST_UNSET_TOKEN}' } } }));
+
+    assert.throws(() => PortalRegistry.fromFile(badPath), /Portal "eu" needs an accessToken/);
+  });
+
+  describe('setup script', () => {
+    // Run src/setup.js in a child process against both mocks. Resolves with { code, output }.
+    const runSetup = (args = []) => new Promise(resolve => {
+      execFile(process.execPath, [path.join(__dirname, '..', 'src', 'setup.js'), ...args], {
+        env: { ...process.env, HUBSPOT_ACCESS_TOKEN: TEST_TOKEN, HUBSPOT_BASE_URL: server.mockUrl, LOG_LEVEL: 'error' },
+        timeout: 20000
+      }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, output: stdout + stderr });
+      });
+    });
+
+    it('targets one portal with --portal', async () => {
+      const { code } = await runSetup(['--portal', 'sandbox']);
+
+      assert.equal(code, 0);
+      assert.ok(sandbox.state.properties.has('candidate_experience'));
+      assert.equal(mock.state.properties.has('candidate_experience'), false);
+    });
+
+    it('targets every portal with --all-portals', async () => {
+      const { code } = await runSetup(['--all-portals']);
+
+      assert.equal(code, 0);
+      assert.ok(sandbox.state.properties.has('candidate_experience'));
+      assert.ok(mock.state.properties.has('candidate_experience'));
+    });
+
+    it('fails on an unknown portal', async () => {
+      const { code, output } = await runSetup(['--portal', 'emea']);
+
+      assert.equal(code, 1);
+      assert.match(output, /Unknown HubSpot portal/);
+    });
+  });
+});
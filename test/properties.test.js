@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+const SCHEMA_PROPERTIES = ['candidate_experience', 'candidate_date_of_joining', 'candidate_name', 'candidate_past_company'];
+
+describe('properties routes', () => {
+  let server;
+  let request;
+  let mock;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  describe('GET /api/properties', () => {
+    it('reports which schema properties exist', async () => {
+      mock.state.properties.set('candidate_name', { name: 'candidate_name', label: 'Candidate Name', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+
+      const res = await request('GET', '/api/properties');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.summary, { total: 4, existing: 1, missing: 3 });
+    });
+  });
+
+  describe('POST /api/properties', () => {
+    it('creates a property with defaults', async () => {
+      const res = await request('POST', '/api/properties', { body: { name: 'candidate_notice_period', label: 'Notice Period', type: 'string' } });
+
+      assert.equal(res.status, 201);
+      assert.equal(mock.state.properties.get('candidate_notice_period').fieldType, 'text');
+    });
+
+    it('treats an existing property as success', async () => {
+      await request('POST', '/api/properties', { body: { name: 'candidate_notice_period', label: 'Notice Period', type: 'string' } });
+      const res = await request('POST', '/api/properties', { body: { name: 'candidate_notice_period', label: 'Notice Period', type: 'string' } });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.status, 'already_exists');
+    });
+
+    it('requires name, label and type', async () => {
+      const res = await request('POST', '/api/properties', { body: { name: 'x' } });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /api/properties/setup', () => {
+    it('creates every schema property', async () => {
+      const res = await request('POST', '/api/properties/setup');
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.summary.successful, 4);
+      SCHEMA_PROPERTIES.forEach(name => assert.ok(mock.state.properties.has(name)));
+    });
+  });
+
+  describe('POST /api/properties/plan', () => {
+    it('lists creates, updates and destructive changes without applying them', async () => {
+      mock.state.properties.set('candidate_name', { name: 'candidate_name', label: 'Old Label', description: 'Full name of the candidate', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+      mock.state.properties.set('candidate_experience', { name: 'candidate_experience', label: 'Candidate Experience', description: 'Years of professional experience', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+
+      const res = await request('POST', '/api/properties/plan');
+      const actions = Object.fromEntries(res.body.data.changes.map(change => [change.name, change.action]));
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(actions, {
+        candidate_experience: 'destructive',
+        candidate_date_of_joining: 'create',
+        candidate_name: 'update',
+        candidate_past_company: 'create'
+      });
+      assert.equal(mock.state.properties.get('candidate_name').label, 'Old Label');
+    });
+  });
+
+  describe('POST /api/properties/apply', () => {
+    it('applies safe changes and blocks destructive ones', async () => {
+      mock.state.properties.set('candidate_name', { name: 'candidate_name', label: 'Old Label', description: 'Full name of the candidate', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+      mock.state.properties.set('candidate_experience', { name: 'candidate_experience', label: 'Candidate Experience', description: 'Years of professional experience', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+
+      const res = await request('POST', '/api/properties/apply');
+
+      assert.equal(res.status, 207);
+      assert.equal(res.body.data.summary.blocked, 1);
+      assert.equal(mock.state.properties.get('candidate_name').label, 'Candidate Name');
+      assert.equal(mock.state.properties.get('candidate_experience').type, 'string');
+    });
+
+    it('applies destructive changes when allowed', async () => {
+      mock.state.properties.set('candidate_experience', { name: 'candidate_experience', label: 'Candidate Experience', description: 'Years of professional experience', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+
+      const res = await request('POST', '/api/properties/apply', { body: { allowDestructive: true } });
+
+      assert.equal(res.status, 200);
+      assert.equal(mock.state.properties.get('candidate_experience').type, 'number');
+    });
+  });
+
+  describe('GET /api/properties/:name', () => {
+    it('returns the property', async () => {
+      const res = await request('GET', '/api/properties/email');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.name, 'email');
+    });
+
+    it('returns 404 for an unknown property', async () => {
+      const res = await request('GET', '/api/properties/nope');
+
+      assert.equal(res.status, 404);
+    });
+  });
+});
+
+describe('PropertiesService.loadSchema', () => {
+  let PropertiesService;
+  let dir;
+
+  before(() => {
+    PropertiesService = require('../src/services/properties');
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hubspot-schema-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const property = (name) => ({ name, label: name, type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+
+  it('parses the schema once and reads it again when the file changes', () => {
+    const schemaPath = path.join(dir, 'schema.json');
+    fs.writeFileSync(schemaPath, JSON.stringify({ properties: [property('first')] }));
+    const service = new PropertiesService({}, schemaPath);
+
+    const first = service.loadSchema();
+    assert.equal(service.loadSchema(), first);
+
+    fs.writeFileSync(schemaPath, JSON.stringify({ properties: [property('first'), property('second')] }));
+    const changed = service.loadSchema();
+
+    assert.notEqual(changed, first);
+    assert.deepEqual(changed.properties.map(entry => entry.name), ['first', 'second']);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Limits are read when the config loads, so set them before the helpers start the app
+process.env.RATE_LIMIT_READ = '3';
+process.env.RATE_LIMIT_WRITE = '2';
+process.env.RATE_LIMIT_BATCH = '1';
+process.env.RATE_LIMIT_AUTH_FAILURES = '2';
+process.env.API_KEYS = 'first:admin:first-key-0123456789,second:admin:second-key-0123456789';
+
+const { startTestServer } = require('./helpers');
+
+describe('rate limiting', () => {
+  let server;
+  let request;
+  let mock;
+  let RateLimiter;
+  let budgetFor;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request, mock } = server);
+    RateLimiter = require('../src/services/rate-limiter');
+    ({ budgetFor } = require('../src/utils/rate-limit'));
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    // Every test starts with fresh windows
+    RateLimiter.shared().useStore(new RateLimiter.MemoryRateLimitStore());
+  });
+
+  const as = (key, options = {}) => ({ ...options, headers: { 'X-API-Key': `${key}-key-0123456789` } });
+
+  it('sets RateLimit headers and answers 429 once the read budget is spent', async () => {
+    const responses = [];
+    for (let i = 0; i < 4; i++) {
+      responses.push(await request('GET', '/api/contacts/1', as('first')));
+    }
+
+    assert.deepEqual(responses.map(res => res.headers.get('ratelimit-remaining')), ['2', '1', '0', '0']);
+    assert.equal(responses[0].headers.get('ratelimit-limit'), '3');
+    assert.equal(responses[0].headers.get('ratelimit-policy'), '3;w=60');
+    assert.equal(responses[3].status, 429);
+    assert.equal(responses[3].body.error, 'Too many requests');
+    assert.equal(responses[3].body.details.budget, 'read');
+    assert.ok(Number(responses[3].headers.get('retry-after')) > 0);
+    assert.equal(mock.state.requests.length, 3);
+  });
+
+  it('keeps separate budgets for reads, writes and batches', async () => {
+    for (let i = 0; i < 3; i++) await request('GET', '/api/contacts/1', as('first'));
+
+    const write = await request('PATCH', '/api/contacts/1', as('first', { body: { firstName: 'Jane' } }));
+    const batch = await request('POST', '/api/contacts/batch/read', as('first', { body: { ids: ['1'] } }));
+    const secondBatch = await request('POST', '/api/contacts/batch/read', as('first', { body: { ids: ['1'] } }));
+
+    assert.equal(write.headers.get('ratelimit-limit'), '2');
+    assert.notEqual(write.status, 429);
+    assert.notEqual(batch.status, 429);
+    assert.equal(secondBatch.status, 429);
+  });
+
+  it('limits each API key separately', async () => {
+    await request('POST', '/api/contacts/batch/read', as('first', { body: { ids: ['1'] } }));
+    const first = await request('POST', '/api/contacts/batch/read', as('first', { body: { ids: ['1'] } }));
+    const second = await request('POST', '/api/contacts/batch/read', as('second', { body: { ids: ['1'] } }));
+
+    assert.equal(first.status, 429);
+    assert.notEqual(second.status, 429);
+  });
+
+  it('classifies searches as reads and imports, exports and duplicate scans as batches', () => {
+    const budget = (method, path) => budgetFor({ method, path });
+
+    assert.equal(budget('POST', '/contacts/search'), 'read');
+    assert.equal(budget('POST', '/objects/deals/properties/plan'), 'read');
+    assert.equal(budget('GET', '/contacts/export'), 'batch');
+    assert.equal(budget('GET', '/contacts/duplicates'), 'batch');
+    assert.equal(budget('POST', '/contacts/import'), 'batch');
+    assert.equal(budget('DELETE', '/contacts/1'), 'write');
+  });
+
+  it('counts searches that fetch every page against the batch budget', async () => {
+    const all = await request('GET', '/api/contacts?all=true', as('first'));
+    const again = await request('GET', '/api/objects/companies?all=true', as('first'));
+    const page = await request('GET', '/api/contacts', as('first'));
+
+    assert.equal(all.status, 200);
+    assert.equal(again.status, 429);
+    assert.equal(again.body.details.budget, 'batch');
+    assert.equal(page.status, 200);
+    assert.equal(budgetFor({ method: 'POST', path: '/contacts/search', body: { all: true } }), 'batch');
+  });
+
+  it('holds off an IP whose credentials keep failing, even with a valid key', async () => {
+    const failures = [];
+    for (let i = 0; i < 2; i++) {
+      failures.push(await request('GET', '/api/contacts/1', as('wrong')));
+    }
+    const blocked = await request('GET', '/api/contacts/1', as('first'));
+
+    assert.deepEqual(failures.map(res => res.status), [401, 401]);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.details.budget, 'authFailures');
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    assert.equal(mock.state.requests.length, 0);
+  });
+
+  it('starts a new window once the old one ends and lets requests through when the store fails', async () => {
+    const limiter = new RateLimiter({ windowMs: 1000, limits: { read: 1 } });
+
+    await limiter.consume('client', 'read', 0);
+    const limited = await limiter.consume('client', 'read', 500);
+    const nextWindow = await limiter.consume('client', 'read', 1000);
+
+    assert.equal(limited.limited, true);
+    assert.equal(nextWindow.limited, false);
+
+    limiter.useStore({ increment: async () => { throw new Error('down'); } });
+    assert.equal(await limiter.consume('client', 'read'), null);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { TEST_TOKEN } = require('./helpers');
+const { createMockHubSpot } = require('./mock/hubspot');
+
+const SETUP_SCRIPT = path.join(__dirname, '..', 'src', 'setup.js');
+
+describe('setup script', () => {
+  let mock;
+  let mockUrl;
+
+  // Run src/setup.js in a child process against the mock. Resolves with { code, output }.
+  const runSetup = (args = []) => new Promise(resolve => {
+    execFile(process.execPath, [SETUP_SCRIPT, ...args], {
+      env: { ...process.env, HUBSPOT_ACCESS_TOKEN: TEST_TOKEN, HUBSPOT_BASE_URL: mockUrl, HUBSPOT_RETRY_BASE_DELAY_MS: '1' },
+      timeout: 20000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, output: stdout + stderr });
+    });
+  });
+
+  before(async () => {
+    mock = createMockHubSpot({ accessToken: TEST_TOKEN });
+    mockUrl = await mock.listen();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  it('plans without changing the portal', async () => {
+    const { code } = await runSetup(['--plan']);
+
+    assert.equal(code, 0);
+    assert.equal(mock.state.properties.has('candidate_experience'), false);
+    assert.ok(mock.state.requests.every(r => r.method === 'GET'));
+  });
+
+  it('creates every schema property', async () => {
+    const { code } = await runSetup();
+
+    assert.equal(code, 0);
+    ['candidate_experience', 'candidate_date_of_joining', 'candidate_name', 'candidate_past_company']
+      .forEach(name => assert.ok(mock.state.properties.has(name)));
+  });
+
+  it('fails on a destructive change unless allowed', async () => {
+    mock.state.properties.set('candidate_experience', { name: 'candidate_experience', label: 'Candidate Experience', description: 'Years of professional experience', type: 'string', fieldType: 'text', groupName: 'contactinformation' });
+
+    const blocked = await runSetup();
+    assert.equal(blocked.code, 1);
+    assert.equal(mock.state.properties.get('candidate_experience').type, 'string');
+
+    const allowed = await runSetup(['--allow-destructive']);
+    assert.equal(allowed.code, 0);
+    assert.equal(mock.state.properties.get('candidate_experience').type, 'number');
+  });
+
+  it('applies the schema file of another object type with --object', async () => {
+    const { code } = await runSetup(['--object', 'deals']);
+
+    assert.equal(code, 0);
+    assert.ok(mock.state.objectProperties.get('deals').has('job_openings'));
+    assert.equal(mock.state.properties.has('candidate_experience'), false);
+  });
+});
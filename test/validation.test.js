@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePropertyValue, validateContact } = require('../src/utils/validation');
+const { validateSearch } = require('../src/utils/search');
+
+describe('normalizePropertyValue', () => {
+  it('converts numeric strings and rejects anything else', () => {
+    assert.deepEqual(normalizePropertyValue({ type: 'number' }, '7'), { value: 7 });
+    assert.ok(normalizePropertyValue({ type: 'number' }, 'lots').error);
+    assert.ok(normalizePropertyValue({ type: 'number' }, true).error);
+  });
+
+  it('converts dates to midnight UTC epoch milliseconds', () => {
+    const midnight = String(Date.UTC(2024, 0, 31));
+
+    assert.deepEqual(normalizePropertyValue({ type: 'date' }, '2024-01-31'), { value: midnight });
+    assert.deepEqual(normalizePropertyValue({ type: 'date' }, '2024-01-31T00:00:00Z'), { value: midnight });
+    assert.deepEqual(normalizePropertyValue({ type: 'date' }, Number(midnight)), { value: midnight });
+    assert.ok(normalizePropertyValue({ type: 'date' }, '2024-01-31T09:00:00Z').error);
+    assert.ok(normalizePropertyValue({ type: 'date' }, '31/01/2024').error);
+  });
+
+  it('applies the same date rule to search filters as to writes', () => {
+    const definitions = { candidate_date_of_joining: { name: 'candidate_date_of_joining', type: 'date' } };
+    const search = (value) => validateSearch({ filterGroups: [{ filters: [{ propertyName: 'candidate_date_of_joining', operator: 'GTE', value }] }] }, definitions);
+
+    assert.equal(search('2024-01-31').search.filterGroups[0].filters[0].value, String(Date.UTC(2024, 0, 31)));
+    assert.match(search('2024-01-31T09:00:00Z').errors[0], /midnight UTC/);
+    assert.match(search('March 5').errors[0], /not a valid date/);
+  });
+
+  it('converts datetimes to ISO 8601', () => {
+    assert.deepEqual(normalizePropertyValue({ type: 'datetime' }, '1706691600000'), { value: '2024-01-31T09:00:00.000Z' });
+    assert.ok(normalizePropertyValue({ type: 'datetime' }, 'yesterday').error);
+  });
+
+  it('accepts booleans in either form', () => {
+    assert.deepEqual(normalizePropertyValue({ type: 'bool' }, true), { value: 'true' });
+    assert.deepEqual(normalizePropertyValue({ type: 'bool' }, 'FALSE'), { value: 'false' });
+    assert.ok(normalizePropertyValue({ type: 'bool' }, 'yes').error);
+  });
+
+  it('checks enumeration values against the options', () => {
+    const stage = { type: 'enumeration', fieldType: 'select', options: [{ value: 'new' }, { value: 'hired' }] };
+    const skills = { type: 'enumeration', fieldType: 'checkbox', options: [{ value: 'js' }, { value: 'go' }] };
+
+    assert.deepEqual(normalizePropertyValue(stage, 'hired'), { value: 'hired' });
+    assert.match(normalizePropertyValue(stage, 'fired').error, /not one of: new, hired/);
+    assert.deepEqual(normalizePropertyValue(skills, ['js', 'go']), { value: 'js;go' });
+    assert.ok(normalizePropertyValue(skills, 'js;rust').error);
+  });
+
+  it('limits string length', () => {
+    assert.deepEqual(normalizePropertyValue({ type: 'string' }, 42), { value: '42' });
+    assert.ok(normalizePropertyValue({ type: 'string' }, 'x'.repeat(65537)).error);
+    assert.ok(normalizePropertyValue({ type: 'string' }, { nested: true }).error);
+  });
+});
+
+describe('validateContact', () => {
+  const fields = [
+    { field: 'firstName', property: 'firstname', required: true },
+    { field: 'lastName', property: 'lastname', required: true },
+    { field: 'email', property: 'email', required: true },
+    { field: 'phone', property: 'phone' },
+    { field: 'candidateExperience', property: 'candidate_experience' }
+  ];
+  const definitions = { candidate_experience: { type: 'number' } };
+
+  it('reports every invalid field at once', () => {
+    const { errors } = validateContact({ email: 'bad', candidateExperience: 'x' }, fields, definitions);
+
+    assert.deepEqual(errors.map(error => error.field), ['firstName', 'lastName', 'email', 'candidateExperience']);
+  });
+
+  it('skips required fields and keeps empty values for partial updates', () => {
+    const { data, errors } = validateContact({ candidateExperience: '', phone: null }, fields, definitions, { partial: true });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data, { phone: null, candidateExperience: '' });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Webhook signatures are HMACs keyed with the app's client secret
+process.env.HUBSPOT_CLIENT_SECRET = 'test-webhook-secret';
+
+const { startTestServer } = require('./helpers');
+
+describe('POST /webhooks/hubspot', () => {
+  let server;
+  let mock;
+  let WebhookService;
+  let received;
+  let unsubscribe;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ mock } = server);
+    WebhookService = require('../src/services/webhooks');
+    unsubscribe = WebhookService.shared().on('contact.creation', event => received.push(event));
+  });
+
+  after(async () => {
+    unsubscribe();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    received = [];
+  });
+
+  let nextEventId = 1;
+  const events = () => [{ eventId: nextEventId++, subscriptionType: 'contact.creation', objectId: 101, portalId: 1 }];
+
+  // Send a body signed the way HubSpot signs it, unless signature or timestamp are overridden
+  const send = async (payload, { timestamp = Date.now(), signature } = {}) => {
+    const url = `${server.baseUrl}/webhooks/hubspot`;
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-HubSpot-Request-Timestamp': String(timestamp),
+      'X-HubSpot-Signature-v3': signature || WebhookService.sign({ clientSecret: 'test-webhook-secret', method: 'POST', uri: url, body, timestamp })
+    };
+
+    const response = await fetch(url, { method: 'POST', headers, body });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('accepts signed events and dispatches them to handlers', async () => {
+    const res = await send(events());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.received, 1);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].objectId, '101');
+  });
+
+  it('answers 401 for a bad signature', async () => {
+    const res = await send(events(), { signature: Buffer.alloc(32).toString('base64') });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Invalid signature');
+    assert.equal(received.length, 0);
+  });
+
+  it('rejects a stale timestamp', async () => {
+    const res = await send(events(), { timestamp: Date.now() - 10 * 60 * 1000 });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Request timestamp is too old');
+    assert.equal(received.length, 0);
+  });
+
+  it('ignores a replayed request', async () => {
+    const payload = events();
+    const timestamp = Date.now();
+
+    const first = await send(payload, { timestamp });
+    const replay = await send(payload, { timestamp });
+
+    assert.equal(first.status, 200);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.error, 'Replayed request');
+    assert.equal(received.length, 1);
+  });
+
+  it('answers 400 when the body is not an array of events', async () => {
+    const res = await send({ eventId: 1, subscriptionType: 'contact.creation' });
+
+    assert.equal(res.status, 400);
+    assert.equal(received.length, 0);
+  });
+});